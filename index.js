@@ -3,33 +3,190 @@
 import { program } from 'commander';
 import dotenv from 'dotenv';
 import path from 'path';
+import crypto from 'crypto';
 import fs from 'fs-extra';
-import { ApplePlaylistParser } from './src/applePlaylistParser.js';
 import { AppleXmlParser } from './src/appleXmlParser.js';
+import { InputFormats } from './src/inputFormats.js';
+import { CsvPlaylistParser } from './src/csvPlaylistParser.js';
 import { SpotifyAuth } from './src/spotifyAuth.js';
 import { SpotifyClient } from './src/spotifyClient.js';
+import { TokenStore } from './src/tokenStore.js';
+import { MatchReport } from './src/matchReport.js';
+import { MatchDecisions } from './src/matchDecisions.js';
+import { MatchReviewer } from './src/matchReviewer.js';
+import { MatchCache } from './src/matchCache.js';
+import { RunState } from './src/runState.js';
+import { PlaylistMappings } from './src/playlistMappings.js';
+import { DuplicatePolicy } from './src/duplicatePolicy.js';
+import { TrackMatcher } from './src/trackMatcher.js';
+import { SearchStrategies } from './src/searchStrategies.js';
+import { FailuresFile } from './src/failuresFile.js';
+import { MatchOverrides } from './src/matchOverrides.js';
+import { SmartPlaylist } from './src/smartPlaylist.js';
+import { PlaylistExport } from './src/playlistExport.js';
+import { ApplePlaylistWriter } from './src/applePlaylistWriter.js';
 
 dotenv.config();
 
-# Converting from Apple Music to Spotify
+const DEFAULT_NAME_TEMPLATE = '{folder} – {name}';
+const ADD_BATCH_SIZE = 100;
+const SAVE_BATCH_SIZE = 50;
+// Saving to Liked Songs needs modify; checking what is already saved needs read
+const LIBRARY_SCOPES = ['user-library-read', 'user-library-modify'];
+const WATCH_INTERVAL_MS = 5000;
+// Everything ApplePlaylistWriter reads from a playlist track
+const EXPORT_TRACK_FIELDS = 'type,uri,name,artists(name),album(name,artists(name),release_date),disc_number,track_number,duration_ms,is_local';
+
+function withSpotifyOptions(command) {
+  return command
+    .option('--client-id <clientId>', 'Spotify Client ID (can also use SPOTIFY_CLIENT_ID env var)')
+    .option('--client-secret <clientSecret>', 'Spotify Client Secret; omit to log in with PKCE (can also use SPOTIFY_CLIENT_SECRET env var)')
+    .option('--redirect-uri <uri>', 'Redirect URI registered for your Spotify app (can also use SPOTIFY_REDIRECT_URI env var)', process.env.SPOTIFY_REDIRECT_URI)
+    .option('--callback-port <port>', 'Local port for the login callback server (defaults to the redirect URI port)', value => parseInt(value, 10))
+    .option('--no-browser', 'Do not open a browser or start a callback server; paste the redirect URL instead');
+}
+
+function withInputOptions(command) {
+  return command
+    .option('--format <format>', `Input format when it cannot be told from the content: ${new InputFormats().names.join(', ')}`)
+    .option('--columns <mapping>', 'CSV columns to read, e.g. "name=Song,artist=Performer,duration=Length"');
+}
+
+function withMatchOptions(command) {
+  return command
+    .option('--min-confidence <value>', 'Matches below this confidence (0-1) are reviewed interactively', parseFloat, 0.6)
+    .option('--no-review', 'Never prompt; keep uncertain matches and list them at the end')
+    .option('--decisions <path>', 'File where review decisions are saved for later runs')
+    .option('--no-cache', 'Do not read or write the persistent match cache')
+    .option('--cache-ttl <days>', 'Re-search cached matches older than this many days', value => parseInt(value, 10), 90)
+    .option('--concurrency <n>', 'Number of Spotify searches to run in parallel', value => parseInt(value, 10), 4)
+    .option('--matcher-config <path>', 'JSON file overriding the match scoring weights')
+    .option('--search-strategies <list>', `Searches to try per track, in order (any of ${SearchStrategies.NAMES.join(',')})`)
+    .option('--classical', 'Match classical tracks by work, movement, performers and recording')
+    .option('--overrides <path>', 'YAML or JSON file of hand-picked matches (default: overrides.yaml/.yml/.json in the config directory)')
+    .option('--duplicates <policy>', `Duplicate tracks: ${DuplicatePolicy.POLICIES.join(', ')}`, 'keep')
+    .option('--dry-run', 'Search and write a match report without creating or changing any playlist')
+    .option('--report', 'Write a match report (always on with --dry-run)')
+    .option('--report-dir <dir>', 'Directory for match reports', '.')
+    .option('--report-format <format>', 'Human-readable report format: md or html (a JSON report is always written)', 'md');
+}
+
+function withExportOptions(command) {
+  return command
+    .option('--export <formats>', `Also save the converted playlist as any of ${PlaylistExport.FORMATS.join(',')} (or "all")`)
+    .option('--export-dir <dir>', 'Directory for exported playlists', '.');
+}
+
+// Converting from Apple Music to Spotify
 program
   .name('apple-to-spotify')
   .description('Convert Apple Music playlists to Spotify playlists')
   .version('1.0.0');
 
-program
+withExportOptions(withInputOptions(withMatchOptions(withSpotifyOptions(program
   .command('convert')
   .description('Convert an Apple Music playlist to Spotify')
-  .requiredOption('-f, --file <path>', 'Path to the Apple Music playlist file (.txt or .xml)')
+  .requiredOption('-f, --file <path>', 'Path to the playlist file: Music.app text or XML, M3U/M3U8, CSV, JSON or a saved Apple Music page')
   .option('-n, --name <name>', 'Name for the new Spotify playlist (defaults to filename)')
   .option('-d, --description <description>', 'Description for the new Spotify playlist')
-  .option('-p, --playlist <playlistName>', 'Specific playlist name to convert (only for XML files)')
+  .option('-p, --playlist <playlistName>', 'Playlist or folder to convert, by name or folder path like "Workouts/Running" (only for XML files)')
+  .option('-a, --all', 'Convert every playlist in the XML library')
+  .option('--include <glob...>', 'With --all or a folder, only convert playlists whose name or path matches one of these globs')
+  .option('--exclude <glob...>', 'With --all or a folder, skip playlists whose name or path matches one of these globs')
+  .option('--include-smart', 'With --all or a folder, also convert smart playlists')
+  .option('--include-master', 'With --all, also convert the Library/Music master playlists')
+  .option('--name-template <template>', `Spotify playlist name for playlists inside folders; supports {name}, {folder} and {parent} (default with --all or a folder: "${DEFAULT_NAME_TEMPLATE}")`)
   .option('--public', 'Make the playlist public (default: private)')
-  .option('--client-id <clientId>', 'Spotify Client ID (can also use SPOTIFY_CLIENT_ID env var)')
-  .option('--client-secret <clientSecret>', 'Spotify Client Secret (can also use SPOTIFY_CLIENT_SECRET env var)')
+  .option('--resume', 'Continue an interrupted conversion of the same file and playlist where it stopped')))))
+  .action(async (options) => {
+    try {
+      if (options.all) {
+        await convertAllPlaylists(options);
+      } else {
+        await convertPlaylist(options);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+withExportOptions(withInputOptions(withMatchOptions(withSpotifyOptions(program
+  .command('sync')
+  .description('Update an existing Spotify playlist to match an Apple Music playlist')
+  .requiredOption('-f, --file <path>', 'Path to the playlist file: Music.app text or XML, M3U/M3U8, CSV, JSON or a saved Apple Music page')
+  .option('-p, --playlist <playlistName>', 'Playlist to sync, by name or folder path (only for XML files)')
+  .option('-n, --name <name>', 'Name of the Spotify playlist to sync into (defaults to the Apple playlist or file name)')
+  .option('--playlist-id <id>', 'Spotify playlist ID, URI or URL to sync into')
+  .option('-d, --description <description>', 'Description if the Spotify playlist has to be created')
+  .option('--public', 'Make the playlist public if it has to be created (default: private)')
+  .option('--remove', 'Also remove tracks that are no longer in the Apple playlist')
+  .option('--no-reorder', 'Leave the Spotify order alone instead of matching the Apple playlist order')))))
+  .action(async (options) => {
+    try {
+      await syncPlaylist(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+withMatchOptions(withSpotifyOptions(program
+  .command('retry')
+  .description('Search again for the tracks a conversion did not find and add them to its playlist')
+  .requiredOption('-f, --file <path>', 'Failures file written by convert (<name>_not_found.json or .tsv)')
+  .option('--playlist-id <id>', 'Spotify playlist ID, URI or URL to add to (defaults to the one recorded in the file)')))
+  .action(async (options) => {
+    try {
+      await retryFailures(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+withMatchOptions(withSpotifyOptions(program
+  .command('likes')
+  .description('Save the Loved/Favorited tracks of an Apple Music library to Spotify Liked Songs')
+  .requiredOption('-f, --file <path>', 'Path to the Apple Music XML library file')))
+  .action(async (options) => {
+    try {
+      await saveLovedTracks(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+withExportOptions(withMatchOptions(withSpotifyOptions(program
+  .command('smart')
+  .description('Recreate Apple smart playlists from their rules and keep the Spotify copies up to date')
+  .requiredOption('-f, --file <path>', 'Path to the Apple Music XML library file')
+  .option('-p, --playlist <playlistName>', 'Smart playlist to recreate, by name or folder path (default: every smart playlist)')
+  .option('--name-template <template>', `Spotify playlist name for smart playlists inside folders; supports {name}, {folder} and {parent} (default: "${DEFAULT_NAME_TEMPLATE}")`)
+  .option('--public', 'Make new playlists public (default: private)')
+  .option('--force', 'Update playlists even if their tracks have not changed since the last run')
+  .option('--watch', 'Keep running and update the playlists whenever the library file changes'))))
+  .action(async (options) => {
+    try {
+      await recreateSmartPlaylists(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Converting from Spotify back to Apple Music
+withSpotifyOptions(program
+  .command('spotify-export')
+  .description('Save a Spotify playlist or Liked Songs as files Music.app can import')
+  .option('--playlist-id <id>', 'Spotify playlist ID, URI or URL to export')
+  .option('--liked', 'Export Liked Songs instead of a playlist')
+  .option('-n, --name <name>', 'Name for the Apple Music playlist (defaults to the Spotify playlist name)')
+  .option('-o, --output-dir <dir>', 'Directory for the .xml and .txt files', '.'))
   .action(async (options) => {
     try {
-      await convertPlaylist(options);
+      await exportSpotifyPlaylist(options);
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -49,46 +206,272 @@ program
     }
   });
 
+withSpotifyOptions(program
+  .command('login')
+  .description('Log in to Spotify and save the session for later runs'))
+  .action(async (options) => {
+    try {
+      await login(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('logout')
+  .description('Forget the saved Spotify session')
+  .action(async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+withSpotifyOptions(program
+  .command('whoami')
+  .description('Show which Spotify account the saved session belongs to'))
+  .action(async (options) => {
+    try {
+      await whoami(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect and manage the persistent match cache');
+
+cacheCommand
+  .command('stats')
+  .description('Show what the match cache contains')
+  .option('--cache-ttl <days>', 'Count found matches older than this many days as expired', value => parseInt(value, 10), 90)
+  .action(async (options) => {
+    try {
+      await cacheStats(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Remove entries from the match cache (everything unless filtered)')
+  .option('--expired', 'Only remove expired entries')
+  .option('--cache-ttl <days>', 'With --expired, found matches older than this many days are expired', value => parseInt(value, 10), 90)
+  .option('--not-found', 'Only remove "not on Spotify" entries')
+  .option('--key <key>', 'Only remove the entry with this key')
+  .action(async (options) => {
+    try {
+      await cacheClear(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('export')
+  .description('Export the match cache as JSON or CSV')
+  .option('-o, --output <path>', 'Write to a file instead of stdout')
+  .option('--format <format>', 'json or csv', 'json')
+  .action(async (options) => {
+    try {
+      await cacheExport(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const overridesCommand = program
+  .command('overrides')
+  .description('Work with the file of hand-picked matches');
+
+withSpotifyOptions(overridesCommand
+  .command('check')
+  .description('Validate the overrides file and confirm that every Spotify track in it still exists')
+  .option('-f, --file <path>', 'Overrides file (default: overrides.yaml/.yml/.json in the config directory)'))
+  .action(async (options) => {
+    try {
+      await checkOverrides(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+withSpotifyOptions(cacheCommand
+  .command('pin')
+  .description('Add a manual cache entry that never expires')
+  .option('--persistent-id <id>', 'Apple Persistent ID of the track (XML libraries)')
+  .option('--name <name>', 'Track name (text exports)')
+  .option('--artist <artist>', 'Artist (text exports)')
+  .option('--album <album>', 'Album (text exports)', '')
+  .option('--duration <seconds>', 'Duration in seconds (text exports)', value => parseInt(value, 10), 0)
+  .option('--uri <uri>', 'Spotify track URI or URL to use')
+  .option('--skip', 'Never add this track'))
+  .action(async (options) => {
+    try {
+      await cachePin(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('setup')
   .description('Set up Spotify API credentials')
   .action(() => {
-    console.log('\\n🎵 Apple Music to Spotify Converter Setup\\n');
-    console.log('To use this tool, you need to register a Spotify app and get credentials:\\n');
+    console.log('\n🎵 Apple Music to Spotify Converter Setup\n');
+    console.log('To use this tool, you need to register a Spotify app and get credentials:\n');
     console.log('1. Go to https://developer.spotify.com/dashboard');
     console.log('2. Log in with your Spotify account');
     console.log('3. Click "Create an App"');
     console.log('4. Fill in the app name and description');
     console.log('5. Add "http://127.0.0.1:3000/callback" as a redirect URI');
-    console.log('6. Copy your Client ID and Client Secret\\n');
+    console.log('6. Copy your Client ID (the Client Secret is optional; without it PKCE login is used)\n');
     console.log('You can provide credentials via:');
-    console.log('  • Command line: --client-id <id> --client-secret <secret>');
+    console.log('  • Command line: --client-id <id> [--client-secret <secret>]');
     console.log('  • Environment variables: SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET');
-    console.log('  • .env file in the project directory\\n');
+    console.log('  • .env file in the project directory\n');
   });
 
-async function convertPlaylist(options) {
+function getCredentials(options) {
   const clientId = options.clientId || process.env.SPOTIFY_CLIENT_ID;
   const clientSecret = options.clientSecret || process.env.SPOTIFY_CLIENT_SECRET;
 
-  if (!clientId || !clientSecret) {
-    console.error('❌ Spotify credentials not provided.');
+  if (!clientId) {
+    console.error('❌ Spotify Client ID not provided.');
     console.error('Run "apple-to-spotify setup" for instructions on getting credentials.');
     process.exit(1);
   }
 
+  return {
+    clientId,
+    clientSecret,
+    redirectUri: options.redirectUri,
+    callbackPort: options.callbackPort,
+    openBrowser: options.browser !== false
+  };
+}
+
+function createAuth({ clientId, clientSecret, redirectUri, callbackPort, openBrowser }, scopes = []) {
+  return new SpotifyAuth(clientId, clientSecret, redirectUri, {
+    tokenStore: new TokenStore(),
+    callbackPort,
+    openBrowser,
+    scopes
+  });
+}
+
+async function connectToSpotify(credentials, options = {}) {
+  const matcher = await loadMatcher(options.matcherConfig, { classical: options.classical });
+  const overrides = options.overrides === false ? null : await loadOverrides(options.overrides);
+  const searchStrategies = options.searchStrategies
+    ? SearchStrategies.parse(options.searchStrategies)
+    : SearchStrategies.defaults({ classical: options.classical, retry: options.retry });
+
+  console.log('\n🔐 Authenticating with Spotify...');
+  const auth = createAuth(credentials, options.scopes);
+  await auth.ensureAuthenticated();
+
+  const interactive = options.review !== false && process.stdin.isTTY && process.stdout.isTTY;
+  const decisions = await new MatchDecisions(options.decisions).load();
+  const matchCache = options.cache === false
+    ? new Map()
+    : await new MatchCache(undefined, { ttlDays: options.cacheTtl }).load();
+
+  const client = new SpotifyClient(auth, {
+    minConfidence: options.minConfidence,
+    concurrency: options.concurrency,
+    decisions,
+    matchCache,
+    matcher,
+    searchStrategies,
+    overrides
+  });
+  if (interactive) {
+    client.reviewer = new MatchReviewer(client);
+  }
+
+  const user = await client.getCurrentUser();
+  console.log(`✅ Authenticated as: ${user.display_name || user.id}`);
+
+  return { auth, client, user };
+}
+
+async function loadMatcher(configPath, matcherOptions = {}) {
+  if (!configPath) {
+    return new TrackMatcher({}, matcherOptions);
+  }
+
+  let weights;
+  try {
+    weights = await fs.readJson(configPath);
+  } catch (error) {
+    throw new Error(`Could not read matcher config ${configPath}: ${error.message}`);
+  }
+  return new TrackMatcher(weights, matcherOptions);
+}
+
+/**
+ * Loads the overrides file given with --overrides, else the one in the config directory if any.
+ */
+async function loadOverrides(filePath) {
+  const overridesPath = filePath || await MatchOverrides.findDefault();
+  if (!overridesPath) {
+    return null;
+  }
+  if (!await fs.pathExists(overridesPath)) {
+    throw new Error(`File not found: ${overridesPath}`);
+  }
+
+  const overrides = await new MatchOverrides(overridesPath).load(SpotifyClient.toTrackUri);
+  console.log(`📌 Using ${overrides.entries.length} overrides from ${overridesPath}`);
+  return overrides;
+}
+
+/**
+ * Reads the playlist selected by -f/-p. Returns { folder } when -p names a folder, otherwise the
+ * tracks with the default Spotify playlist name and the key used for the saved playlist mapping.
+ */
+async function loadSourcePlaylist(options) {
   if (!await fs.pathExists(options.file)) {
     throw new Error(`File not found: ${options.file}`);
   }
 
-  const fileExt = path.extname(options.file).toLowerCase();
+  const inputFormat = await new InputFormats().detect(options.file, options.format);
+  const format = inputFormat.name;
   let parser, playlistInfo, appleTracks;
 
-  if (fileExt === '.xml') {
+  if (format !== 'csv' && options.columns) {
+    throw new Error(`--columns only applies to CSV files, and ${options.file} was read as ${inputFormat.description}`);
+  }
+
+  if (format === 'library') {
     console.log('🍎 Parsing Apple Music XML library...');
-    parser = new AppleXmlParser();
-    await parser.parseFile(options.file);
-    
+    parser = inputFormat.createParser();
+    await parser.parseFile(options.file, {
+      playlist: options.playlist,
+      onProgress: createProgressReporter('Reading library')
+    });
+
+    const selected = options.playlist ? parser.findPlaylist(options.playlist) : null;
+    if (selected && selected.Folder) {
+      return { parser, folder: selected };
+    }
+
+    if (options.include || options.exclude || options.includeSmart || options.includeMaster) {
+      throw new Error('--include, --exclude, --include-smart and --include-master can only be used with --all or a folder');
+    }
+
     if (options.playlist) {
       playlistInfo = parser.getPlaylistInfo(options.playlist);
       appleTracks = parser.getTracksForSpotify(options.playlist);
@@ -107,10 +490,10 @@ async function convertPlaylist(options) {
       }
     }
   } else {
-    console.log('🍎 Parsing Apple Music playlist...');
-    parser = new ApplePlaylistParser();
+    console.log(`🍎 Parsing ${inputFormat.description}...`);
+    parser = inputFormat.createParser({ columns: options.columns ? CsvPlaylistParser.parseColumnMap(options.columns) : {} });
     await parser.parseFile(options.file);
-    
+
     playlistInfo = parser.getPlaylistInfo();
     appleTracks = parser.getTracksForSpotify();
     console.log(`📊 Parsed ${playlistInfo.totalTracks} total tracks, ${appleTracks.length} valid for conversion`);
@@ -120,61 +503,1080 @@ async function convertPlaylist(options) {
     throw new Error('No valid tracks found in the playlist file');
   }
 
-  console.log('\\n🔐 Authenticating with Spotify...');
-  const auth = new SpotifyAuth(clientId, clientSecret);
-  await auth.authenticate();
-  
-  const client = new SpotifyClient(auth);
-  const user = await client.getCurrentUser();
-  console.log(`✅ Authenticated as: ${user.display_name || user.id}`);
+  let defaultName;
+  if (format === 'library' && options.playlist) {
+    defaultName = options.nameTemplate
+      ? formatPlaylistName(options.nameTemplate, playlistInfo)
+      : playlistInfo.name;
+  } else {
+    // M3U, JSON and Apple Music pages may name the playlist themselves
+    defaultName = (format !== 'library' && playlistInfo.name) || path.basename(options.file, path.extname(options.file));
+  }
+
+  return {
+    parser,
+    appleTracks,
+    defaultName,
+    format,
+    sourceKey: getSourceKey(options.file, playlistInfo.playlist)
+  };
+}
+
+/**
+ * Identifies an Apple playlist across exports: library playlists by their Persistent ID, which
+ * survives renames; anything else by its file path.
+ */
+function getSourceKey(file, playlist = null) {
+  if (playlist && playlist['Playlist Persistent ID']) {
+    return `apple:${playlist['Playlist Persistent ID']}`;
+  }
+  return `file:${path.resolve(file)}${playlist ? `#${playlist.Name}` : ''}`;
+}
+
+async function rememberPlaylist(sourceKey, playlist, details = {}) {
+  const mappings = await new PlaylistMappings().load();
+  mappings.set(sourceKey, playlist, details);
+  await mappings.save();
+}
+
+async function convertPlaylist(options) {
+  const credentials = getCredentials(options);
+  const source = await loadSourcePlaylist(options);
+
+  if (source.folder) {
+    if (options.name) {
+      throw new Error('-n/--name cannot be used when converting a folder; use --name-template instead');
+    }
+
+    const { parser, folder } = source;
+    console.log(`📁 Converting folder "${[...parser.getFolderPath(folder), folder.Name].join('/')}"`);
+    const entries = parser.getPlaylistsUnder(folder).map(p => parser.describePlaylist(p));
+    await convertPlaylistSet(parser, entries, options, credentials);
+    return;
+  }
+
+  const { client, user } = await connectToSpotify(credentials, options);
+
+  const playlistName = options.name || source.defaultName;
+  const description = options.description || `Converted from Apple Music ${source.format === 'library' ? 'library' : 'playlist'} • ${new Date().toLocaleDateString()}`;
+
+  const result = await transferTracks(client, user, source.appleTracks, {
+    playlistName,
+    description,
+    ...getOutputSettings(options)
+  });
+
+  if (result.playlist) {
+    await rememberPlaylist(source.sourceKey, { ...result.playlist, name: playlistName });
+  }
+}
+
+async function syncPlaylist(options) {
+  const credentials = getCredentials(options);
+  const source = await loadSourcePlaylist(options);
+
+  if (source.folder) {
+    throw new Error('sync works on one playlist at a time; pick a playlist inside the folder with -p');
+  }
+
+  const { client, user } = await connectToSpotify(credentials, { ...options, scopes: SpotifyClient.PLAYLIST_LOOKUP_SCOPES });
+  await syncTracks(client, user, { ...source, playlistName: options.name || source.defaultName }, options);
+}
+
+/**
+ * Brings the Spotify copy of an Apple playlist in line with its tracks: finds (or creates) the
+ * playlist, adds what is missing, removes what is gone with --remove and fixes the order.
+ *
+ * @param {Object} source - { appleTracks, sourceKey, playlistName, details }, where `details` is
+ *   stored with the playlist mapping once the sync is done
+ * @returns {Object|null} The playlist, or null on a dry run
+ */
+async function syncTracks(client, user, source, options) {
+  const settings = getOutputSettings(options);
+  const { playlistName } = source;
+  const target = await findSyncTarget(client, user, source.sourceKey, playlistName, options);
+
+  if (target) {
+    console.log(`\n🎯 Syncing into "${target.playlist.name}" (found by ${target.via}): ${target.playlist.external_urls.spotify}`);
+  } else {
+    console.log(`\n🎯 No Spotify playlist "${playlistName}" yet; it will be created`);
+  }
+
+  const { tracks: appleTracks, dropped: appleDuplicates } = settings.duplicatePolicy
+    .collapseAppleTracks(source.appleTracks, SpotifyClient.getMatchCacheKey);
+
+  console.log('\n🔍 Searching for tracks on Spotify...');
+  const searchResults = await client.searchAndMatchTracks(appleTracks);
+  printSearchResults(searchResults);
+
+  const { found, dropped } = settings.duplicatePolicy.collapseMatches(searchResults.found);
+  printDuplicates([...appleDuplicates, ...dropped], settings.duplicatePolicy);
+
+  if (settings.report) {
+    await writeMatchReport(searchResults, playlistName, settings);
+  }
+
+  if (searchResults.failed.length > 0 && !settings.dryRun) {
+    throw new Error(`${searchResults.failed.length} tracks could not be searched; the playlist was not changed`);
+  }
+
+  const wantedUris = found.map(result => result.uri);
+  const currentTracks = target ? await client.getPlaylistTracks(target.playlist.id) : [];
+  // Local files and unavailable tracks can be neither matched nor removed through the API
+  const syncableUris = currentTracks.filter(track => track.uri && !track.is_local).map(track => track.uri);
+  const plan = client.planSync(wantedUris, syncableUris);
+  const toRemove = options.remove ? plan.toRemove : [];
+
+  // What the playlist will hold once the removals and (appended) additions are done
+  const removed = new Set(toRemove);
+  const afterChanges = [...currentTracks.map(track => track.uri).filter(uri => !removed.has(uri)), ...plan.toAdd];
+  const reorders = options.reorder === false ? [] : client.planReorder(afterChanges, wantedUris);
+
+  console.log(`\n🔄 Sync plan: ${plan.unchanged} already there, ${plan.toAdd.length} to add, ${toRemove.length} to remove, ${reorders.length} moves to match the Apple order`);
+  if (plan.toRemove.length > 0 && !options.remove) {
+    console.log(`  ${plan.toRemove.length} tracks on Spotify are not in the Apple playlist; use --remove to delete them`);
+  }
+  if (toRemove.length > 0) {
+    const names = new Map(currentTracks.map(track => [track.uri, track]));
+    toRemove.forEach(uri => {
+      const track = names.get(uri);
+      console.log(`  − "${track.name}" by "${(track.artists || []).map(artist => artist.name).join(', ')}"`);
+    });
+  }
+
+  if (settings.dryRun) {
+    console.log('\n🧪 Dry run: the playlist was not changed.');
+    await writePlaylistExport(searchResults, found, playlistName, target ? target.playlist : null, settings);
+    return null;
+  }
+
+  let playlist = target ? target.playlist : null;
+  if (!playlist) {
+    const description = options.description || `Synced from Apple Music • ${new Date().toLocaleDateString()}`;
+    playlist = await client.createPlaylist(user.id, playlistName, description, settings.isPublic);
+    console.log(`✅ Playlist created: ${playlist.external_urls.spotify}`);
+  }
+
+  let snapshotId = playlist.snapshot_id || null;
+  if (toRemove.length > 0) {
+    const responses = await client.removeTracksFromPlaylist(playlist.id, toRemove);
+    snapshotId = responses[responses.length - 1].snapshot_id;
+  }
+  if (plan.toAdd.length > 0) {
+    const responses = await client.addTracksToPlaylist(playlist.id, plan.toAdd, ADD_BATCH_SIZE);
+    snapshotId = responses[responses.length - 1].snapshot_id;
+  }
+  if (reorders.length > 0) {
+    await client.reorderPlaylist(playlist.id, reorders, snapshotId);
+  }
+
+  await rememberPlaylist(source.sourceKey, { ...playlist, name: playlist.name || playlistName }, source.details);
+
+  console.log(`\n🎉 Synced: ${plan.toAdd.length} added, ${toRemove.length} removed, ${reorders.length} moved.`);
+  console.log(`🔗 Playlist URL: ${playlist.external_urls.spotify}`);
+  await writePlaylistExport(searchResults, found, playlistName, playlist, settings);
+  return playlist;
+}
+
+/**
+ * Searches again for the tracks in a failures file and appends what is found to the playlist the
+ * file belongs to. Tracks with a Spotify URI as hint are used as is, "skip" drops a track; the
+ * file is rewritten with whatever is still missing.
+ */
+async function retryFailures(options) {
+  const credentials = getCredentials(options);
+  const failures = await FailuresFile.read(options.file);
+  if (failures.tracks.length === 0) {
+    console.log('✅ Nothing to retry.');
+    return;
+  }
+
+  const playlistId = options.playlistId ? SpotifyClient.toPlaylistId(options.playlistId) : failures.playlist && failures.playlist.id;
+  if (!playlistId) {
+    throw new Error(options.playlistId
+      ? `Not a Spotify playlist ID, URI or URL: ${options.playlistId}`
+      : `${options.file} does not say which playlist the tracks belong to; pass --playlist-id`);
+  }
+
+  console.log(`🔁 Retrying ${failures.tracks.length} tracks from ${options.file}`);
+  const { client } = await connectToSpotify(credentials, { ...options, retry: true });
+  const settings = getOutputSettings(options);
+  const playlist = await client.getPlaylist(playlistId, 'id,name,external_urls');
+  console.log(`\n🎯 Adding to "${playlist.name}": ${playlist.external_urls.spotify}`);
+
+  const isSkip = (track) => /^skip$/i.test(String(track.hint || '').trim());
+  const isUri = (track) => !!SpotifyClient.toTrackUri(track.hint);
+  const skipped = failures.tracks.filter(isSkip);
+  const toSearch = failures.tracks.filter(track => !isSkip(track) && !isUri(track));
+  const hinted = [];
+  const stillMissing = [];
+
+  for (const track of failures.tracks.filter(track => !isSkip(track) && isUri(track))) {
+    try {
+      const spotifyTrack = await client.getTrack(track.hint);
+      if (client.decisions) {
+        client.decisions.set(SpotifyClient.getMatchCacheKey(track), track, spotifyTrack);
+      }
+      hinted.push({ original: track, spotify: spotifyTrack, uri: spotifyTrack.uri, strategy: 'hint' });
+      console.log(`  ✓ "${track.name}" by "${track.artist}" → "${spotifyTrack.name}" (from hint)`);
+    } catch (error) {
+      console.log(`  ⚠️  "${track.name}" by "${track.artist}": ${error.message}`);
+      stillMissing.push(track);
+    }
+  }
+  if (client.decisions) {
+    await client.decisions.save();
+  }
+
+  let searchResults = { found: [], notFound: [], skipped: [], failed: [], uncertain: [], matches: [], total: 0 };
+  if (toSearch.length > 0) {
+    console.log('\n🔍 Searching for tracks on Spotify...');
+    searchResults = await client.searchAndMatchTracks(toSearch, { refresh: true });
+    printSearchResults(searchResults);
+    if (settings.report) {
+      await writeMatchReport(searchResults, `${playlist.name} retry`, settings);
+    }
+  }
+
+  const { found, dropped } = settings.duplicatePolicy.collapseMatches([...hinted, ...searchResults.found]);
+  printDuplicates(dropped, settings.duplicatePolicy);
+
+  // A retry run twice must not add the same track twice
+  const existing = new Set((await client.getPlaylistTracks(playlist.id)).map(track => track.uri));
+  const toAdd = [...new Set(found.map(result => result.uri))].filter(uri => !existing.has(uri));
+
+  // Tracks a skip override or decision leaves out are dropped from the file like "skip" hints
+  skipped.push(...searchResults.skipped);
+  stillMissing.push(...searchResults.notFound, ...searchResults.failed.map(result => result.original));
+  console.log(`\n🔁 Retry: ${found.length} found (${toAdd.length} new to the playlist), ${stillMissing.length} still missing, ${skipped.length} skipped`);
+
+  if (settings.dryRun) {
+    console.log('\n🧪 Dry run: the playlist and the failures file were not changed.');
+    return;
+  }
+
+  if (toAdd.length > 0) {
+    await client.addTracksToPlaylist(playlist.id, toAdd, ADD_BATCH_SIZE);
+    console.log(`🎵 Added ${toAdd.length} tracks to ${playlist.external_urls.spotify}`);
+  }
+
+  failures.playlist = failures.playlist || { id: playlist.id, name: playlist.name, url: playlist.external_urls.spotify };
+  failures.tracks = stillMissing;
+  const written = await failures.write();
+  console.log(written.length > 0
+    ? `📄 Still missing: ${written.join(', ')}`
+    : '✅ Every track is accounted for; the failures file was removed.');
+}
+
+/**
+ * Matches every Loved or Favorited track in the library and saves the matches to Liked Songs,
+ * leaving out the ones already saved. The only command that asks for the library scopes.
+ */
+async function saveLovedTracks(options) {
+  const credentials = getCredentials(options);
+  if (!await fs.pathExists(options.file)) {
+    throw new Error(`File not found: ${options.file}`);
+  }
+  if (path.extname(options.file).toLowerCase() !== '.xml') {
+    throw new Error('Loved and Favorited flags are only in XML library exports');
+  }
+
+  console.log('🍎 Parsing Apple Music XML library...');
+  const parser = new AppleXmlParser();
+  await parser.parseFile(options.file, { onProgress: createProgressReporter('Reading library') });
+  const lovedTracks = parser.getLovedTracks();
+  if (lovedTracks.length === 0) {
+    console.log('🤍 No Loved or Favorited tracks in this library.');
+    return;
+  }
+  console.log(`❤️  ${lovedTracks.length} Loved or Favorited tracks`);
 
-  console.log('\\n🔍 Searching for tracks on Spotify...');
+  const { client } = await connectToSpotify(credentials, { ...options, scopes: LIBRARY_SCOPES });
+  const settings = getOutputSettings(options);
+  const { tracks: appleTracks, dropped: appleDuplicates } = settings.duplicatePolicy
+    .collapseAppleTracks(lovedTracks, SpotifyClient.getMatchCacheKey);
+
+  console.log('\n🔍 Searching for tracks on Spotify...');
   const searchResults = await client.searchAndMatchTracks(appleTracks);
+  printSearchResults(searchResults);
+
+  const { found, dropped } = settings.duplicatePolicy.collapseMatches(searchResults.found);
+  printDuplicates([...appleDuplicates, ...dropped], settings.duplicatePolicy);
+
+  if (settings.report) {
+    await writeMatchReport(searchResults, 'Liked Songs', settings);
+  }
+
+  if (searchResults.failed.length > 0 && !settings.dryRun) {
+    // Saving now would leave these tracks out without a trace
+    throw new Error(`${searchResults.failed.length} tracks could not be searched; Liked Songs was not changed`);
+  }
+
+  const trackUris = [...new Set(found.map(result => result.uri))];
+  const saved = await client.containsSavedTracks(trackUris);
+  const toSave = trackUris.filter((uri, index) => !saved[index]);
+  console.log(`\n❤️  ${trackUris.length} matched, ${trackUris.length - toSave.length} already in Liked Songs, ${toSave.length} to save`);
+
+  if (settings.dryRun) {
+    console.log('\n🧪 Dry run: Liked Songs were not changed.');
+    return;
+  }
+
+  if (toSave.length > 0) {
+    await client.saveTracks(toSave, SAVE_BATCH_SIZE);
+    console.log(`\n🎉 Saved ${toSave.length} tracks to Liked Songs.`);
+  } else {
+    console.log('\n✅ Liked Songs already has every matched track.');
+  }
+}
+
+/**
+ * Works out the tracks of each smart playlist from its rules and the library, and syncs them into
+ * a Spotify playlist, removals included. A fingerprint of the tracks is kept with the playlist
+ * mapping, so playlists whose tracks are unchanged since the last run are left alone (and need
+ * no login). With --watch this repeats whenever the library file changes.
+ */
+async function recreateSmartPlaylists(options) {
+  const credentials = getCredentials(options);
+  if (!await fs.pathExists(options.file)) {
+    throw new Error(`File not found: ${options.file}`);
+  }
+  if (path.extname(options.file).toLowerCase() !== '.xml') {
+    throw new Error('Smart playlist rules are only in XML library exports');
+  }
+
+  let connection = null;
+  const connect = async () => {
+    // Syncing looks the playlists up by name, private ones included
+    connection = connection || await connectToSpotify(credentials, { ...options, scopes: SpotifyClient.PLAYLIST_LOOKUP_SCOPES });
+    return connection;
+  };
+
+  await updateSmartPlaylists(options, connect);
+  if (!options.watch) {
+    return;
+  }
+
+  console.log(`\n👀 Watching ${options.file} for changes (Ctrl-C to stop)...`);
+  let running = Promise.resolve();
+  fs.watchFile(options.file, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs || current.size === 0) {
+      return;
+    }
+    running = running
+      .then(() => {
+        console.log(`\n🔔 ${options.file} changed at ${current.mtime.toLocaleString()}`);
+        return updateSmartPlaylists(options, connect);
+      })
+      // Music.app may still be writing the file; the next change triggers another run
+      .catch(error => console.error(`❌ ${error.message}`));
+  });
+}
+
+async function updateSmartPlaylists(options, connect) {
+  console.log('🍎 Parsing Apple Music XML library...');
+  const parser = new AppleXmlParser();
+  await parser.parseFile(options.file, { onProgress: createProgressReporter('Reading library') });
+
+  let smartPlaylists = parser.getSmartPlaylists();
+  if (options.playlist) {
+    const selected = parser.findPlaylist(options.playlist);
+    if (!selected) {
+      throw new Error(`Playlist "${options.playlist}" not found`);
+    }
+    if (!selected.Folder && !parser.isSmartPlaylist(selected)) {
+      throw new Error(`"${options.playlist}" is not a smart playlist; use sync for regular playlists`);
+    }
+    smartPlaylists = selected.Folder
+      ? parser.getPlaylistsUnder(selected).filter(p => parser.isSmartPlaylist(p))
+      : [selected];
+  }
+  if (smartPlaylists.length === 0) {
+    console.log('No smart playlists found.');
+    return;
+  }
+
+  const mappings = await new PlaylistMappings().load();
+  const nameTemplate = options.nameTemplate || DEFAULT_NAME_TEMPLATE;
+  let updated = 0;
+  let unchanged = 0;
+  const problems = [];
+
+  for (const playlist of smartPlaylists) {
+    const entry = parser.describePlaylist(playlist);
+    const playlistName = formatPlaylistName(nameTemplate, entry);
+    console.log(`\n━━━ ${playlistName} ━━━`);
+
+    const smart = SmartPlaylist.fromPlaylist(playlist);
+    smart.describe().forEach(line => console.log(`  ${line}`));
+    if (!smart.supported) {
+      console.log(`⚠️  Skipped: cannot evaluate ${smart.unsupported.join(', ')}`);
+      problems.push(playlistName);
+      continue;
+    }
+
+    const appleTracks = parser.toSpotifyTracks(smart.evaluate(parser.tracks));
+    console.log(`📊 ${appleTracks.length} tracks by its rules (${entry.itemCount} in the export)`);
+
+    const sourceKey = getSourceKey(options.file, playlist);
+    const contents = crypto.createHash('sha1')
+      .update(appleTracks.map(track => track.originalTrack['Persistent ID'] || track.originalTrack['Track ID']).join('\n'))
+      .digest('hex');
+    const mapped = mappings.get(sourceKey);
+    if (mapped && mapped.contents === contents && !options.force) {
+      console.log(`⏭️  Unchanged since the last run: ${mapped.url}`);
+      unchanged++;
+      continue;
+    }
+
+    try {
+      const { client, user } = await connect();
+      await syncTracks(client, user, { appleTracks, sourceKey, playlistName, details: { contents } }, { ...options, remove: true });
+      updated++;
+    } catch (error) {
+      console.error(`❌ ${playlistName}: ${error.message}`);
+      problems.push(playlistName);
+    }
+  }
+
+  console.log(`\n🧠 Smart playlists: ${updated} updated, ${unchanged} unchanged, ${problems.length} skipped or failed`);
+  if (problems.length > 0 && updated + unchanged === 0) {
+    throw new Error('No smart playlists could be recreated');
+  }
+}
+
+/**
+ * Reads a Spotify playlist or Liked Songs and writes it as a Music.app XML playlist and a text
+ * export, for moving the other way. Episodes and tracks that are no longer available are left out.
+ */
+async function exportSpotifyPlaylist(options) {
+  if (Boolean(options.playlistId) === Boolean(options.liked)) {
+    throw new Error('Pass either --playlist-id or --liked');
+  }
+
+  const playlistId = options.playlistId ? SpotifyClient.toPlaylistId(options.playlistId) : null;
+  if (options.playlistId && !playlistId) {
+    throw new Error(`Not a Spotify playlist ID, URI or URL: ${options.playlistId}`);
+  }
+
+  const credentials = getCredentials(options);
+  console.log('\n🔐 Authenticating with Spotify...');
+  // Private and collaborative playlists can only be read with playlist-read-private
+  const auth = createAuth(credentials, [options.liked ? 'user-library-read' : 'playlist-read-private']);
+  await auth.ensureAuthenticated();
+  const client = new SpotifyClient(auth);
+
+  let name;
+  let description = '';
+  let items;
+  if (options.liked) {
+    name = 'Liked Songs';
+    console.log('\n❤️  Reading Liked Songs...');
+    items = await client.getSavedTracks();
+  } else {
+    const playlist = await client.getPlaylist(playlistId, 'name,description');
+    name = playlist.name;
+    description = playlist.description || '';
+    console.log(`\n📥 Reading "${playlist.name}"...`);
+    items = await client.getPlaylistTracks(playlistId, EXPORT_TRACK_FIELDS);
+  }
+
+  const tracks = items.filter(track => track.uri && track.type !== 'episode' && track.name);
+  if (tracks.length < items.length) {
+    console.log(`  ${items.length - tracks.length} episodes or unavailable tracks left out`);
+  }
+  if (tracks.length === 0) {
+    throw new Error(`"${name}" has no tracks to export`);
+  }
+
+  const playlistName = options.name || name;
+  const writer = new ApplePlaylistWriter(playlistName, tracks, { description });
+  const written = await writer.write(path.join(options.outputDir || '.', safeFileName(playlistName)));
+
+  console.log(`\n🎉 Exported ${tracks.length} tracks to: ${written.join(', ')}`);
+  console.log('   In Music.app, choose File → Library → Import Playlist… and pick either file');
+}
+
+/**
+ * Finds the Spotify playlist to sync into: --playlist-id, then the playlist this Apple playlist
+ * was last converted or synced into, then an own playlist with the same name.
+ * Returns { playlist, via } or null.
+ */
+async function findSyncTarget(client, user, sourceKey, playlistName, options) {
+  const fields = 'id,name,external_urls,owner(id),snapshot_id';
 
-  console.log(`\\n📋 Search Results:`);
+  if (options.playlistId) {
+    const id = SpotifyClient.toPlaylistId(options.playlistId);
+    if (!id) {
+      throw new Error(`Not a Spotify playlist ID, URI or URL: ${options.playlistId}`);
+    }
+    return { playlist: await client.getPlaylist(id, fields), via: 'ID' };
+  }
+
+  const mappings = await new PlaylistMappings().load();
+  const mapped = mappings.get(sourceKey);
+  if (mapped) {
+    try {
+      return { playlist: await client.getPlaylist(mapped.id, fields), via: 'saved mapping' };
+    } catch (error) {
+      console.warn(`⚠️  The playlist this was last synced into is gone (${error.message}); looking it up by name`);
+    }
+  }
+
+  const byName = await client.findOwnPlaylists(user.id, playlistName);
+  if (byName.length > 1) {
+    console.warn(`⚠️  ${byName.length} of your playlists are called "${playlistName}"; using the first. Pass --playlist-id to pick another.`);
+  }
+  return byName.length > 0 ? { playlist: byName[0], via: 'name' } : null;
+}
+
+function getOutputSettings(options) {
+  return {
+    isPublic: options.public || false,
+    dryRun: options.dryRun || false,
+    report: options.report || options.dryRun || false,
+    reportDir: options.reportDir || '.',
+    reportFormat: options.reportFormat || 'md',
+    exportFormats: options.export ? PlaylistExport.parseFormats(options.export) : [],
+    exportDir: options.exportDir || '.',
+    resume: options.resume || false,
+    duplicatePolicy: new DuplicatePolicy(options.duplicates),
+    source: options.file
+  };
+}
+
+function safeFileName(name) {
+  return name.replace(/[\/\\:*?"<>|]+/g, '_').trim() || 'playlist';
+}
+
+function printSearchResults(searchResults) {
+  console.log(`\n📋 Search Results:`);
   console.log(`  ✅ Found: ${searchResults.found.length}/${searchResults.total}`);
   console.log(`  ❌ Not found: ${searchResults.notFound.length}/${searchResults.total}`);
+  if (searchResults.skipped.length > 0) {
+    console.log(`  ⏭️  Skipped: ${searchResults.skipped.length}/${searchResults.total}`);
+  }
+  if (searchResults.failed.length > 0) {
+    console.log(`  ⚠️  Search failed: ${searchResults.failed.length}/${searchResults.total}`);
+  }
+
+  const overridden = searchResults.matches.filter(result => result.strategy === 'override').length;
+  if (overridden > 0) {
+    console.log(`  📌 From overrides: ${overridden}`);
+  }
+
+  const fallbacks = searchResults.found.filter(result => result.strategy && !['exact', 'override'].includes(result.strategy));
+  if (fallbacks.length > 0) {
+    const counts = {};
+    fallbacks.forEach(result => { counts[result.strategy] = (counts[result.strategy] || 0) + 1; });
+    console.log(`  🔎 Found by fallback searches: ${Object.entries(counts).map(([strategy, count]) => `${strategy} ${count}`).join(', ')}`);
+  }
 
   if (searchResults.notFound.length > 0) {
-    console.log('\\n❌ Tracks not found on Spotify:');
+    console.log('\n❌ Tracks not found on Spotify:');
     searchResults.notFound.forEach(track => {
       console.log(`  • "${track.name}" by "${track.artist}"`);
     });
   }
 
+  if (searchResults.uncertain.length > 0) {
+    console.log(`\n⚠️  ${searchResults.uncertain.length} matches are below the confidence threshold and were not reviewed:`);
+    searchResults.uncertain.forEach(result => {
+      console.log(`  • "${result.original.name}" by "${result.original.artist}" → "${result.spotify.name}" by "${result.spotify.artists[0].name}" (${Math.round(result.confidence * 100)}%)`);
+    });
+    console.log('  Run in a terminal without --no-review to check them, or use --dry-run for a full report.');
+  }
+
+  if (searchResults.failed.length > 0) {
+    console.log(`\n⚠️  ${searchResults.failed.length} searches still failed after retrying:`);
+    searchResults.failed.forEach(result => {
+      console.log(`  • ${result.error}`);
+    });
+  }
+}
+
+function printDuplicates(duplicates, policy) {
+  if (duplicates.length === 0) {
+    return;
+  }
+
+  console.log(`\n🔁 ${duplicates.length} duplicates left out (--duplicates ${policy.policy}):`);
+  duplicates.forEach(({ original, duplicateOf, reason }) => {
+    console.log(`  • "${original.name}" by "${original.artist}" — ${reason} "${duplicateOf.name}" by "${duplicateOf.artist}"`);
+  });
+}
+
+async function writeMatchReport(searchResults, playlistName, settings) {
+  const report = new MatchReport(searchResults, { playlist: playlistName, source: settings.source });
+  const reportBase = path.join(settings.reportDir, `${safeFileName(playlistName)}_match_report`);
+  const written = await report.write(reportBase, settings.reportFormat);
+  console.log(`\n📑 Match report saved to: ${written.join(', ')}`);
+}
+
+async function writePlaylistExport(searchResults, found, playlistName, playlist, settings) {
+  if (settings.exportFormats.length === 0) {
+    return;
+  }
+
+  const playlistExport = new PlaylistExport(searchResults, {
+    playlist: { name: playlistName, id: playlist ? playlist.id : null, url: playlist ? playlist.external_urls.spotify : null },
+    source: settings.source,
+    found
+  });
+  const exportBase = path.join(settings.exportDir, `${safeFileName(playlistName)}_spotify`);
+  const written = await playlistExport.write(exportBase, settings.exportFormats);
+  console.log(`📦 Playlist exported to: ${written.join(', ')}`);
+}
+
+async function transferTracks(client, user, sourceTracks, settings) {
+  const { tracks: appleTracks, dropped: appleDuplicates } = settings.duplicatePolicy
+    .collapseAppleTracks(sourceTracks, SpotifyClient.getMatchCacheKey);
+
+  const runState = await openRunState(client, appleTracks, settings);
+  if (!runState) {
+    return runTransfer(client, user, appleTracks, settings, null, appleDuplicates);
+  }
+
+  if (runState.state.completedAt) {
+    const matched = runState.state.matches.filter(match => match && match.uri).length;
+    console.log(`⏭️  Already converted on ${new Date(runState.state.completedAt).toLocaleString()}: ${runState.state.playlist.url}`);
+    return {
+      playlist: { id: runState.state.playlist.id, external_urls: { spotify: runState.state.playlist.url } },
+      found: matched,
+      notFound: runState.resolvedCount - matched,
+      total: sourceTracks.length
+    };
+  }
+
+  // Ctrl-C exits without unwinding, so write what is in memory before going
+  const onInterrupt = () => {
+    runState.saveSync();
+    console.log('\n⏸️  Interrupted. Run the same command with --resume to continue.');
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+
+  try {
+    return await runTransfer(client, user, appleTracks, settings, runState, appleDuplicates);
+  } catch (error) {
+    await runState.save();
+    throw new Error(`${error.message} (progress saved; run the same command with --resume to continue)`);
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Returns the checkpoint for this conversion: the interrupted run's with --resume, otherwise a
+ * fresh one. Dry runs change nothing on Spotify and are not checkpointed.
+ */
+async function openRunState(client, appleTracks, settings) {
+  if (settings.dryRun) {
+    return null;
+  }
+
+  return RunState.open({
+    source: settings.source,
+    playlistName: settings.playlistName,
+    keys: appleTracks.map(SpotifyClient.getMatchCacheKey),
+    resume: settings.resume
+  });
+}
+
+async function runTransfer(client, user, appleTracks, settings, runState, appleDuplicates = []) {
+  const { playlistName, description, isPublic } = settings;
+
+  console.log('\n🔍 Searching for tracks on Spotify...');
+  const searchResults = await client.searchAndMatchTracks(appleTracks, { checkpoint: runState });
+
+  printSearchResults(searchResults);
+
+  const { found, dropped } = settings.duplicatePolicy.collapseMatches(searchResults.found);
+  const duplicates = [...appleDuplicates, ...dropped];
+  printDuplicates(duplicates, settings.duplicatePolicy);
+
+  if (settings.report) {
+    await writeMatchReport(searchResults, playlistName, settings);
+  }
+
+  if (searchResults.failed.length > 0 && !settings.dryRun) {
+    // Creating the playlist now would silently leave these tracks out
+    throw new Error(`${searchResults.failed.length} tracks could not be searched`);
+  }
+
+  if (settings.dryRun) {
+    console.log('\n🧪 Dry run: no playlist was created.');
+    await writePlaylistExport(searchResults, found, playlistName, null, settings);
+    return {
+      playlist: null,
+      dryRun: true,
+      found: searchResults.found.length,
+      notFound: searchResults.notFound.length,
+      duplicates: duplicates.length,
+      total: searchResults.total
+    };
+  }
+
   if (searchResults.found.length === 0) {
     throw new Error('No tracks were found on Spotify');
   }
 
-  let defaultName;
-  if (fileExt === '.xml' && options.playlist) {
-    defaultName = options.playlist;
+  const trackUris = found.map(result => result.uri);
+  let playlist;
+  let completedBatches = [];
+
+  if (runState && runState.state.playlist) {
+    playlist = { id: runState.state.playlist.id, external_urls: { spotify: runState.state.playlist.url } };
+    console.log(`\n📝 Continuing with the playlist created earlier: ${playlist.external_urls.spotify}`);
+    completedBatches = await runState.confirmAddedBatches(client, playlist.id, trackUris.length, ADD_BATCH_SIZE);
   } else {
-    defaultName = path.basename(options.file, path.extname(options.file));
+    console.log(`\n📝 Creating Spotify playlist: "${playlistName}"`);
+    playlist = await client.createPlaylist(user.id, playlistName, description, isPublic);
+    console.log(`✅ Playlist created: ${playlist.external_urls.spotify}`);
+    if (runState) {
+      await runState.setPlaylist(playlist);
+    }
   }
-  
-  const playlistName = options.name || defaultName;
-  const description = options.description || `Converted from Apple Music ${fileExt === '.xml' ? 'library' : 'playlist'} • ${new Date().toLocaleDateString()}`;
 
-  console.log(`\\n📝 Creating Spotify playlist: "${playlistName}"`);
-  const playlist = await client.createPlaylist(user.id, playlistName, description, options.public || false);
-  console.log(`✅ Playlist created: ${playlist.external_urls.spotify}`);
+  console.log('\n🎵 Adding tracks to playlist...');
+  await client.addTracksToPlaylist(playlist.id, trackUris, ADD_BATCH_SIZE, {
+    completedBatches,
+    onBatchAdded: runState ? (index, size) => runState.markBatchAdded(index, size) : undefined
+  });
 
-  console.log('\\n🎵 Adding tracks to playlist...');
-  const trackUris = searchResults.found.map(result => result.uri);
-  await client.addTracksToPlaylist(playlist.id, trackUris);
+  if (runState) {
+    await runState.complete();
+  }
   
-  console.log(`\\n🎉 Success! Converted ${searchResults.found.length} tracks to Spotify playlist.`);
+  console.log(`\n🎉 Success! Converted ${trackUris.length} tracks to Spotify playlist.`);
   console.log(`🔗 Playlist URL: ${playlist.external_urls.spotify}`);
+  await writePlaylistExport(searchResults, found, playlistName, playlist, settings);
 
   if (searchResults.notFound.length > 0) {
-    const failedFile = `${playlistName}_not_found.txt`;
-    const failedContent = searchResults.notFound
-      .map(track => `${track.name}\\t${track.artist}\\t${track.album}`)
-      .join('\\n');
-    
-    await fs.writeFile(failedFile, `Name\\tArtist\\tAlbum\\n${failedContent}`);
-    console.log(`📄 Tracks not found saved to: ${failedFile}`);
+    const failures = new FailuresFile(`${safeFileName(playlistName)}_not_found`, {
+      playlist: { id: playlist.id, name: playlistName, url: playlist.external_urls.spotify },
+      source: settings.source
+    });
+    failures.tracks = searchResults.notFound;
+    const written = await failures.write();
+    console.log(`📄 Tracks not found saved to: ${written.join(', ')}`);
+    console.log(`   Add hints if you like and run "apple-to-spotify retry -f ${failures.jsonPath}" to search for them again`);
+  }
+
+  return {
+    playlist,
+    found: searchResults.found.length,
+    notFound: searchResults.notFound.length,
+    duplicates: duplicates.length,
+    total: searchResults.total
+  };
+}
+
+async function convertAllPlaylists(options) {
+  const credentials = getCredentials(options);
+
+  if (options.playlist || options.name) {
+    throw new Error('--all cannot be combined with -p/--playlist or -n/--name');
+  }
+
+  if (!await fs.pathExists(options.file)) {
+    throw new Error(`File not found: ${options.file}`);
+  }
+
+  if (path.extname(options.file).toLowerCase() !== '.xml') {
+    throw new Error('--all only works with XML library files');
+  }
+
+  console.log('🍎 Parsing Apple Music XML library...');
+  const parser = new AppleXmlParser();
+  await parser.parseFile(options.file, { onProgress: createProgressReporter('Reading library') });
+
+  await convertPlaylistSet(parser, parser.listPlaylists({ includeMaster: options.includeMaster }), options, credentials);
+}
+
+async function convertPlaylistSet(parser, entries, options, credentials) {
+  const includePatterns = (options.include || []).map(globToRegExp);
+  const excludePatterns = (options.exclude || []).map(globToRegExp);
+  const matchesAny = (patterns, entry) => {
+    const entryPath = [...entry.folderPath, entry.name].join('/');
+    return patterns.some(re => re.test(entry.name) || re.test(entryPath));
+  };
+
+  const selected = entries
+    .filter(p => options.includeSmart || !p.smart)
+    .filter(p => includePatterns.length === 0 || matchesAny(includePatterns, p))
+    .filter(p => !matchesAny(excludePatterns, p));
+
+  if (selected.length === 0) {
+    throw new Error('No playlists matched the selection');
+  }
+
+  const nameTemplate = options.nameTemplate || DEFAULT_NAME_TEMPLATE;
+  const planned = selected.map(entry => ({ ...entry, spotifyName: formatPlaylistName(nameTemplate, entry) }));
+
+  console.log(`📋 Converting ${planned.length} playlists:`);
+  planned.forEach(p => console.log(`  • ${p.spotifyName} (${p.itemCount} tracks)`));
+
+  const { client, user } = await connectToSpotify(credentials, options);
+  const summary = [];
+
+  for (const [index, playlistEntry] of planned.entries()) {
+    console.log(`\n━━━ [${index + 1}/${planned.length}] ${playlistEntry.spotifyName} ━━━`);
+
+    try {
+      const appleTracks = parser.getTracksForSpotify(playlistEntry.persistent_id || playlistEntry.name);
+      if (appleTracks.length === 0) {
+        throw new Error('No valid tracks found in the playlist');
+      }
+
+      const result = await transferTracks(client, user, appleTracks, {
+        playlistName: playlistEntry.spotifyName,
+        description: options.description || `Converted from Apple Music library • ${new Date().toLocaleDateString()}`,
+        ...getOutputSettings(options)
+      });
+
+      if (result.playlist) {
+        await rememberPlaylist(getSourceKey(options.file, parser.findPlaylist(playlistEntry.persistent_id || playlistEntry.name)),
+          { ...result.playlist, name: playlistEntry.spotifyName });
+      }
+
+      summary.push({ name: playlistEntry.spotifyName, ...result, url: result.playlist ? result.playlist.external_urls.spotify : null });
+    } catch (error) {
+      console.error(`❌ ${playlistEntry.spotifyName}: ${error.message}`);
+      summary.push({ name: playlistEntry.spotifyName, found: 0, notFound: 0, total: playlistEntry.itemCount, error: error.message });
+    }
+  }
+
+  printBatchSummary(summary);
+
+  if (summary.every(row => row.error)) {
+    throw new Error('No playlists were converted');
+  }
+}
+
+function printBatchSummary(summary) {
+  const nameWidth = Math.min(40, Math.max(8, ...summary.map(row => row.name.length)));
+  const pad = (value, width) => String(value).padEnd(width);
+  const padStart = (value, width) => String(value).padStart(width);
+
+  console.log('\n📊 Batch summary:\n');
+  console.log(`${pad('Playlist', nameWidth)}  ${padStart('Found', 6)}  ${padStart('Missed', 6)}  ${padStart('Total', 6)}  Result`);
+  console.log(`${'-'.repeat(nameWidth)}  ${'-'.repeat(6)}  ${'-'.repeat(6)}  ${'-'.repeat(6)}  ${'-'.repeat(6)}`);
+
+  for (const row of summary) {
+    const name = row.name.length > nameWidth ? `${row.name.slice(0, nameWidth - 1)}…` : row.name;
+    const result = row.error ? `❌ ${row.error}` : (row.dryRun ? '🧪 dry run' : `✅ ${row.url}`);
+    console.log(`${pad(name, nameWidth)}  ${padStart(row.found, 6)}  ${padStart(row.notFound, 6)}  ${padStart(row.total, 6)}  ${result}`);
+  }
+
+  const converted = summary.filter(row => !row.error);
+  const foundTotal = converted.reduce((sum, row) => sum + row.found, 0);
+  const trackTotal = converted.reduce((sum, row) => sum + row.total, 0);
+  const duplicateTotal = converted.reduce((sum, row) => sum + (row.duplicates || 0), 0);
+  console.log(`\n${converted.length}/${summary.length} playlists converted, ${foundTotal}/${trackTotal} tracks matched` +
+    (duplicateTotal > 0 ? `, ${duplicateTotal} duplicates left out` : ''));
+}
+
+/**
+ * Fills a name template such as "{folder} – {name}". When the playlist is not inside a
+ * folder, separators left dangling by the empty {folder}/{parent} are trimmed.
+ */
+function formatPlaylistName(template, { name, folderPath = [] }) {
+  const formatted = template
+    .replace(/\{name\}/g, name)
+    .replace(/\{folder\}/g, folderPath.join('/'))
+    .replace(/\{parent\}/g, folderPath[folderPath.length - 1] || '');
+
+  return formatted.replace(/^[\s\-–—:/|]+|[\s\-–—:/|]+$/g, '') || name;
+}
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+async function login(options) {
+  const credentials = getCredentials(options);
+  const auth = createAuth(credentials);
+
+  console.log('🔐 Logging in to Spotify...');
+  await auth.authenticate();
+
+  const user = await new SpotifyClient(auth).getCurrentUser();
+  console.log(`✅ Logged in as: ${user.display_name || user.id}`);
+  console.log(`💾 Session saved to: ${auth.tokenStore.filePath}`);
+}
+
+async function logout() {
+  const tokenStore = new TokenStore();
+  if (await tokenStore.clear()) {
+    console.log(`👋 Logged out. Removed ${tokenStore.filePath}`);
+  } else {
+    console.log('No saved Spotify session found.');
+  }
+}
+
+async function whoami(options) {
+  const credentials = getCredentials(options);
+  const auth = createAuth(credentials);
+
+  if (!await auth.loadSession()) {
+    console.log('Not logged in. Run "apple-to-spotify login" first.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const user = await new SpotifyClient(auth).getCurrentUser();
+  console.log(`👤 ${user.display_name || user.id} (${user.id})`);
+  console.log(`💾 Session file: ${auth.tokenStore.filePath}`);
+}
+
+async function cacheStats(options) {
+  const cache = await new MatchCache(undefined, { ttlDays: options.cacheTtl }).load();
+  const stats = cache.stats();
+
+  console.log(`🗄️  Match cache: ${stats.file}`);
+  console.log(`  Entries:   ${stats.total}`);
+  console.log(`  Found:     ${stats.found}`);
+  console.log(`  Not found: ${stats.notFound}`);
+  console.log(`  Skipped:   ${stats.skipped}`);
+  console.log(`  Manual:    ${stats.manual}`);
+  console.log(`  Expired:   ${stats.expired}`);
+  if (stats.oldest) {
+    console.log(`  Oldest:    ${stats.oldest}`);
+    console.log(`  Newest:    ${stats.newest}`);
+  }
+}
+
+async function cacheClear(options) {
+  const cache = await new MatchCache(undefined, { ttlDays: options.cacheTtl }).load();
+  const removed = cache.clear({ expired: options.expired, notFound: options.notFound, key: options.key });
+  await cache.save();
+  console.log(`🧹 Removed ${removed} entries from ${cache.filePath}`);
+}
+
+async function cacheExport(options) {
+  const cache = await new MatchCache().load();
+  const rows = cache.export();
+  let content;
+
+  if (options.format === 'csv') {
+    const csvCell = (value) => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['key', 'uri', 'spotify_name', 'spotify_artists', 'apple_name', 'apple_artist', 'apple_album', 'score', 'source', 'cached_at'];
+    const lines = rows.map(row => [
+      row.key,
+      row.uri,
+      row.track?.name,
+      row.track?.artists.join('; '),
+      row.apple?.name,
+      row.apple?.artist,
+      row.apple?.album,
+      row.score,
+      row.source,
+      row.cachedAt
+    ].map(csvCell).join(','));
+    content = [header.join(','), ...lines].join('\n') + '\n';
+  } else if (options.format === 'json') {
+    content = JSON.stringify(rows, null, 2) + '\n';
+  } else {
+    throw new Error(`Unknown export format "${options.format}" (expected json or csv)`);
+  }
+
+  if (options.output) {
+    await fs.writeFile(options.output, content);
+    console.log(`📄 Exported ${rows.length} entries to ${options.output}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+async function cachePin(options) {
+  if (!options.persistentId && !(options.name && options.artist)) {
+    throw new Error('Identify the track with --persistent-id, or --name and --artist');
+  }
+  if (!options.uri === !options.skip) {
+    throw new Error('Pass exactly one of --uri or --skip');
+  }
+
+  const appleTrack = {
+    name: options.name || '',
+    artist: options.artist || '',
+    album: options.album || '',
+    duration: options.duration || 0,
+    originalTrack: options.persistentId ? { 'Persistent ID': options.persistentId } : {}
+  };
+
+  let spotifyTrack = null;
+  const cache = await new MatchCache().load();
+
+  if (options.uri) {
+    const { client } = await connectToSpotify(getCredentials(options), { review: false, cache: false, overrides: false });
+    spotifyTrack = await client.getTrack(options.uri);
+  }
+
+  const key = SpotifyClient.getMatchCacheKey(appleTrack);
+  cache.set(key, { match: spotifyTrack, score: null, confidence: 1, skipped: !spotifyTrack }, options.persistentId ? null : appleTrack, 'manual');
+  await cache.save();
+
+  console.log(spotifyTrack
+    ? `📌 Pinned ${key} → "${spotifyTrack.name}" by "${spotifyTrack.artists[0].name}" (${spotifyTrack.uri})`
+    : `📌 Pinned ${key} → skip`);
+}
+
+async function checkOverrides(options) {
+  const overridesPath = options.file || await MatchOverrides.findDefault();
+  if (!overridesPath) {
+    throw new Error('No overrides file; pass -f or create overrides.yaml in the config directory');
+  }
+
+  const overrides = await loadOverrides(overridesPath);
+  const entries = overrides.entries.filter(entry => entry.uri);
+  const skips = overrides.entries.length - entries.length;
+
+  const identities = new Map();
+  overrides.entries.forEach(entry => {
+    const identity = entry.persistentId || overrides.nameKey(entry.name, entry.artist, entry.album);
+    if (identities.has(identity)) {
+      console.log(`⚠️  ${overrides.describe(entry)} repeats ${overrides.describe(identities.get(identity))}; only the first is used`);
+    } else {
+      identities.set(identity, entry);
+    }
+  });
+
+  if (entries.length === 0) {
+    console.log(`✅ ${overrides.entries.length} overrides, all skips; nothing to look up`);
+    return;
+  }
+
+  const { client } = await connectToSpotify(getCredentials(options), { review: false, cache: false, overrides: false });
+  const tracks = await client.getTracks(entries.map(entry => entry.uri));
+
+  let missing = 0;
+  entries.forEach((entry, index) => {
+    const track = tracks[index];
+    if (track) {
+      console.log(`  ✓ ${overrides.describe(entry)} → "${track.name}" by "${track.artists.map(artist => artist.name).join(', ')}"`);
+    } else {
+      missing++;
+      console.log(`  ✗ ${overrides.describe(entry)} → ${entry.uri} does not exist on Spotify`);
+    }
+  });
+
+  if (missing > 0) {
+    console.log(`\n❌ ${missing} of ${entries.length} overridden tracks no longer exist; fix or remove them in ${overridesPath}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\n✅ All ${entries.length} overridden tracks exist${skips ? ` (${skips} skips)` : ''}`);
   }
 }
 
@@ -190,9 +1592,10 @@ async function listPlaylists(options) {
 
   console.log('🍎 Parsing Apple Music XML library...');
   const parser = new AppleXmlParser();
-  await parser.parseFile(options.file);
-  
+  await parser.parseFile(options.file, { onProgress: createProgressReporter('Reading library') });
+
   const playlists = parser.listPlaylists();
+  const tree = parser.getPlaylistTree();
   const libraryInfo = parser.getPlaylistInfo();
 
   console.log(`📊 Library contains ${libraryInfo.totalTracks} tracks`);
@@ -201,13 +1604,44 @@ async function listPlaylists(options) {
   if (playlists.length === 0) {
     console.log('No playlists found in the library.');
   } else {
-    playlists.forEach((playlist, index) => {
-      console.log(`${index + 1}. ${playlist.name} (${playlist.itemCount} tracks)`);
-    });
-    
+    printPlaylistTree(tree);
+
     console.log(`\n💡 To convert a specific playlist, use:`);
     console.log(`   node index.js convert -f "${options.file}" -p "playlist name"`);
+    console.log(`💡 To convert everything in a folder, pass its path:`);
+    console.log(`   node index.js convert -f "${options.file}" -p "Folder/Subfolder"`);
   }
 }
 
+function printPlaylistTree(nodes, prefix = '') {
+  nodes.forEach((node, index) => {
+    const last = index === nodes.length - 1;
+    const branch = last ? '└── ' : '├── ';
+    const label = node.folder
+      ? `📁 ${node.name}`
+      : `${node.name} (${node.itemCount} tracks)${node.smart ? ' [smart]' : ''}`;
+
+    console.log(`${prefix}${branch}${label}`);
+    printPlaylistTree(node.children, `${prefix}${last ? '    ' : '│   '}`);
+  });
+}
+
+function createProgressReporter(label) {
+  if (!process.stdout.isTTY) {
+    return null;
+  }
+
+  let lastPercent = -1;
+  return ({ bytesRead, totalBytes, tracks }) => {
+    const percent = totalBytes ? Math.floor((bytesRead / totalBytes) * 100) : 0;
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+
+    process.stdout.write(`\r⏳ ${label}: ${percent}% (${tracks} tracks)`);
+    if (bytesRead >= totalBytes) {
+      process.stdout.write('\n');
+    }
+  };
+}
+
 program.parse();
@@ -0,0 +1,247 @@
+// The xml2js-based AppleXmlParser.parseFile that the streaming parser replaced, kept verbatim
+// (minus the accessors that ran after parsing) as the baseline for benchmarkXmlParser.js.
+// It reads the whole file into a string and builds the full xml2js DOM before mapping it.
+
+import fs from 'fs-extra';
+import xml2js from 'xml2js';
+
+export class BaselineXmlParser {
+    constructor() {
+        this.tracks = [];
+        this.playlists = [];
+    }
+
+    async parseFile(filePath) {
+        try {
+            const xmlContent = await fs.readFile(filePath, 'utf8');
+            const parser = new xml2js.Parser({ explicitArray: false });
+            const result = await parser.parseStringPromise(xmlContent);
+
+            const plist = result.plist;
+            if (!plist || !plist.dict) {
+                throw new Error('Invalid iTunes/Apple Music XML format');
+            }
+
+            const mainDict = plist.dict;
+            this.extractTracks(mainDict);
+            this.extractPlaylists(mainDict);
+
+            return this.tracks;
+        } catch (error) {
+            throw new Error(`Error parsing Apple Music XML: ${error.message}`);
+        }
+    }
+
+    extractTracks(mainDict) {
+        // The main dict has keys and corresponding values
+        // We need to find the 'Tracks' key and get its corresponding dict value
+        const keys = Array.isArray(mainDict.key) ? mainDict.key : [mainDict.key];
+        const tracksIndex = keys.indexOf('Tracks');
+        
+        if (tracksIndex === -1) {
+            console.warn('No Tracks key found in XML file');
+            return;
+        }
+
+        // Get the tracks dict - it should be the single dict in mainDict.dict
+        const tracksDict = mainDict.dict;
+        
+        if (!tracksDict || !tracksDict.key || !tracksDict.dict) {
+            console.warn('No tracks dict found');
+            return;
+        }
+
+        const trackIds = Array.isArray(tracksDict.key) ? tracksDict.key : [tracksDict.key];
+        const trackDicts = Array.isArray(tracksDict.dict) ? tracksDict.dict : [tracksDict.dict];
+
+        console.log(`Found ${trackIds.length} track entries`);
+
+        for (let i = 0; i < trackIds.length && i < trackDicts.length; i++) {
+            const trackId = trackIds[i];
+            const trackData = trackDicts[i];
+            
+            const track = this.parseDict(trackData);
+            if (track && track.Name && (track.Artist || track['Album Artist'])) {
+                track['Track ID'] = parseInt(trackId);
+                this.tracks.push(track);
+            }
+        }
+    }
+
+    extractPlaylists(mainDict) {
+        // Find the 'Playlists' key and get its corresponding array value
+        const keys = Array.isArray(mainDict.key) ? mainDict.key : [mainDict.key];
+        const playlistsIndex = keys.indexOf('Playlists');
+        
+        if (playlistsIndex === -1) {
+            console.warn('No Playlists key found in XML file');
+            return;
+        }
+
+        // Get the playlists array - it should be the single array in mainDict.array
+        const playlistsArray = mainDict.array;
+        
+        if (!playlistsArray || !playlistsArray.dict) {
+            console.warn('No playlists array found');
+            return;
+        }
+
+        const playlistDicts = Array.isArray(playlistsArray.dict) ? playlistsArray.dict : [playlistsArray.dict];
+
+        for (const playlistData of playlistDicts) {
+            const playlist = this.parseDict(playlistData);
+            if (playlist && playlist.Name) {
+                this.playlists.push(playlist);
+            }
+        }
+    }
+
+    parseDict(dictData) {
+        if (!dictData || !dictData.key) {
+            return {};
+        }
+
+        const result = {};
+        const keys = Array.isArray(dictData.key) ? dictData.key : [dictData.key];
+        
+        // Create a mapping of expected types for each key to help with parsing
+        const keyTypes = {
+            'Track ID': 'integer',
+            'Name': 'string',
+            'Artist': 'string', 
+            'Album Artist': 'string',
+            'Composer': 'string',
+            'Album': 'string',
+            'Genre': 'string',
+            'Kind': 'string',
+            'Size': 'integer',
+            'Total Time': 'integer',
+            'Disc Number': 'integer',
+            'Disc Count': 'integer',
+            'Track Number': 'integer', 
+            'Track Count': 'integer',
+            'Year': 'integer',
+            'Date Modified': 'date',
+            'Date Added': 'date',
+            'Bit Rate': 'integer',
+            'Sample Rate': 'integer',
+            'Play Count': 'integer',
+            'Play Date': 'integer',
+            'Play Date UTC': 'date',
+            'Release Date': 'date',
+            'Favorited': 'true',
+            'Loved': 'true',
+            'Artwork Count': 'integer',
+            'Sort Album': 'string',
+            'Sort Artist': 'string', 
+            'Sort Name': 'string',
+            'Persistent ID': 'string',
+            'Track Type': 'string',
+            'Apple Music': 'true',
+            'Playlist Items': 'array'
+        };
+
+        // Get all value arrays
+        const strings = dictData.string ? (Array.isArray(dictData.string) ? dictData.string : [dictData.string]) : [];
+        const integers = dictData.integer ? (Array.isArray(dictData.integer) ? dictData.integer : [dictData.integer]) : [];
+        const dates = dictData.date ? (Array.isArray(dictData.date) ? dictData.date : [dictData.date]) : [];
+        const trues = dictData.true !== undefined ? (Array.isArray(dictData.true) ? dictData.true.length : 1) : 0;
+        const falses = dictData.false !== undefined ? (Array.isArray(dictData.false) ? dictData.false.length : 1) : 0;
+        const arrays = dictData.array ? (Array.isArray(dictData.array) ? dictData.array : [dictData.array]) : [];
+
+        // Track indices for each value type
+        let stringIndex = 0, integerIndex = 0, dateIndex = 0, trueCount = 0, falseCount = 0, arrayIndex = 0;
+
+        // Match keys with values based on expected types
+        for (const key of keys) {
+            let value = null;
+            const expectedType = keyTypes[key];
+
+            switch (expectedType) {
+                case 'string':
+                    if (stringIndex < strings.length) {
+                        value = this.cleanString(strings[stringIndex]);
+                        stringIndex++;
+                    }
+                    break;
+                case 'integer':
+                    if (integerIndex < integers.length) {
+                        value = parseInt(integers[integerIndex]);
+                        integerIndex++;
+                    }
+                    break;
+                case 'date':
+                    if (dateIndex < dates.length) {
+                        value = new Date(dates[dateIndex]);
+                        dateIndex++;
+                    }
+                    break;
+                case 'true':
+                    if (trueCount < trues) {
+                        value = true;
+                        trueCount++;
+                    }
+                    break;
+                case 'false':
+                    if (falseCount < falses) {
+                        value = false;
+                        falseCount++;
+                    }
+                    break;
+                case 'array':
+                    if (arrayIndex < arrays.length) {
+                        const arrayData = arrays[arrayIndex];
+                        if (key === 'Playlist Items' && arrayData.dict) {
+                            value = this.parsePlaylistItems(arrayData);
+                        } else {
+                            value = arrayData;
+                        }
+                        arrayIndex++;
+                    }
+                    break;
+                default:
+                    // Fallback: try types in order
+                    if (stringIndex < strings.length) {
+                        value = this.cleanString(strings[stringIndex]);
+                        stringIndex++;
+                    } else if (integerIndex < integers.length) {
+                        value = parseInt(integers[integerIndex]);
+                        integerIndex++;
+                    } else if (dateIndex < dates.length) {
+                        value = new Date(dates[dateIndex]);
+                        dateIndex++;
+                    }
+                    break;
+            }
+
+            if (value !== null && value !== undefined) {
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    parsePlaylistItems(arrayData) {
+        const items = [];
+        const itemDicts = Array.isArray(arrayData.dict) ? arrayData.dict : [arrayData.dict];
+        
+        for (const itemDict of itemDicts) {
+            const item = this.parseDict(itemDict);
+            if (item['Track ID']) {
+                items.push({ 'Track ID': item['Track ID'] });
+            }
+        }
+        
+        return items;
+    }
+
+    cleanString(str) {
+        if (typeof str !== 'string') return str;
+        return str.replace(/&#38;/g, '&')
+                  .replace(/&#39;/g, "'")
+                  .replace(/&quot;/g, '"')
+                  .replace(/&lt;/g, '<')
+                  .replace(/&gt;/g, '>');
+    }
+}
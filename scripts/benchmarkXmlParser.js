@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+// Compares the xml2js parser the streaming AppleXmlParser replaced (baseline), a full
+// in-memory plist parse (dom) and the streaming AppleXmlParser (stream) on a synthetically
+// enlarged copy of favs.xml. Timings vary from run to run on a busy machine; compare
+// several runs.
+//
+//   node scripts/benchmarkXmlParser.js [copies]
+
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { PlistParser } from '../src/plistParser.js';
+import { AppleXmlParser } from '../src/appleXmlParser.js';
+import { BaselineXmlParser } from './baselineXmlParser.js';
+
+const scriptPath = fileURLToPath(import.meta.url);
+const rootDir = path.resolve(path.dirname(scriptPath), '..');
+
+async function buildLibrary(copies, outputPath) {
+    const source = await fs.readFile(path.join(rootDir, 'favs.xml'), 'utf8');
+
+    const tracksStart = source.indexOf('<key>Tracks</key>');
+    const tracksBodyStart = source.indexOf('<dict>', tracksStart) + '<dict>'.length;
+    const playlistsStart = source.indexOf('<key>Playlists</key>');
+    const tracksBodyEnd = source.lastIndexOf('</dict>', playlistsStart);
+
+    const head = source.slice(0, tracksBodyStart);
+    const tracksBody = source.slice(tracksBodyStart, tracksBodyEnd);
+    const tail = source.slice(tracksBodyEnd);
+
+    const idPattern = /<key>(\d+)<\/key>(\s*<dict>\s*<key>Track ID<\/key><integer>)(\d+)/g;
+    const out = fs.createWriteStream(outputPath);
+
+    out.write(head);
+    for (let copy = 0; copy < copies; copy++) {
+        const offset = copy * 1000000;
+        const body = tracksBody.replace(idPattern, (match, id, middle) =>
+            `<key>${Number(id) + offset}</key>${middle}${Number(id) + offset}`);
+        if (!out.write(body)) {
+            await new Promise(resolve => out.once('drain', resolve));
+        }
+    }
+    out.write(tail);
+
+    await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+}
+
+async function measure(mode, filePath) {
+    let peakRss = process.memoryUsage().rss;
+    const sampler = setInterval(() => {
+        peakRss = Math.max(peakRss, process.memoryUsage().rss);
+    }, 20);
+
+    const started = process.hrtime.bigint();
+    let tracks;
+
+    if (mode === 'dom') {
+        const plist = new PlistParser().parse(await fs.readFile(filePath, 'utf8'));
+        tracks = Object.keys(plist.Tracks).length;
+    } else {
+        const parser = mode === 'baseline' ? new BaselineXmlParser() : new AppleXmlParser();
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            tracks = (await parser.parseFile(filePath)).length;
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+    clearInterval(sampler);
+    peakRss = Math.max(peakRss, process.memoryUsage().rss);
+
+    process.send({ mode, tracks, elapsedMs, peakRss });
+}
+
+function runChild(mode, filePath) {
+    return new Promise((resolve, reject) => {
+        const child = fork(scriptPath, ['--measure', mode, filePath]);
+        child.on('message', resolve);
+        child.on('error', reject);
+        child.on('exit', code => {
+            if (code !== 0) reject(new Error(`${mode} benchmark exited with code ${code}`));
+        });
+    });
+}
+
+async function main() {
+    if (process.argv[2] === '--measure') {
+        await measure(process.argv[3], process.argv[4]);
+        return;
+    }
+
+    const copies = parseInt(process.argv[2]) || 200;
+    const filePath = path.join(os.tmpdir(), `apple-to-spotify-benchmark-${copies}.xml`);
+
+    console.log(`Building enlarged library (${copies} copies of favs.xml tracks)...`);
+    await buildLibrary(copies, filePath);
+    const { size } = await fs.stat(filePath);
+    console.log(`Library size: ${(size / 1024 / 1024).toFixed(1)} MB\n`);
+
+    try {
+        for (const mode of ['baseline', 'dom', 'stream']) {
+            const result = await runChild(mode, filePath);
+            console.log(`${mode.padEnd(8)} ${String(result.tracks).padStart(8)} tracks  ` +
+                `${(result.elapsedMs / 1000).toFixed(2).padStart(7)} s  ` +
+                `${(result.peakRss / 1024 / 1024).toFixed(0).padStart(6)} MB peak RSS`);
+        }
+    } finally {
+        await fs.remove(filePath);
+    }
+}
+
+main().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// Runs the matcher over the labelled cases in scripts/matcherTestSet.json (Apple tracks from
+// favs.xml or given inline, hand-labelled Spotify candidates) and reports which cases pick the wrong candidate
+// or pick the right one with too little confidence. Exits with 1 when any case fails.
+//
+//   node scripts/evaluateMatcher.js [--weights weights.json] [--min-confidence 0.6] [--classical] [--verbose]
+
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs-extra';
+import { AppleXmlParser } from '../src/appleXmlParser.js';
+import { SpotifyClient } from '../src/spotifyClient.js';
+import { TrackMatcher } from '../src/trackMatcher.js';
+
+const scriptPath = fileURLToPath(import.meta.url);
+const rootDir = path.resolve(path.dirname(scriptPath), '..');
+
+function parseArgs(argv) {
+    const args = { weights: null, minConfidence: 0.6, classical: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--weights') args.weights = argv[++i];
+        else if (argv[i] === '--min-confidence') args.minConfidence = parseFloat(argv[++i]);
+        else if (argv[i] === '--classical') args.classical = true;
+        else if (argv[i] === '--verbose') args.verbose = true;
+    }
+    return args;
+}
+
+function toSpotifyTrack(candidate, index) {
+    return {
+        uri: `spotify:track:candidate${index}`,
+        name: candidate.name,
+        artists: candidate.artists.map(name => ({ name })),
+        album: { name: candidate.album },
+        duration_ms: candidate.duration * 1000
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const weights = args.weights ? await fs.readJson(args.weights) : {};
+    const client = new SpotifyClient(null, { matcher: new TrackMatcher(weights, { classical: args.classical }) });
+
+    const parser = new AppleXmlParser();
+    await parser.parseFile(path.join(rootDir, 'favs.xml'));
+    const appleTracks = new Map(parser.getTracksForSpotify()
+        .map(track => [track.originalTrack['Persistent ID'], track]));
+
+    const testSet = await fs.readJson(path.join(path.dirname(scriptPath), 'matcherTestSet.json'));
+    // Some cases only make sense with the classical scoring
+    const cases = testSet.cases.filter(testCase => args.classical || !testCase.classical);
+    const failures = [];
+    let lowConfidence = 0;
+
+    for (const testCase of cases) {
+        const appleTrack = testCase.apple
+            ? parser.toSpotifyTracks([testCase.apple])[0]
+            : appleTracks.get(testCase.persistentId);
+        if (!appleTrack) {
+            throw new Error(`Track ${testCase.persistentId} is not in favs.xml`);
+        }
+
+        const candidates = testCase.candidates.map(toSpotifyTrack);
+        const expected = candidates[testCase.candidates.findIndex(candidate => candidate.label === 'match')];
+        const evaluation = client.evaluateMatch(candidates, appleTrack);
+        const picked = evaluation.match === expected;
+        const confident = evaluation.confidence >= args.minConfidence;
+
+        if (!picked) {
+            failures.push({ testCase, appleTrack, evaluation, problem: 'picked the wrong candidate' });
+        } else if (!confident) {
+            lowConfidence++;
+            failures.push({ testCase, appleTrack, evaluation, problem: `right candidate, but confidence ${evaluation.confidence.toFixed(2)}` });
+        }
+
+        if (args.verbose) {
+            console.log(`${picked && confident ? '✓' : '✗'} ${appleTrack.name} — ${appleTrack.artist}  (${testCase.note})`);
+            evaluation.candidates.forEach(candidate => {
+                console.log(`    ${candidate.chosen ? '→' : ' '} ${candidate.score.toFixed(1).padStart(6)} ${(candidate.confidence * 100).toFixed(0).padStart(4)}%  ` +
+                    `${candidate.track.name} — ${candidate.track.artists.map(artist => artist.name).join(', ')}  ${JSON.stringify(candidate.breakdown)}`);
+            });
+        }
+    }
+
+    const passed = cases.length - failures.length;
+    console.log(`\n${passed}/${cases.length} cases passed (${failures.length - lowConfidence} wrong picks, ${lowConfidence} below confidence ${args.minConfidence})`);
+
+    for (const { testCase, appleTrack, evaluation, problem } of failures) {
+        console.log(`\n✗ ${appleTrack.name} — ${appleTrack.artist}: ${problem}`);
+        console.log(`  ${testCase.note}`);
+        evaluation.candidates.forEach(candidate => {
+            console.log(`  ${candidate.chosen ? '→' : ' '} ${candidate.score.toFixed(1)}  ${candidate.track.name} — ` +
+                `${candidate.track.artists.map(artist => artist.name).join(', ')}  ${JSON.stringify(candidate.breakdown)}`);
+        });
+    }
+
+    process.exitCode = failures.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
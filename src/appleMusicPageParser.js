@@ -0,0 +1,139 @@
+import fs from 'fs-extra';
+import { decodeText, normalizeTrack, parseDuration } from './parserUtils.js';
+
+const JSON_LD_SCRIPT = /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+const SERVER_DATA_SCRIPT = /<script[^>]*id\s*=\s*["']serialized-server-data["'][^>]*>([\s\S]*?)<\/script>/i;
+
+/**
+ * A music.apple.com playlist or album page saved from the browser (File → Save Page As). The
+ * tracks come from the schema.org MusicPlaylist/MusicAlbum JSON-LD embedded in the page. Where
+ * the JSON-LD leaves out a track's artist, as playlist pages do, it is looked up by title in the
+ * page's serialized-server-data, which holds what the page displays.
+ */
+export class AppleMusicPageParser {
+    constructor() {
+        this.name = null;
+        this.tracks = [];
+    }
+
+    async parseFile(filePath) {
+        try {
+            return this.parseContent(decodeText(await fs.readFile(filePath)).text);
+        } catch (error) {
+            throw new Error(`Error parsing Apple Music page: ${error.message}`);
+        }
+    }
+
+    parseContent(html) {
+        const items = [];
+        for (const [, json] of html.matchAll(JSON_LD_SCRIPT)) {
+            try {
+                items.push(...this.flatten(JSON.parse(json.trim())));
+            } catch (error) {
+                // Pages carry several JSON-LD blocks; one that does not parse is not ours
+            }
+        }
+
+        const list = items.find(item => this.hasType(item, 'MusicPlaylist') || this.hasType(item, 'MusicAlbum'));
+        if (!list) {
+            throw new Error('no playlist or album data found; save the page after it has finished loading');
+        }
+
+        this.name = list.name || null;
+        const listArtist = this.hasType(list, 'MusicAlbum') ? this.artistName(list.byArtist) : '';
+        const listAlbum = this.hasType(list, 'MusicAlbum') ? list.name : '';
+        const displayed = this.readServerData(html);
+
+        this.tracks = this.recordingsOf(list).map(recording => {
+            const shown = displayed.get(String(recording.name || '').toLowerCase()) || {};
+            return {
+                name: recording.name || '',
+                artist: this.artistName(recording.byArtist) || this.artistName(recording.audio && recording.audio.byArtist) || shown.artistName || listArtist,
+                album: (recording.inAlbum && recording.inAlbum.name) || shown.albumName || listAlbum,
+                duration: recording.duration || '',
+                isrc: recording.isrcCode || '',
+                url: recording.url || ''
+            };
+        });
+        return this.tracks;
+    }
+
+    flatten(value) {
+        if (Array.isArray(value)) {
+            return value.flatMap(item => this.flatten(item));
+        }
+        if (value && Array.isArray(value['@graph'])) {
+            return this.flatten(value['@graph']);
+        }
+        return value && typeof value === 'object' ? [value] : [];
+    }
+
+    hasType(item, type) {
+        return [].concat(item['@type'] || []).includes(type);
+    }
+
+    // `track` is a list of MusicRecordings, or an ItemList of ListItems wrapping them
+    recordingsOf(list) {
+        const tracks = list.track && list.track.itemListElement ? list.track.itemListElement : [].concat(list.track || []);
+        return tracks.map(entry => entry && entry.item ? entry.item : entry).filter(entry => entry && entry.name);
+    }
+
+    artistName(byArtist) {
+        return [].concat(byArtist || [])
+            .map(artist => typeof artist === 'string' ? artist : artist && artist.name)
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * Title (lower-cased) → { artistName, albumName } for every track shown on the page.
+     */
+    readServerData(html) {
+        const displayed = new Map();
+        const match = html.match(SERVER_DATA_SCRIPT);
+        if (!match) {
+            return displayed;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(match[1]);
+        } catch (error) {
+            return displayed;
+        }
+
+        const visit = (value) => {
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value && typeof value === 'object') {
+                if (typeof value.title === 'string' && typeof value.artistName === 'string') {
+                    const key = value.title.toLowerCase();
+                    if (!displayed.has(key)) {
+                        displayed.set(key, { artistName: value.artistName, albumName: value.albumName || '' });
+                    }
+                }
+                Object.values(value).forEach(visit);
+            }
+        };
+        visit(data);
+        return displayed;
+    }
+
+    getTracksForSpotify() {
+        return this.tracks.map(track => normalizeTrack({ ...track, duration: parseDuration(track.duration) }, {
+            Name: track.name,
+            Artist: track.artist,
+            Album: track.album,
+            ISRC: track.isrc,
+            URL: track.url
+        })).filter(track => track.name && track.artist);
+    }
+
+    getPlaylistInfo() {
+        return {
+            name: this.name,
+            totalTracks: this.tracks.length,
+            validTracks: this.getTracksForSpotify().length
+        };
+    }
+}
@@ -1,69 +1,82 @@
 import fs from 'fs-extra';
+import { decodeText, normalizeTrack, parseDuration } from './parserUtils.js';
 
 export class ApplePlaylistParser {
     constructor() {
         this.headers = [];
         this.tracks = [];
+        this.encoding = null;
     }
 
     async parseFile(filePath) {
         try {
-            const content = await fs.readFile(filePath, 'utf8');
-            const lines = content.split('\n').filter(line => line.trim());
-            
-            if (lines.length === 0) {
-                throw new Error('File is empty');
-            }
+            const buffer = await fs.readFile(filePath);
+            const content = this.decodeContent(buffer);
+            return this.parseContent(content);
+        } catch (error) {
+            throw new Error(`Error parsing Apple Music playlist: ${error.message}`);
+        }
+    }
 
-            this.headers = lines[0].split('\t');
-            this.tracks = [];
+    parseContent(content) {
+        // Music.app writes classic Mac CR line endings, other tools CRLF or LF
+        const lines = content.split(/\r\n|\r|\n/).filter(line => line.trim());
 
-            for (let i = 1; i < lines.length; i++) {
-                const values = lines[i].split('\t');
-                const track = {};
-                
-                this.headers.forEach((header, index) => {
-                    track[header] = values[index] || '';
-                });
-                
-                this.tracks.push(track);
-            }
+        if (lines.length === 0) {
+            throw new Error('File is empty');
+        }
 
-            return this.tracks;
-        } catch (error) {
-            throw new Error(`Error parsing Apple Music playlist: ${error.message}`);
+        this.headers = lines[0].split('\t').map(header => header.trim());
+
+        if (this.headers.length < 2 || !this.headers.includes('Name') || !this.headers.includes('Artist')) {
+            throw new Error('File does not look like a Music.app text export (expected a tab-separated header row with "Name" and "Artist" columns)');
+        }
+
+        this.tracks = [];
+
+        for (let i = 1; i < lines.length; i++) {
+            const values = lines[i].split('\t');
+            const track = {};
+
+            this.headers.forEach((header, index) => {
+                track[header] = values[index] || '';
+            });
+
+            this.tracks.push(track);
         }
+
+        return this.tracks;
     }
 
-    getTracksForSpotify() {
-        return this.tracks.map(track => ({
-            name: track.Name || '',
-            artist: track.Artist || '',
-            album: track.Album || '',
-            year: track.Year || '',
-            duration: this.parseTime(track.Time),
-            originalTrack: track
-        })).filter(track => track.name && track.artist);
+    decodeContent(buffer) {
+        const { text, encoding } = decodeText(buffer);
+        this.encoding = encoding;
+        return text;
     }
 
-    parseTime(timeString) {
-        if (!timeString) return 0;
-        
-        const parts = timeString.split(':');
-        if (parts.length === 2) {
-            return parseInt(parts[0]) * 60 + parseInt(parts[1]);
-        } else if (parts.length === 3) {
-            return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
-        }
-        
-        return parseInt(timeString) || 0;
+    getTracksForSpotify() {
+        return this.tracks.map(track => normalizeTrack({
+            name: track.Name,
+            artist: track.Artist,
+            album: track.Album,
+            albumArtist: track['Album Artist'],
+            year: track.Year,
+            duration: parseDuration(track.Time),
+            genre: track.Genre,
+            composer: track.Composer,
+            work: track.Work,
+            movementNumber: track['Movement Number'],
+            movementCount: track['Movement Count'],
+            movementName: track['Movement Name']
+        }, track)).filter(track => track.name && track.artist);
     }
 
     getPlaylistInfo() {
         return {
             totalTracks: this.tracks.length,
             validTracks: this.getTracksForSpotify().length,
-            headers: this.headers
+            headers: this.headers,
+            encoding: this.encoding
         };
     }
 }
\ No newline at end of file
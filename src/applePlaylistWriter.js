@@ -0,0 +1,160 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+// Music.app's own text export columns, in its order, limited to what Spotify knows
+const TEXT_COLUMNS = [
+    ['Name', track => track.name],
+    ['Artist', track => track.artist],
+    ['Album', track => track.album],
+    ['Album Artist', track => track.albumArtist],
+    ['Disc Number', track => track.discNumber],
+    ['Track Number', track => track.trackNumber],
+    ['Year', track => track.year],
+    // Whole seconds, as Music.app writes it
+    ['Time', track => track.durationMs ? Math.round(track.durationMs / 1000) : ''],
+    ['Comments', track => track.uri]
+];
+
+// Persistent IDs are 16 hex digits; deriving them from the Spotify URI keeps them stable across exports
+function persistentId(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').slice(0, 16).toUpperCase();
+}
+
+/**
+ * Writes Spotify tracks as a playlist Music.app can import (File → Library → Import Playlist):
+ * <base>.xml, a property list laid out like Music.app's own "Export Playlist" XML, and <base>.txt,
+ * a UTF-16 tab-separated file like its text export. Music.app matches the tracks against the
+ * library and the Apple Music catalogue by name, artist and album; the Spotify URI goes in the
+ * Comments field. Both files read back with AppleXmlParser and ApplePlaylistParser.
+ */
+export class ApplePlaylistWriter {
+    /**
+     * @param {string} name - Playlist name
+     * @param {Object[]} tracks - Spotify track objects, in playlist order
+     * @param {Object} [options] - { description }
+     */
+    constructor(name, tracks, options = {}) {
+        this.name = name;
+        this.description = options.description || '';
+        this.tracks = tracks.map(track => this.describeTrack(track));
+    }
+
+    describeTrack(track) {
+        const album = track.album || {};
+        return {
+            name: track.name || '',
+            artist: (track.artists || []).map(artist => artist.name).filter(Boolean).join(', '),
+            album: album.name || '',
+            albumArtist: (album.artists || []).map(artist => artist.name).filter(Boolean).join(', '),
+            discNumber: track.disc_number || null,
+            trackNumber: track.track_number || null,
+            year: album.release_date ? parseInt(album.release_date.slice(0, 4), 10) || null : null,
+            durationMs: track.duration_ms || 0,
+            uri: track.uri,
+            persistentId: persistentId(track.uri)
+        };
+    }
+
+    toXml(date = new Date()) {
+        const escape = (text) => String(text ?? '')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        const entry = (indent, key, type, value) => `${indent}<key>${escape(key)}</key><${type}>${type === 'string' ? escape(value) : value}</${type}>`;
+
+        // A track that appears twice in the playlist is one library track listed twice
+        const trackIds = new Map();
+        this.tracks.forEach(track => {
+            if (!trackIds.has(track.uri)) trackIds.set(track.uri, trackIds.size + 1);
+        });
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE plist PUBLIC "-//Apple Computer//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+            '<plist version="1.0">',
+            '<dict>',
+            entry('\t', 'Major Version', 'integer', 1),
+            entry('\t', 'Minor Version', 'integer', 1),
+            entry('\t', 'Date', 'date', date.toISOString().replace(/\.\d+Z$/, 'Z')),
+            entry('\t', 'Application Version', 'string', '1.0'),
+            entry('\t', 'Features', 'integer', 5),
+            '\t<key>Show Content Ratings</key><true/>',
+            '\t<key>Tracks</key>',
+            '\t<dict>'
+        ];
+
+        const written = new Set();
+        for (const track of this.tracks) {
+            if (written.has(track.uri)) continue;
+            written.add(track.uri);
+
+            const id = trackIds.get(track.uri);
+            lines.push(`\t\t<key>${id}</key>`);
+            lines.push('\t\t<dict>');
+            lines.push(entry('\t\t\t', 'Track ID', 'integer', id));
+            lines.push(entry('\t\t\t', 'Name', 'string', track.name));
+            lines.push(entry('\t\t\t', 'Artist', 'string', track.artist));
+            if (track.albumArtist) lines.push(entry('\t\t\t', 'Album Artist', 'string', track.albumArtist));
+            if (track.album) lines.push(entry('\t\t\t', 'Album', 'string', track.album));
+            if (track.discNumber) lines.push(entry('\t\t\t', 'Disc Number', 'integer', track.discNumber));
+            if (track.trackNumber) lines.push(entry('\t\t\t', 'Track Number', 'integer', track.trackNumber));
+            if (track.year) lines.push(entry('\t\t\t', 'Year', 'integer', track.year));
+            if (track.durationMs) lines.push(entry('\t\t\t', 'Total Time', 'integer', track.durationMs));
+            lines.push(entry('\t\t\t', 'Comments', 'string', track.uri));
+            lines.push(entry('\t\t\t', 'Persistent ID', 'string', track.persistentId));
+            lines.push('\t\t</dict>');
+        }
+
+        lines.push('\t</dict>');
+        lines.push('\t<key>Playlists</key>');
+        lines.push('\t<array>');
+        lines.push('\t\t<dict>');
+        lines.push(entry('\t\t\t', 'Name', 'string', this.name));
+        if (this.description) lines.push(entry('\t\t\t', 'Description', 'string', this.description));
+        lines.push(entry('\t\t\t', 'Playlist ID', 'integer', trackIds.size + 1));
+        lines.push(entry('\t\t\t', 'Playlist Persistent ID', 'string', persistentId(`playlist:${this.name}`)));
+        lines.push('\t\t\t<key>All Items</key><true/>');
+        lines.push('\t\t\t<key>Playlist Items</key>');
+        lines.push('\t\t\t<array>');
+        for (const track of this.tracks) {
+            lines.push('\t\t\t\t<dict>');
+            lines.push(entry('\t\t\t\t\t', 'Track ID', 'integer', trackIds.get(track.uri)));
+            lines.push('\t\t\t\t</dict>');
+        }
+        lines.push('\t\t\t</array>');
+        lines.push('\t\t</dict>');
+        lines.push('\t</array>');
+        lines.push('</dict>');
+        lines.push('</plist>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    toText() {
+        // A tab or line break inside a value would shift the columns
+        const value = (text) => String(text ?? '').replace(/[\t\r\n]+/g, ' ');
+        const lines = [TEXT_COLUMNS.map(([header]) => header).join('\t')];
+        for (const track of this.tracks) {
+            lines.push(TEXT_COLUMNS.map(([, read]) => value(read(track))).join('\t'));
+        }
+        // Music.app writes UTF-16 with a byte order mark and classic Mac line endings
+        return lines.join('\r') + '\r';
+    }
+
+    /**
+     * Writes <basePath>.xml and <basePath>.txt and returns the paths written.
+     */
+    async write(basePath) {
+        await fs.ensureDir(path.dirname(path.resolve(basePath)));
+
+        const xmlPath = `${basePath}.xml`;
+        const textPath = `${basePath}.txt`;
+
+        await fs.writeFile(xmlPath, this.toXml());
+        await fs.writeFile(textPath, Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(this.toText(), 'utf16le')]));
+
+        return [xmlPath, textPath];
+    }
+}
@@ -1,26 +1,67 @@
 import fs from 'fs-extra';
-import xml2js from 'xml2js';
+import { PlistParser } from './plistParser.js';
 
 export class AppleXmlParser {
     constructor() {
         this.tracks = [];
         this.playlists = [];
+        this.library = null;
+        this.trackIndex = new Map();
+        this.playlistIndex = new Map();
+        this.trackEntries = 0;
     }
 
-    async parseFile(filePath) {
+    /**
+     * Streams a Library.xml export, indexing tracks and playlists as they are read so the
+     * full document is never held in memory.
+     *
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {string} [options.playlist] - Only keep the items of this playlist or folder (see findPlaylist) and
+     *   anything nested under it; items of other playlists are discarded while reading
+     * @param {Function} [options.onProgress] - Called with { bytesRead, totalBytes, tracks, playlists }
+     */
+    async parseFile(filePath, options = {}) {
         try {
-            const xmlContent = await fs.readFile(filePath, 'utf8');
-            const parser = new xml2js.Parser({ explicitArray: false });
-            const result = await parser.parseStringPromise(xmlContent);
+            this.tracks = [];
+            this.playlists = [];
+            this.trackIndex = new Map();
+            this.playlistIndex = new Map();
+            this.trackEntries = 0;
 
-            const plist = result.plist;
-            if (!plist || !plist.dict) {
+            const { size: totalBytes } = await fs.stat(filePath);
+            const stream = fs.createReadStream(filePath, { highWaterMark: 256 * 1024 });
+            const plistParser = new PlistParser({
+                onValue: (path, value, containers) => this.handleValue(path, value, containers, options)
+            });
+
+            if (options.onProgress) {
+                stream.on('data', () => {
+                    options.onProgress({
+                        bytesRead: stream.bytesRead,
+                        totalBytes,
+                        tracks: this.tracks.length,
+                        playlists: this.playlists.length
+                    });
+                });
+            }
+
+            const plist = await plistParser.parseStream(stream);
+
+            if (!plist || typeof plist !== 'object' || Array.isArray(plist)) {
                 throw new Error('Invalid iTunes/Apple Music XML format');
             }
 
-            const mainDict = plist.dict;
-            this.extractTracks(mainDict);
-            this.extractPlaylists(mainDict);
+            this.library = plist;
+
+            if (!('Tracks' in plist)) {
+                console.warn('No Tracks key found in XML file');
+            }
+            if (!('Playlists' in plist)) {
+                console.warn('No Playlists key found in XML file');
+            }
+
+            console.log(`Found ${this.trackEntries} track entries`);
 
             return this.tracks;
         } catch (error) {
@@ -28,247 +69,185 @@ export class AppleXmlParser {
         }
     }
 
-    extractTracks(mainDict) {
-        // The main dict has keys and corresponding values
-        // We need to find the 'Tracks' key and get its corresponding dict value
-        const keys = Array.isArray(mainDict.key) ? mainDict.key : [mainDict.key];
-        const tracksIndex = keys.indexOf('Tracks');
-        
-        if (tracksIndex === -1) {
-            console.warn('No Tracks key found in XML file');
-            return;
+    handleValue(path, value, containers, options) {
+        // Tracks/<id> — index the track and keep it out of the document tree
+        if (path.length === 2 && path[0] === 'Tracks') {
+            this.addTrack(path[1], value);
+            return false;
         }
 
-        // Get the tracks dict - it should be the single dict in mainDict.dict
-        const tracksDict = mainDict.dict;
-        
-        if (!tracksDict || !tracksDict.key || !tracksDict.dict) {
-            console.warn('No tracks dict found');
-            return;
+        // Playlists/<n>
+        if (path.length === 2 && path[0] === 'Playlists') {
+            this.addPlaylist(value);
+            return false;
         }
 
-        const trackIds = Array.isArray(tracksDict.key) ? tracksDict.key : [tracksDict.key];
-        const trackDicts = Array.isArray(tracksDict.dict) ? tracksDict.dict : [tracksDict.dict];
-
-        console.log(`Found ${trackIds.length} track entries`);
-
-        for (let i = 0; i < trackIds.length && i < trackDicts.length; i++) {
-            const trackId = trackIds[i];
-            const trackData = trackDicts[i];
-            
-            const track = this.parseDict(trackData);
-            if (track && track.Name && (track.Artist || track['Album Artist'])) {
-                track['Track ID'] = parseInt(trackId);
-                this.tracks.push(track);
+        // Playlists/<n>/Playlist Items/<m> — skip items of playlists we were asked to ignore.
+        // Music.app writes folders before their children, so the parent chain is already indexed.
+        if (path.length === 4 && path[0] === 'Playlists' && path[2] === 'Playlist Items') {
+            const playlist = containers[2];
+            if (options.playlist && playlist && playlist.Name && !this.isWithinSelection(playlist, options.playlist)) {
+                return false;
             }
+            return value && value['Track ID'] ? true : false;
         }
+
+        return true;
     }
 
-    extractPlaylists(mainDict) {
-        // Find the 'Playlists' key and get its corresponding array value
-        const keys = Array.isArray(mainDict.key) ? mainDict.key : [mainDict.key];
-        const playlistsIndex = keys.indexOf('Playlists');
-        
-        if (playlistsIndex === -1) {
-            console.warn('No Playlists key found in XML file');
-            return;
+    addTrack(trackId, track) {
+        this.trackEntries++;
+
+        if (track && track.Name && (track.Artist || track['Album Artist'])) {
+            track['Track ID'] = parseInt(trackId);
+            this.tracks.push(track);
+            this.trackIndex.set(track['Track ID'], track);
         }
+    }
 
-        // Get the playlists array - it should be the single array in mainDict.array
-        const playlistsArray = mainDict.array;
-        
-        if (!playlistsArray || !playlistsArray.dict) {
-            console.warn('No playlists array found');
+    addPlaylist(playlist) {
+        if (!playlist || !playlist.Name) {
             return;
         }
 
-        const playlistDicts = Array.isArray(playlistsArray.dict) ? playlistsArray.dict : [playlistsArray.dict];
+        if (Array.isArray(playlist['Playlist Items'])) {
+            playlist['Playlist Items'] = playlist['Playlist Items']
+                .map(item => ({ 'Track ID': item['Track ID'] }));
+        }
 
-        for (const playlistData of playlistDicts) {
-            const playlist = this.parseDict(playlistData);
-            if (playlist && playlist.Name) {
-                this.playlists.push(playlist);
-            }
+        this.playlists.push(playlist);
+        if (playlist['Playlist Persistent ID']) {
+            this.playlistIndex.set(playlist['Playlist Persistent ID'], playlist);
         }
     }
 
-    parseDict(dictData) {
-        if (!dictData || !dictData.key) {
-            return {};
+    getParentPlaylist(playlist) {
+        const parentId = playlist['Parent Persistent ID'];
+        return parentId ? this.playlistIndex.get(parentId) || null : null;
+    }
+
+    /**
+     * Folder names from the top of the library down to (not including) the playlist.
+     */
+    getFolderPath(playlist) {
+        const folders = [];
+        const seen = new Set();
+        let parent = this.getParentPlaylist(playlist);
+
+        while (parent && !seen.has(parent)) {
+            seen.add(parent);
+            folders.unshift(parent.Name);
+            parent = this.getParentPlaylist(parent);
         }
 
-        const result = {};
-        const keys = Array.isArray(dictData.key) ? dictData.key : [dictData.key];
-        
-        // Create a mapping of expected types for each key to help with parsing
-        const keyTypes = {
-            'Track ID': 'integer',
-            'Name': 'string',
-            'Artist': 'string', 
-            'Album Artist': 'string',
-            'Composer': 'string',
-            'Album': 'string',
-            'Genre': 'string',
-            'Kind': 'string',
-            'Size': 'integer',
-            'Total Time': 'integer',
-            'Disc Number': 'integer',
-            'Disc Count': 'integer',
-            'Track Number': 'integer', 
-            'Track Count': 'integer',
-            'Year': 'integer',
-            'Date Modified': 'date',
-            'Date Added': 'date',
-            'Bit Rate': 'integer',
-            'Sample Rate': 'integer',
-            'Play Count': 'integer',
-            'Play Date': 'integer',
-            'Play Date UTC': 'date',
-            'Release Date': 'date',
-            'Favorited': 'true',
-            'Loved': 'true',
-            'Artwork Count': 'integer',
-            'Sort Album': 'string',
-            'Sort Artist': 'string', 
-            'Sort Name': 'string',
-            'Persistent ID': 'string',
-            'Track Type': 'string',
-            'Apple Music': 'true',
-            'Playlist Items': 'array'
-        };
+        return folders;
+    }
 
-        // Get all value arrays
-        const strings = dictData.string ? (Array.isArray(dictData.string) ? dictData.string : [dictData.string]) : [];
-        const integers = dictData.integer ? (Array.isArray(dictData.integer) ? dictData.integer : [dictData.integer]) : [];
-        const dates = dictData.date ? (Array.isArray(dictData.date) ? dictData.date : [dictData.date]) : [];
-        const trues = dictData.true !== undefined ? (Array.isArray(dictData.true) ? dictData.true.length : 1) : 0;
-        const falses = dictData.false !== undefined ? (Array.isArray(dictData.false) ? dictData.false.length : 1) : 0;
-        const arrays = dictData.array ? (Array.isArray(dictData.array) ? dictData.array : [dictData.array]) : [];
-
-        // Track indices for each value type
-        let stringIndex = 0, integerIndex = 0, dateIndex = 0, trueCount = 0, falseCount = 0, arrayIndex = 0;
-
-        // Match keys with values based on expected types
-        for (const key of keys) {
-            let value = null;
-            const expectedType = keyTypes[key];
-
-            switch (expectedType) {
-                case 'string':
-                    if (stringIndex < strings.length) {
-                        value = this.cleanString(strings[stringIndex]);
-                        stringIndex++;
-                    }
-                    break;
-                case 'integer':
-                    if (integerIndex < integers.length) {
-                        value = parseInt(integers[integerIndex]);
-                        integerIndex++;
-                    }
-                    break;
-                case 'date':
-                    if (dateIndex < dates.length) {
-                        value = new Date(dates[dateIndex]);
-                        dateIndex++;
-                    }
-                    break;
-                case 'true':
-                    if (trueCount < trues) {
-                        value = true;
-                        trueCount++;
-                    }
-                    break;
-                case 'false':
-                    if (falseCount < falses) {
-                        value = false;
-                        falseCount++;
-                    }
-                    break;
-                case 'array':
-                    if (arrayIndex < arrays.length) {
-                        const arrayData = arrays[arrayIndex];
-                        if (key === 'Playlist Items' && arrayData.dict) {
-                            value = this.parsePlaylistItems(arrayData);
-                        } else {
-                            value = arrayData;
-                        }
-                        arrayIndex++;
-                    }
-                    break;
-                default:
-                    // Fallback: try types in order
-                    if (stringIndex < strings.length) {
-                        value = this.cleanString(strings[stringIndex]);
-                        stringIndex++;
-                    } else if (integerIndex < integers.length) {
-                        value = parseInt(integers[integerIndex]);
-                        integerIndex++;
-                    } else if (dateIndex < dates.length) {
-                        value = new Date(dates[dateIndex]);
-                        dateIndex++;
-                    }
-                    break;
-            }
+    getPlaylistPath(playlist) {
+        return [...this.getFolderPath(playlist), playlist.Name].join('/');
+    }
+
+    matchesSelector(playlist, selector) {
+        return playlist['Playlist Persistent ID'] === selector ||
+            this.getPlaylistPath(playlist) === selector ||
+            playlist.Name === selector;
+    }
+
+    isWithinSelection(playlist, selector) {
+        const seen = new Set();
+        let current = playlist;
 
-            if (value !== null && value !== undefined) {
-                result[key] = value;
+        while (current && !seen.has(current)) {
+            if (this.matchesSelector(current, selector)) {
+                return true;
             }
+            seen.add(current);
+            current = this.getParentPlaylist(current);
         }
 
-        return result;
+        return false;
     }
 
-    parsePlaylistItems(arrayData) {
-        const items = [];
-        const itemDicts = Array.isArray(arrayData.dict) ? arrayData.dict : [arrayData.dict];
-        
-        for (const itemDict of itemDicts) {
-            const item = this.parseDict(itemDict);
-            if (item['Track ID']) {
-                items.push({ 'Track ID': item['Track ID'] });
-            }
-        }
-        
-        return items;
+    /**
+     * Resolves a playlist or folder by persistent ID, by folder path ("Workouts/Running/Tempo"),
+     * or by plain name, in that order of preference.
+     */
+    findPlaylist(selector) {
+        return this.playlistIndex.get(selector) ||
+            this.playlists.find(p => this.getPlaylistPath(p) === selector) ||
+            this.playlists.find(p => p.Name === selector) ||
+            null;
     }
 
-    cleanString(str) {
-        if (typeof str !== 'string') return str;
-        return str.replace(/&#38;/g, '&')
-                  .replace(/&#39;/g, "'")
-                  .replace(/&quot;/g, '"')
-                  .replace(/&lt;/g, '<')
-                  .replace(/&gt;/g, '>');
+    getChildPlaylists(folder) {
+        const folderId = folder['Playlist Persistent ID'];
+        return this.playlists.filter(p => folderId && p['Parent Persistent ID'] === folderId);
+    }
+
+    /**
+     * Every non-folder playlist nested anywhere under the given folder, depth first.
+     */
+    getPlaylistsUnder(folder) {
+        const result = [];
+        for (const child of this.getChildPlaylists(folder)) {
+            if (child.Folder) {
+                result.push(...this.getPlaylistsUnder(child));
+            } else {
+                result.push(child);
+            }
+        }
+        return result;
     }
 
     getTracksForSpotify(playlistName = null) {
         let tracksToConvert = [];
 
         if (playlistName) {
-            const playlist = this.playlists.find(p => p.Name === playlistName);
+            const playlist = this.findPlaylist(playlistName);
             if (!playlist || !playlist['Playlist Items']) {
                 throw new Error(`Playlist "${playlistName}" not found or has no tracks`);
             }
 
-            const trackIds = playlist['Playlist Items'].map(item => item['Track ID']).filter(id => id);
-            tracksToConvert = this.tracks.filter(track => trackIds.includes(track['Track ID']));
+            // Playlist order, not library order; items whose track is missing from the library are skipped
+            tracksToConvert = playlist['Playlist Items']
+                .map(item => this.trackIndex.get(item['Track ID']))
+                .filter(track => track);
         } else {
             tracksToConvert = this.tracks;
         }
 
-        return tracksToConvert.map(track => ({
-            name: this.cleanString(track.Name || ''),
-            artist: this.cleanString(track.Artist || track['Album Artist'] || ''),
-            album: this.cleanString(track.Album || ''),
+        return this.toSpotifyTracks(tracksToConvert);
+    }
+
+    /**
+     * Tracks marked Loved (older iTunes) or Favorited (Music.app), in library order.
+     */
+    getLovedTracks() {
+        return this.toSpotifyTracks(this.tracks.filter(track => track.Loved === true || track.Favorited === true));
+    }
+
+    toSpotifyTracks(tracks) {
+        return tracks.map(track => ({
+            name: track.Name || '',
+            artist: track.Artist || track['Album Artist'] || '',
+            album: track.Album || '',
+            albumArtist: track['Album Artist'] || '',
             year: track.Year ? track.Year.toString() : '',
             duration: track['Total Time'] ? Math.round(track['Total Time'] / 1000) : 0,
+            genre: track.Genre || '',
+            // Classical tags; empty for most tracks
+            composer: track.Composer || '',
+            work: track.Work || '',
+            movementNumber: track['Movement Number'] || null,
+            movementCount: track['Movement Count'] || null,
+            movementName: track['Movement Name'] || '',
             originalTrack: track
         })).filter(track => track.name && track.artist);
     }
 
     getPlaylistInfo(playlistName = null) {
         if (playlistName) {
-            const playlist = this.playlists.find(p => p.Name === playlistName);
+            const playlist = this.findPlaylist(playlistName);
             if (!playlist) {
                 throw new Error(`Playlist "${playlistName}" not found`);
             }
@@ -276,6 +255,7 @@ export class AppleXmlParser {
             const playlistTracks = this.getTracksForSpotify(playlistName);
             return {
                 name: playlist.Name,
+                folderPath: this.getFolderPath(playlist),
                 totalTracks: playlist['Playlist Items'] ? playlist['Playlist Items'].length : 0,
                 validTracks: playlistTracks.length,
                 playlist: playlist
@@ -289,19 +269,85 @@ export class AppleXmlParser {
                     name: p.Name,
                     itemCount: p['Playlist Items'] ? p['Playlist Items'].length : 0,
                     master: !!p.Master,
-                    folder: !!p['Parent Persistent ID']
+                    folder: !!p.Folder,
+                    folderPath: this.getFolderPath(p),
+                    parent_persistent_id: p['Parent Persistent ID'] || null
                 })).filter(p => p.name)
             };
         }
     }
 
-    listPlaylists() {
-        return this.playlists
-            .filter(p => p.Name && !p['Parent Persistent ID'] && !p.Master) // Exclude folders and master library
-            .map(p => ({
-                name: p.Name,
-                itemCount: p['Playlist Items'] ? p['Playlist Items'].length : 0,
-                persistent_id: p['Playlist Persistent ID']
-            }));
+    isMasterPlaylist(playlist) {
+        // The Library playlist and Music.app's built-in Music/Movies/Podcasts lists
+        return !!playlist.Master || playlist['Distinguished Kind'] !== undefined;
+    }
+
+    isSmartPlaylist(playlist) {
+        return playlist['Smart Info'] !== undefined || playlist['Smart Criteria'] !== undefined;
+    }
+
+    /**
+     * Smart playlists other than the built-in ones and folders, in library order.
+     */
+    getSmartPlaylists() {
+        return this.playlists.filter(p => this.isSmartPlaylist(p) && !this.isMasterPlaylist(p) && !p.Folder);
+    }
+
+    describePlaylist(playlist) {
+        const folderPath = this.getFolderPath(playlist);
+        return {
+            name: playlist.Name,
+            itemCount: playlist['Playlist Items'] ? playlist['Playlist Items'].length : 0,
+            persistent_id: playlist['Playlist Persistent ID'],
+            parent_persistent_id: playlist['Parent Persistent ID'] || null,
+            folderPath,
+            depth: folderPath.length,
+            folder: !!playlist.Folder,
+            smart: this.isSmartPlaylist(playlist),
+            master: this.isMasterPlaylist(playlist)
+        };
+    }
+
+    /**
+     * Flat, depth-first list of playlists (folders excluded) with their folder paths.
+     */
+    listPlaylists({ includeMaster = false } = {}) {
+        return this.flattenTree(this.getPlaylistTree({ includeMaster }))
+            .filter(p => !p.folder);
+    }
+
+    /**
+     * Rebuilds the folder hierarchy from Playlist Persistent ID / Parent Persistent ID.
+     * Each node is a describePlaylist() entry with a `children` array.
+     */
+    getPlaylistTree({ includeMaster = false } = {}) {
+        const nodes = new Map();
+        const roots = [];
+
+        const visible = this.playlists.filter(p => includeMaster || !this.isMasterPlaylist(p));
+        for (const playlist of visible) {
+            nodes.set(playlist, { ...this.describePlaylist(playlist), children: [] });
+        }
+
+        for (const playlist of visible) {
+            const parent = this.getParentPlaylist(playlist);
+            const parentNode = parent && nodes.get(parent);
+            if (parentNode) {
+                parentNode.children.push(nodes.get(playlist));
+            } else {
+                roots.push(nodes.get(playlist));
+            }
+        }
+
+        return roots;
+    }
+
+    flattenTree(nodes) {
+        const result = [];
+        for (const { children, ...node } of nodes) {
+            result.push(node);
+            result.push(...this.flattenTree(children));
+        }
+        return result;
     }
 }
\ No newline at end of file
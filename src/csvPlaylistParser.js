@@ -0,0 +1,187 @@
+import fs from 'fs-extra';
+import { decodeText, normalizeTrack, parseDuration } from './parserUtils.js';
+
+// Header names recognised for each track field, lower-cased; covers Exportify, TuneMyMusic,
+// Soundiiz and spreadsheet exports of Music.app
+const COLUMN_ALIASES = {
+    name: ['name', 'title', 'track', 'track name', 'track title', 'song', 'song name', 'song title'],
+    artist: ['artist', 'artists', 'artist name', 'artist name(s)', 'artist names', 'performer'],
+    album: ['album', 'album name', 'album title', 'release'],
+    albumArtist: ['album artist', 'album artist name(s)', 'album artist name'],
+    duration: ['time', 'duration', 'length', 'duration (ms)', 'track duration (ms)', 'duration_ms', 'duration ms'],
+    year: ['year', 'release date', 'album release date', 'date'],
+    genre: ['genre', 'genres'],
+    composer: ['composer', 'composers']
+};
+
+/**
+ * Comma-, semicolon- or tab-separated track lists with a header row, from spreadsheets and other
+ * services' exports. Columns are found by their header (see COLUMN_ALIASES); `columns` maps any
+ * others by hand, e.g. { name: 'Song', artist: 'Performer' }. Durations are read as m:ss, as
+ * seconds, or as milliseconds when the header says "ms".
+ */
+export class CsvPlaylistParser {
+    static FIELDS = Object.keys(COLUMN_ALIASES);
+
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.columns] - Field name → header, overriding the recognised headers
+     */
+    constructor(options = {}) {
+        this.columnMap = options.columns || {};
+        this.headers = [];
+        this.rows = [];
+        this.columns = {};
+        this.delimiter = null;
+        this.encoding = null;
+    }
+
+    /**
+     * Parses a --columns value like "name=Song,artist=Performer".
+     */
+    static parseColumnMap(value) {
+        const columns = {};
+        for (const pair of String(value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+            const [field, ...header] = pair.split('=');
+            if (!CsvPlaylistParser.FIELDS.includes(field.trim()) || header.length === 0) {
+                throw new Error(`Invalid column mapping "${pair}" (expected field=Header with field one of ${CsvPlaylistParser.FIELDS.join(', ')})`);
+            }
+            columns[field.trim()] = header.join('=').trim();
+        }
+        return columns;
+    }
+
+    async parseFile(filePath) {
+        try {
+            const { text, encoding } = decodeText(await fs.readFile(filePath), { fallback: 'latin1' });
+            this.encoding = encoding;
+            return this.parseContent(text);
+        } catch (error) {
+            throw new Error(`Error parsing CSV playlist: ${error.message}`);
+        }
+    }
+
+    parseContent(content) {
+        const firstLine = content.split(/\r\n|\r|\n/, 1)[0] || '';
+        this.delimiter = this.detectDelimiter(firstLine);
+
+        const records = this.splitRecords(content, this.delimiter).filter(record => record.some(value => value.trim()));
+        if (records.length === 0) {
+            throw new Error('File is empty');
+        }
+
+        this.headers = records[0].map(header => header.trim());
+        this.columns = this.resolveColumns(this.headers);
+        this.rows = records.slice(1).map(values => Object.fromEntries(this.headers.map((header, index) => [header, (values[index] || '').trim()])));
+        return this.rows;
+    }
+
+    detectDelimiter(line) {
+        const counts = [',', ';', '\t'].map(delimiter => ({
+            delimiter,
+            count: line.replace(/"[^"]*"/g, '').split(delimiter).length - 1
+        }));
+        counts.sort((a, b) => b.count - a.count);
+        return counts[0].count > 0 ? counts[0].delimiter : ',';
+    }
+
+    /**
+     * RFC 4180 records: quoted values may contain delimiters, doubled quotes and line breaks.
+     */
+    splitRecords(content, delimiter) {
+        const records = [];
+        let record = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"' && value.trim() === '') {
+                quoted = true;
+                value = '';
+            } else if (char === delimiter) {
+                record.push(value);
+                value = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                record.push(value);
+                records.push(record);
+                record = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (value !== '' || record.length > 0) {
+            record.push(value);
+            records.push(record);
+        }
+        return records;
+    }
+
+    /**
+     * Field → header for every field found, by the explicit mapping first, then by alias.
+     */
+    resolveColumns(headers) {
+        const byLowerCase = new Map(headers.map(header => [header.toLowerCase(), header]));
+        const columns = {};
+
+        for (const [field, header] of Object.entries(this.columnMap)) {
+            if (!byLowerCase.has(header.toLowerCase())) {
+                throw new Error(`Column "${header}" (mapped to ${field}) is not in the header row: ${headers.join(', ')}`);
+            }
+            columns[field] = byLowerCase.get(header.toLowerCase());
+        }
+
+        for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+            const alias = !columns[field] && aliases.find(name => byLowerCase.has(name));
+            if (alias) {
+                columns[field] = byLowerCase.get(alias);
+            }
+        }
+
+        if (!columns.name || !columns.artist) {
+            throw new Error(`Could not find the ${!columns.name ? 'title' : 'artist'} column among ${headers.join(', ')}; map it with --columns, e.g. --columns "name=Song,artist=Performer"`);
+        }
+        return columns;
+    }
+
+    getTracksForSpotify() {
+        const milliseconds = /(^|[^a-z])ms([^a-z]|$)|milli/i.test(this.columns.duration || '');
+        return this.rows.map(row => {
+            const field = (name) => this.columns[name] ? row[this.columns[name]] : '';
+            return normalizeTrack({
+                name: field('name'),
+                artist: field('artist'),
+                album: field('album'),
+                albumArtist: field('albumArtist'),
+                year: field('year'),
+                duration: parseDuration(field('duration'), { milliseconds }),
+                genre: field('genre'),
+                composer: field('composer')
+            }, row);
+        }).filter(track => track.name && track.artist);
+    }
+
+    getPlaylistInfo() {
+        return {
+            totalTracks: this.rows.length,
+            validTracks: this.getTracksForSpotify().length,
+            headers: this.headers,
+            columns: this.columns,
+            encoding: this.encoding
+        };
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * What to do with tracks that would end up in a Spotify playlist more than once.
+ *
+ * - keep:        mirror the Apple playlist, repeats and all
+ * - apple-id:    the same Apple track listed twice is added once
+ * - spotify-uri: additionally, different Apple tracks that match the same Spotify track
+ *                (deluxe vs. standard album) are added once
+ * - isrc:        like spotify-uri, but also treats different Spotify releases of the same
+ *                recording (same ISRC) as one track
+ *
+ * Apple-side duplicates are dropped before searching, Spotify-side ones after matching; the
+ * first occurrence always wins so the playlist order is unaffected.
+ */
+export class DuplicatePolicy {
+    static POLICIES = ['keep', 'apple-id', 'spotify-uri', 'isrc'];
+
+    constructor(policy = 'keep') {
+        if (!DuplicatePolicy.POLICIES.includes(policy)) {
+            throw new Error(`Unknown duplicate policy "${policy}" (expected ${DuplicatePolicy.POLICIES.join(', ')})`);
+        }
+        this.policy = policy;
+    }
+
+    /**
+     * @param {Object[]} appleTracks
+     * @param {Function} keyOf - Identity of an Apple track, e.g. SpotifyClient.getMatchCacheKey
+     * @returns {{ tracks: Object[], dropped: Object[] }} dropped entries are { original, duplicateOf, reason }
+     */
+    collapseAppleTracks(appleTracks, keyOf) {
+        if (this.policy === 'keep') {
+            return { tracks: appleTracks, dropped: [] };
+        }
+
+        return this.collapse(appleTracks, keyOf, track => track, 'same Apple track as');
+    }
+
+    /**
+     * @param {Object[]} found - searchResults.found entries ({ original, spotify, uri, ... })
+     * @returns {{ found: Object[], dropped: Object[] }}
+     */
+    collapseMatches(found) {
+        if (this.policy === 'keep' || this.policy === 'apple-id') {
+            return { found, dropped: [] };
+        }
+
+        const keyOf = this.policy === 'isrc'
+            // Without an ISRC on record the URI is the best identity there is
+            ? result => this.getIsrc(result.spotify) || result.uri
+            : result => result.uri;
+        const reason = this.policy === 'isrc' ? 'same recording (ISRC) as' : 'same Spotify track as';
+
+        const { tracks, dropped } = this.collapse(found, keyOf, result => result.original, reason);
+        return { found: tracks, dropped };
+    }
+
+    collapse(items, keyOf, originalOf, reason) {
+        const first = new Map();
+        const tracks = [];
+        const dropped = [];
+
+        for (const item of items) {
+            const key = keyOf(item);
+            if (first.has(key)) {
+                dropped.push({ original: originalOf(item), duplicateOf: originalOf(first.get(key)), reason });
+            } else {
+                first.set(key, item);
+                tracks.push(item);
+            }
+        }
+
+        return { tracks, dropped };
+    }
+
+    getIsrc(spotifyTrack) {
+        const isrc = spotifyTrack && spotifyTrack.external_ids && spotifyTrack.external_ids.isrc;
+        return isrc ? isrc.toUpperCase() : null;
+    }
+}
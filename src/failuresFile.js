@@ -0,0 +1,153 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ApplePlaylistParser } from './applePlaylistParser.js';
+
+const FAILURES_VERSION = 1;
+
+// Music.app's own export columns, so the TSV reads back like any text export
+const TSV_COLUMNS = [
+    ['Name', track => track.name],
+    ['Artist', track => track.artist],
+    ['Album', track => track.album],
+    ['Album Artist', track => track.albumArtist],
+    ['Composer', track => track.composer],
+    ['Work', track => track.work],
+    ['Movement Number', track => track.movementNumber],
+    ['Movement Count', track => track.movementCount],
+    ['Movement Name', track => track.movementName],
+    ['Genre', track => track.genre],
+    ['Year', track => track.year],
+    ['Time', track => track.duration ? `${Math.floor(track.duration / 60)}:${String(track.duration % 60).padStart(2, '0')}` : ''],
+    ['Persistent ID', track => track.originalTrack && track.originalTrack['Persistent ID']],
+    ['Hint', track => track.hint]
+];
+
+/**
+ * Tracks a conversion could not match, saved as <base>.json and <base>.tsv so `retry` can search
+ * for them again and add what it finds to the Spotify playlist.
+ *
+ * Both files can be edited: a track's hint (the Hint column or "hint" field) is a Spotify track
+ * URI or URL to use as is, a search query to try first, or "skip" to give up on the track. The
+ * JSON also keeps the full original Apple metadata and the Spotify playlist the tracks belong to.
+ */
+export class FailuresFile {
+    /**
+     * @param {string} basePath - Path without extension
+     * @param {Object} [meta] - { playlist: { id, name, url }, source }
+     */
+    constructor(basePath, meta = {}) {
+        this.basePath = basePath;
+        this.playlist = meta.playlist || null;
+        this.source = meta.source || null;
+        // Apple tracks as returned by the parsers' getTracksForSpotify(), plus an optional `hint`
+        this.tracks = [];
+    }
+
+    get jsonPath() {
+        return `${this.basePath}.json`;
+    }
+
+    get tsvPath() {
+        return `${this.basePath}.tsv`;
+    }
+
+    /**
+     * Reads a failures file written by write(), either the .json or the .tsv. A TSV has no room
+     * for the playlist, which is taken from the .json next to it when there is one.
+     */
+    static async read(filePath) {
+        if (!await fs.pathExists(filePath)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+
+        const extension = path.extname(filePath).toLowerCase();
+        const failures = new FailuresFile(filePath.slice(0, filePath.length - extension.length));
+
+        try {
+            if (extension === '.json') {
+                failures.fromJSON(await fs.readJson(filePath));
+            } else {
+                const parser = new ApplePlaylistParser();
+                await parser.parseFile(filePath);
+                failures.tracks = parser.getTracksForSpotify().map(track => ({
+                    ...track,
+                    hint: track.originalTrack.Hint || null
+                }));
+
+                if (await fs.pathExists(failures.jsonPath)) {
+                    const { playlist, source } = await fs.readJson(failures.jsonPath);
+                    failures.playlist = playlist || null;
+                    failures.source = source || null;
+                }
+            }
+        } catch (error) {
+            throw new Error(`Could not read failures file ${filePath}: ${error.message}`);
+        }
+
+        return failures;
+    }
+
+    fromJSON(data) {
+        if (!data || data.version !== FAILURES_VERSION || !Array.isArray(data.tracks)) {
+            throw new Error('not a failures file written by this tool');
+        }
+
+        this.playlist = data.playlist || null;
+        this.source = data.source || null;
+        this.tracks = data.tracks.map(entry => ({
+            ...entry.apple,
+            originalTrack: entry.original || {},
+            hint: entry.hint || null
+        }));
+    }
+
+    toJSON() {
+        return {
+            version: FAILURES_VERSION,
+            playlist: this.playlist,
+            source: this.source,
+            writtenAt: new Date().toISOString(),
+            tracks: this.tracks.map(track => ({
+                apple: {
+                    name: track.name,
+                    artist: track.artist,
+                    album: track.album,
+                    albumArtist: track.albumArtist || '',
+                    year: track.year || '',
+                    duration: track.duration || 0,
+                    genre: track.genre || '',
+                    composer: track.composer || '',
+                    work: track.work || '',
+                    movementNumber: track.movementNumber || null,
+                    movementCount: track.movementCount || null,
+                    movementName: track.movementName || ''
+                },
+                original: track.originalTrack || {},
+                hint: track.hint || null
+            }))
+        };
+    }
+
+    toTsv() {
+        const cell = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+        const rows = this.tracks.map(track => TSV_COLUMNS.map(([, valueOf]) => cell(valueOf(track))).join('\t'));
+        return [TSV_COLUMNS.map(([header]) => header).join('\t'), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Writes both files and returns their paths. With no tracks left, removes them instead and
+     * returns an empty list.
+     */
+    async write() {
+        if (this.tracks.length === 0) {
+            await fs.remove(this.jsonPath);
+            await fs.remove(this.tsvPath);
+            return [];
+        }
+
+        await fs.ensureDir(path.dirname(path.resolve(this.basePath)));
+        await fs.writeFile(this.tsvPath, this.toTsv());
+        await fs.writeFile(this.jsonPath, JSON.stringify(this.toJSON(), null, 2));
+        return [this.tsvPath, this.jsonPath];
+    }
+}
@@ -0,0 +1,117 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { AppleXmlParser } from './appleXmlParser.js';
+import { ApplePlaylistParser } from './applePlaylistParser.js';
+import { M3uParser } from './m3uParser.js';
+import { CsvPlaylistParser } from './csvPlaylistParser.js';
+import { JsonPlaylistParser } from './jsonPlaylistParser.js';
+import { AppleMusicPageParser } from './appleMusicPageParser.js';
+import { decodeText } from './parserUtils.js';
+
+const SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * The playlist file formats `convert` and `sync` read, told apart by content rather than by file
+ * extension. Each format is { name, description, detect(sample), createParser(options) }, where
+ * `sample` is { text, firstLine, extension } for the start of the file and the parser offers
+ * parseFile(), getTracksForSpotify() and getPlaylistInfo() like ApplePlaylistParser. Formats are
+ * tried in order, so the specific ones come before the catch-all CSV.
+ */
+export class InputFormats {
+    static defaults() {
+        return [
+            {
+                name: 'library',
+                description: 'Apple Music XML library',
+                detect: ({ text }) => /<plist[\s>]/.test(text) && /<key>(Tracks|Major Version|Application Version)<\/key>/.test(text),
+                createParser: () => new AppleXmlParser()
+            },
+            {
+                name: 'apple-music-page',
+                description: 'saved Apple Music page',
+                detect: ({ text }) => /<!doctype html|<html[\s>]/i.test(text) && /application\/ld\+json/i.test(text),
+                createParser: () => new AppleMusicPageParser()
+            },
+            {
+                name: 'json',
+                description: 'JSON track list',
+                detect: ({ text }) => /^\s*[[{]/.test(text),
+                createParser: () => new JsonPlaylistParser()
+            },
+            {
+                name: 'm3u',
+                description: 'M3U playlist',
+                detect: ({ firstLine, extension }) => /^#EXTM3U/i.test(firstLine) || ['.m3u', '.m3u8'].includes(extension),
+                createParser: () => new M3uParser()
+            },
+            {
+                name: 'text',
+                description: 'Apple Music playlist',
+                detect: ({ firstLine }) => {
+                    const headers = firstLine.split('\t').map(header => header.trim());
+                    return headers.includes('Name') && headers.includes('Artist');
+                },
+                createParser: () => new ApplePlaylistParser()
+            },
+            {
+                name: 'csv',
+                description: 'CSV playlist',
+                detect: ({ firstLine }) => /[,;\t]/.test(firstLine),
+                createParser: ({ columns } = {}) => new CsvPlaylistParser({ columns })
+            }
+        ];
+    }
+
+    constructor(formats = InputFormats.defaults()) {
+        this.formats = formats;
+    }
+
+    /**
+     * Adds a format, tried before the ones already registered.
+     */
+    register(format) {
+        this.formats.unshift(format);
+        return this;
+    }
+
+    get names() {
+        return this.formats.map(format => format.name);
+    }
+
+    get(name) {
+        const format = this.formats.find(candidate => candidate.name === name);
+        if (!format) {
+            throw new Error(`Unknown input format "${name}" (expected ${this.names.join(', ')})`);
+        }
+        return format;
+    }
+
+    /**
+     * The format of a file, judged from its first 64 KB; `name` (from --format) skips the check.
+     */
+    async detect(filePath, name = null) {
+        if (name) {
+            return this.get(name);
+        }
+
+        const handle = await fs.open(filePath, 'r');
+        let sample;
+        try {
+            const buffer = Buffer.alloc(SAMPLE_BYTES);
+            const { bytesRead } = await fs.read(handle, buffer, 0, SAMPLE_BYTES, 0);
+            sample = buffer.subarray(0, bytesRead);
+        } finally {
+            await fs.close(handle);
+        }
+
+        const { text } = decodeText(sample);
+        const firstLine = (text.split(/\r\n|\r|\n/).find(line => line.trim()) || '').trim();
+        const extension = path.extname(filePath).toLowerCase();
+
+        const format = this.formats.find(candidate => candidate.detect({ text, firstLine, extension }));
+        if (!format) {
+            throw new Error(`Could not tell what kind of playlist ${filePath} is; pass --format (${this.names.join(', ')})`);
+        }
+        return format;
+    }
+}
@@ -0,0 +1,79 @@
+import fs from 'fs-extra';
+import { decodeText, normalizeTrack, parseDuration } from './parserUtils.js';
+
+/**
+ * A playlist written as JSON, for scripts and other tools to feed the converter:
+ *
+ *   {
+ *     "name": "Road Trip",                  // optional; the default Spotify playlist name
+ *     "tracks": [
+ *       {
+ *         "name": "Midnight City",          // required ("title" also works)
+ *         "artist": "M83",                  // required; or "artists": ["M83"]
+ *         "album": "Hurry Up, We're Dreaming",
+ *         "albumArtist": "M83",
+ *         "duration": 244,                  // seconds, "4:04" or "PT4M4S"; or "durationMs": 243960
+ *         "year": 2011,
+ *         "genre": "Electronic",
+ *         "composer": "Anthony Gonzalez"
+ *       }
+ *     ]
+ *   }
+ *
+ * A bare array of tracks is read the same way. Any other fields are kept with the track and show
+ * up in match reports and failures files.
+ */
+export class JsonPlaylistParser {
+    constructor() {
+        this.name = null;
+        this.tracks = [];
+    }
+
+    async parseFile(filePath) {
+        let data;
+        try {
+            data = JSON.parse(decodeText(await fs.readFile(filePath)).text);
+        } catch (error) {
+            throw new Error(`Error parsing JSON playlist: ${error.message}`);
+        }
+        return this.parseData(data);
+    }
+
+    parseData(data) {
+        const tracks = Array.isArray(data) ? data : data && Array.isArray(data.tracks) ? data.tracks : null;
+        if (!tracks) {
+            throw new Error('Error parsing JSON playlist: expected an array of tracks or an object with a "tracks" array');
+        }
+
+        tracks.forEach((track, index) => {
+            if (!track || typeof track !== 'object' || Array.isArray(track)) {
+                throw new Error(`Error parsing JSON playlist: track ${index + 1} is not an object`);
+            }
+        });
+
+        this.name = !Array.isArray(data) && typeof data.name === 'string' ? data.name : null;
+        this.tracks = tracks;
+        return this.tracks;
+    }
+
+    getTracksForSpotify() {
+        return this.tracks.map(track => {
+            const artist = Array.isArray(track.artists)
+                ? track.artists.map(artist => typeof artist === 'string' ? artist : artist && artist.name).filter(Boolean).join(', ')
+                : track.artist;
+            const duration = track.durationMs !== undefined
+                ? parseDuration(track.durationMs, { milliseconds: true })
+                : parseDuration(track.duration);
+
+            return normalizeTrack({ ...track, name: track.name ?? track.title, artist, duration }, track);
+        }).filter(track => track.name && track.artist);
+    }
+
+    getPlaylistInfo() {
+        return {
+            name: this.name,
+            totalTracks: this.tracks.length,
+            validTracks: this.getTracksForSpotify().length
+        };
+    }
+}
@@ -0,0 +1,172 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { decodeText, normalizeTrack } from './parserUtils.js';
+
+const AUDIO_EXTENSION = /\.(mp3|m4a|m4p|aac|alac|flac|wav|aiff?|ogg|opus|wma)$/i;
+
+/**
+ * M3U and M3U8 playlists, as exported by Music.app, iTunes, VLC, foobar2000 and most players.
+ *
+ * Each entry is a file path or URL, optionally preceded by `#EXTINF:<seconds>,<artist> - <title>`
+ * and the `#EXTALB`/`#EXTART`/`#EXTGENRE` tags. Music.app and iTunes write `<title> - <artist>`
+ * instead; which side is which is settled by #EXTART, or by the file path where it follows the
+ * usual Artist/Album/01 Title.m4a layout. Entries without #EXTINF are read from the path alone.
+ */
+export class M3uParser {
+    constructor() {
+        this.name = null;
+        this.entries = [];
+        this.encoding = null;
+    }
+
+    async parseFile(filePath) {
+        try {
+            const buffer = await fs.readFile(filePath);
+            // .m3u predates UTF-8 and is often Latin-1; .m3u8 is UTF-8 by definition
+            const { text, encoding } = decodeText(buffer, {
+                fallback: path.extname(filePath).toLowerCase() === '.m3u8' ? null : 'latin1'
+            });
+            this.encoding = encoding;
+            return this.parseContent(text);
+        } catch (error) {
+            throw new Error(`Error parsing M3U playlist: ${error.message}`);
+        }
+    }
+
+    parseContent(content) {
+        this.entries = [];
+        let pending = {};
+
+        for (const rawLine of content.split(/\r\n|\r|\n/)) {
+            const line = rawLine.trim();
+            if (!line) {
+                continue;
+            }
+
+            if (line.startsWith('#')) {
+                const [, tag, value = ''] = line.match(/^#([A-Z0-9-]+):?(.*)$/i) || [];
+                switch ((tag || '').toUpperCase()) {
+                    case 'PLAYLIST':
+                        this.name = value.trim() || null;
+                        break;
+                    case 'EXTINF': {
+                        // #EXTINF:<seconds> [key="value" ...],<display title>
+                        const comma = this.findTitleComma(value);
+                        pending.seconds = parseInt(value, 10);
+                        pending.display = comma >= 0 ? value.slice(comma + 1).trim() : '';
+                        break;
+                    }
+                    case 'EXTALB':
+                        pending.album = value.trim();
+                        break;
+                    case 'EXTART':
+                        pending.artist = value.trim();
+                        break;
+                    case 'EXTGENRE':
+                        pending.genre = value.trim();
+                        break;
+                    default:
+                        break;
+                }
+                continue;
+            }
+
+            this.entries.push({ ...pending, location: line });
+            pending = {};
+        }
+
+        return this.entries;
+    }
+
+    // The title follows the first comma that is not inside a quoted attribute value
+    findTitleComma(value) {
+        let quoted = false;
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '"') quoted = !quoted;
+            else if (value[i] === ',' && !quoted) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Artist folder, album folder and title from a path like .../Artist/Album/1-02 Title.m4a.
+     */
+    parseLocation(location) {
+        let filePath = location;
+        if (/^file:/i.test(filePath)) {
+            try {
+                filePath = decodeURIComponent(new URL(filePath).pathname);
+            } catch (error) {
+                // Not a valid URL; use it as written
+            }
+        } else if (/^[a-z]+:\/\//i.test(filePath)) {
+            // A stream URL says nothing about the track
+            return { title: '', album: '', artist: '' };
+        }
+
+        const parts = filePath.split(/[\\/]+/).filter(Boolean);
+        const fileName = parts.pop() || '';
+        const title = fileName
+            .replace(AUDIO_EXTENSION, '')
+            .replace(/^\d{1,2}-\d{1,3}[ .]+|^\d{1,3}[ .-]+/, '')
+            .trim();
+        const isMediaLayout = AUDIO_EXTENSION.test(fileName) && parts.length >= 2;
+        return {
+            title,
+            album: isMediaLayout ? parts[parts.length - 1] : '',
+            artist: isMediaLayout ? parts[parts.length - 2] : ''
+        };
+    }
+
+    resolveEntry(entry) {
+        const fromPath = this.parseLocation(entry.location);
+        let name = fromPath.title;
+        let artist = entry.artist || fromPath.artist;
+
+        if (entry.display) {
+            const display = entry.display;
+            const credit = ` - ${artist}`.toLowerCase();
+            const separator = display.indexOf(' - ');
+            if (artist && display.toLowerCase().endsWith(credit)) {
+                // "<title> - <artist>", as Music.app writes it
+                name = display.slice(0, display.length - credit.length).trim();
+            } else if (artist && display.toLowerCase().startsWith(`${artist} - `.toLowerCase())) {
+                name = display.slice(artist.length + 3).trim();
+            } else if (separator >= 0) {
+                const first = display.slice(0, separator).trim();
+                const second = display.slice(separator + 3).trim();
+                const titleFirst = fromPath.title && first.toLowerCase() === fromPath.title.toLowerCase();
+                name = titleFirst ? first : second;
+                artist = titleFirst ? second : first;
+            } else {
+                name = display;
+            }
+        }
+
+        return normalizeTrack({
+            name,
+            artist,
+            album: entry.album || fromPath.album,
+            genre: entry.genre,
+            duration: entry.seconds > 0 ? entry.seconds : 0
+        }, {
+            Name: name,
+            Artist: artist,
+            Album: entry.album || fromPath.album,
+            Location: entry.location
+        });
+    }
+
+    getTracksForSpotify() {
+        return this.entries.map(entry => this.resolveEntry(entry)).filter(track => track.name && track.artist);
+    }
+
+    getPlaylistInfo() {
+        return {
+            name: this.name,
+            totalTracks: this.entries.length,
+            validTracks: this.getTracksForSpotify().length,
+            encoding: this.encoding
+        };
+    }
+}
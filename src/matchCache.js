@@ -0,0 +1,202 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getConfigDir } from './tokenStore.js';
+
+const CACHE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * On-disk cache of resolved matches, keyed by SpotifyClient.getMatchCacheKey() (the Apple
+ * Persistent ID when there is one, else a normalised name/artist/album/duration key).
+ *
+ * Implements the has/get/set subset of Map that SpotifyClient uses for its match cache.
+ * Entries record where they came from: "search" entries expire after their TTL, "manual"
+ * entries (added with `cache pin`) never do.
+ */
+export class MatchCache {
+    /**
+     * @param {string} [filePath]
+     * @param {Object} [options]
+     * @param {number} [options.ttlDays] - Lifetime of found matches
+     * @param {number} [options.notFoundTtlDays] - Lifetime of "not on Spotify" results, kept short so new releases get picked up
+     */
+    constructor(filePath = path.join(getConfigDir(), 'match-cache.json'), options = {}) {
+        this.filePath = filePath;
+        this.ttlMs = (options.ttlDays ?? 90) * DAY_MS;
+        this.notFoundTtlMs = (options.notFoundTtlDays ?? 7) * DAY_MS;
+        this.entries = {};
+        this.dirty = false;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.filePath)) {
+                const data = await fs.readJson(this.filePath);
+                // Entries written by an incompatible version are dropped rather than misread
+                this.entries = data && data.version === CACHE_VERSION ? data.entries || {} : {};
+            }
+        } catch (error) {
+            console.warn(`Ignoring unreadable match cache ${this.filePath}: ${error.message}`);
+            this.entries = {};
+        }
+        return this;
+    }
+
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        await fs.ensureDir(path.dirname(this.filePath));
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ version: CACHE_VERSION, entries: this.entries }));
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+        this.dirty = false;
+    }
+
+    /**
+     * Whether the entry records a decision to leave the track out. Manual entries without a URI
+     * can only come from `cache pin --skip`, including those pinned before the flag was stored.
+     */
+    isSkipped(entry) {
+        return !entry.uri && (!!entry.skipped || entry.source === 'manual');
+    }
+
+    isExpired(entry, now = Date.now()) {
+        if (entry.source === 'manual') {
+            return false;
+        }
+        // A skip was decided, not a track missing from Spotify, so it lasts as long as a match
+        const ttl = entry.uri || this.isSkipped(entry) ? this.ttlMs : this.notFoundTtlMs;
+        return now - Date.parse(entry.cachedAt) > ttl;
+    }
+
+    /**
+     * An entry is stale when it expired or when the Apple track it was made for has since been
+     * renamed or re-tagged (same Persistent ID, different metadata).
+     */
+    isStale(entry, appleTrack) {
+        if (this.isExpired(entry)) {
+            return true;
+        }
+        if (!appleTrack || !entry.apple || entry.source === 'manual') {
+            return false;
+        }
+        const normalize = (value) => String(value || '').toLowerCase().trim();
+        return normalize(entry.apple.name) !== normalize(appleTrack.name) ||
+            normalize(entry.apple.artist) !== normalize(appleTrack.artist);
+    }
+
+    has(key, appleTrack = null) {
+        const entry = this.entries[key];
+        if (entry && !this.isStale(entry, appleTrack)) {
+            return true;
+        }
+        if (entry) {
+            this.delete(key);
+        }
+        this.misses++;
+        return false;
+    }
+
+    get(key, appleTrack = null) {
+        const entry = this.entries[key];
+        if (!entry || this.isStale(entry, appleTrack)) {
+            return undefined;
+        }
+
+        this.hits++;
+        return {
+            match: entry.uri ? {
+                uri: entry.uri,
+                name: entry.track.name,
+                artists: entry.track.artists.map(name => ({ name })),
+                album: { name: entry.track.album },
+                duration_ms: entry.track.duration_ms,
+                external_ids: entry.track.isrc ? { isrc: entry.track.isrc } : {}
+            } : null,
+            score: entry.score ?? null,
+            confidence: entry.confidence ?? (entry.uri ? 1 : 0),
+            strategy: entry.strategy ?? null,
+            candidates: [],
+            reviewed: entry.source === 'manual',
+            skipped: this.isSkipped(entry)
+        };
+    }
+
+    set(key, evaluation, appleTrack = null, source = 'search') {
+        const match = evaluation.match;
+
+        this.entries[key] = {
+            uri: match ? match.uri : null,
+            track: match ? {
+                name: match.name,
+                artists: (match.artists || []).map(artist => artist.name),
+                album: match.album ? match.album.name : '',
+                duration_ms: match.duration_ms || 0,
+                isrc: match.external_ids ? match.external_ids.isrc || null : null
+            } : null,
+            score: evaluation.score ?? null,
+            confidence: evaluation.confidence ?? null,
+            strategy: evaluation.strategy ?? null,
+            skipped: !match && !!evaluation.skipped,
+            apple: appleTrack ? { name: appleTrack.name, artist: appleTrack.artist, album: appleTrack.album } : null,
+            source,
+            cachedAt: new Date().toISOString()
+        };
+        this.dirty = true;
+        return this;
+    }
+
+    delete(key) {
+        if (key in this.entries) {
+            delete this.entries[key];
+            this.dirty = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Removes entries matching the filter and returns how many were removed.
+     * @param {Object} [filter] - { expired, notFound, key }; no filter clears everything
+     */
+    clear(filter = {}) {
+        const keys = Object.keys(this.entries).filter(key => {
+            const entry = this.entries[key];
+            if (filter.key) return key === filter.key;
+            if (filter.expired) return this.isExpired(entry);
+            if (filter.notFound) return !entry.uri && !this.isSkipped(entry);
+            return true;
+        });
+
+        keys.forEach(key => delete this.entries[key]);
+        if (keys.length > 0) {
+            this.dirty = true;
+        }
+        return keys.length;
+    }
+
+    stats() {
+        const entries = Object.values(this.entries);
+        const dates = entries.map(entry => Date.parse(entry.cachedAt)).filter(Number.isFinite);
+
+        return {
+            file: this.filePath,
+            total: entries.length,
+            found: entries.filter(entry => entry.uri).length,
+            notFound: entries.filter(entry => !entry.uri && !this.isSkipped(entry)).length,
+            skipped: entries.filter(entry => this.isSkipped(entry)).length,
+            manual: entries.filter(entry => entry.source === 'manual').length,
+            expired: entries.filter(entry => this.isExpired(entry)).length,
+            oldest: dates.length ? new Date(dates.reduce((a, b) => Math.min(a, b))).toISOString() : null,
+            newest: dates.length ? new Date(dates.reduce((a, b) => Math.max(a, b))).toISOString() : null
+        };
+    }
+
+    export() {
+        return Object.entries(this.entries).map(([key, entry]) => ({ key, ...entry }));
+    }
+}
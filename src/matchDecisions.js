@@ -0,0 +1,76 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getConfigDir } from './tokenStore.js';
+
+/**
+ * Choices made during interactive review, keyed by SpotifyClient.getMatchCacheKey(), so the same
+ * question is never asked twice. A decision is either a Spotify track or an explicit skip.
+ */
+export class MatchDecisions {
+    constructor(filePath = path.join(getConfigDir(), 'decisions.json')) {
+        this.filePath = filePath;
+        this.decisions = {};
+        this.dirty = false;
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.filePath)) {
+                this.decisions = await fs.readJson(this.filePath);
+            }
+        } catch (error) {
+            throw new Error(`Could not read match decisions from ${this.filePath}: ${error.message}`);
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} [legacyKey] - Key an older version may have saved the decision under; a
+     *   decision found there is copied to `key` (and kept, as other tracks may share it)
+     */
+    get(key, legacyKey = null) {
+        const has = (name) => Object.prototype.hasOwnProperty.call(this.decisions, name);
+        if (has(key)) {
+            return this.decisions[key];
+        }
+        if (legacyKey && has(legacyKey)) {
+            this.decisions[key] = this.decisions[legacyKey];
+            this.dirty = true;
+            return this.decisions[key];
+        }
+        return null;
+    }
+
+    set(key, appleTrack, spotifyTrack) {
+        this.decisions[key] = {
+            apple: {
+                name: appleTrack.name,
+                artist: appleTrack.artist,
+                album: appleTrack.album
+            },
+            skip: !spotifyTrack,
+            spotify: spotifyTrack ? {
+                uri: spotifyTrack.uri,
+                name: spotifyTrack.name,
+                artists: (spotifyTrack.artists || []).map(artist => ({ name: artist.name })),
+                album: { name: spotifyTrack.album ? spotifyTrack.album.name : '' },
+                duration_ms: spotifyTrack.duration_ms || 0,
+                external_ids: spotifyTrack.external_ids ? { isrc: spotifyTrack.external_ids.isrc } : {}
+            } : null,
+            decidedAt: new Date().toISOString()
+        };
+        this.dirty = true;
+    }
+
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        await fs.ensureDir(path.dirname(this.filePath));
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.decisions, null, 2));
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+        this.dirty = false;
+    }
+}
@@ -0,0 +1,134 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { getConfigDir } from './tokenStore.js';
+
+const DEFAULT_NAMES = ['overrides.yaml', 'overrides.yml', 'overrides.json'];
+
+/**
+ * User-maintained list of tracks the matcher gets wrong, consulted before searching. Written by
+ * hand as YAML or JSON: a list of entries (optionally under an `overrides:` key), each naming an
+ * Apple track by `persistentId` or by `name` and `artist` (plus `album` to narrow it down), and a
+ * `uri` that is a Spotify track URI, URL or ID, or "skip" to never add the track.
+ *
+ *   - persistentId: 972B90CDD561F9D4
+ *     uri: https://open.spotify.com/track/...
+ *   - name: Come
+ *     artist: JAEL.
+ *     uri: skip
+ */
+export class MatchOverrides {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = [];
+        this.byPersistentId = new Map();
+        this.byName = new Map();
+    }
+
+    /**
+     * The overrides file in the config directory, or null when there is none.
+     */
+    static async findDefault(dir = getConfigDir()) {
+        for (const name of DEFAULT_NAMES) {
+            const candidate = path.join(dir, name);
+            if (await fs.pathExists(candidate)) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Loads the overrides file, throwing on syntax errors and on entries that name no track or
+     * no valid target, so a typo never silently turns into a search.
+     *
+     * @param {Function} toTrackUri - Canonicalises a URI/URL/ID, e.g. SpotifyClient.toTrackUri
+     */
+    async load(toTrackUri) {
+        let data;
+        try {
+            const text = await fs.readFile(this.filePath, 'utf8');
+            data = path.extname(this.filePath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+        } catch (error) {
+            throw new Error(`Could not read overrides from ${this.filePath}: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : data && Array.isArray(data.overrides) ? data.overrides : null;
+        if (data != null && !list) {
+            throw new Error(`${this.filePath} should contain a list of overrides (optionally under an "overrides" key)`);
+        }
+
+        this.entries = (list || []).map((entry, index) => this.parseEntry(entry, index + 1, toTrackUri));
+
+        for (const entry of this.entries) {
+            if (entry.persistentId) {
+                // As `overrides check` reports, a repeated Persistent ID uses only the first entry
+                if (!this.byPersistentId.has(entry.persistentId)) {
+                    this.byPersistentId.set(entry.persistentId, entry);
+                }
+            } else {
+                const key = this.nameKey(entry.name, entry.artist);
+                this.byName.set(key, [...(this.byName.get(key) || []), entry]);
+            }
+        }
+        return this;
+    }
+
+    parseEntry(entry, number, toTrackUri) {
+        const problem = (message) => new Error(`${this.filePath}, override #${number}: ${message}`);
+        if (!entry || typeof entry !== 'object') {
+            throw problem('expected an object with a track and a uri');
+        }
+
+        const persistentId = entry.persistentId ? String(entry.persistentId).trim().toUpperCase() : null;
+        if (!persistentId && !(entry.name && entry.artist)) {
+            throw problem('name the Apple track with persistentId, or with name and artist');
+        }
+
+        const target = String(entry.uri ?? '').trim();
+        const skip = /^skip$/i.test(target);
+        const uri = skip ? null : toTrackUri(target);
+        if (!skip && !uri) {
+            throw problem(`uri "${target}" is not a Spotify track URI, URL or ID, nor "skip"`);
+        }
+
+        return {
+            number,
+            persistentId,
+            name: entry.name ? String(entry.name) : null,
+            artist: entry.artist ? String(entry.artist) : null,
+            album: entry.album ? String(entry.album) : null,
+            uri,
+            skip,
+            note: entry.note || null
+        };
+    }
+
+    nameKey(...parts) {
+        return parts.map(value => String(value || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
+    }
+
+    /**
+     * The override for an Apple track: by Persistent ID first, then by name and artist, where an
+     * entry with an album only applies to that album.
+     */
+    get(track) {
+        const persistentId = track.originalTrack && track.originalTrack['Persistent ID'];
+        if (persistentId && this.byPersistentId.has(String(persistentId).toUpperCase())) {
+            return this.byPersistentId.get(String(persistentId).toUpperCase());
+        }
+
+        const candidates = this.byName.get(this.nameKey(track.name, track.artist)) || [];
+        const album = this.nameKey(track.album);
+        return candidates.find(entry => entry.album && this.nameKey(entry.album) === album) ||
+            candidates.find(entry => !entry.album) ||
+            null;
+    }
+
+    describe(entry) {
+        const track = entry.persistentId
+            ? `Persistent ID ${entry.persistentId}`
+            : `"${entry.name}" by "${entry.artist}"${entry.album ? ` on "${entry.album}"` : ''}`;
+        return `#${entry.number} ${track}`;
+    }
+}
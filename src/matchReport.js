@@ -0,0 +1,188 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export class MatchReport {
+    /**
+     * @param {Object} searchResults - Result of SpotifyClient.searchAndMatchTracks()
+     * @param {Object} [meta] - { playlist, source } shown in the report header
+     */
+    constructor(searchResults, meta = {}) {
+        this.searchResults = searchResults;
+        this.meta = meta;
+        this.generatedAt = new Date();
+    }
+
+    describeSpotifyTrack(track) {
+        return {
+            uri: track.uri,
+            name: track.name,
+            artists: (track.artists || []).map(artist => artist.name),
+            album: track.album ? track.album.name : '',
+            duration: track.duration_ms ? Math.round(track.duration_ms / 1000) : 0
+        };
+    }
+
+    toJSON() {
+        const tracks = this.searchResults.matches.map((entry, index) => ({
+            position: index + 1,
+            apple: {
+                name: entry.original.name,
+                artist: entry.original.artist,
+                album: entry.original.album,
+                year: entry.original.year,
+                duration: entry.original.duration,
+                persistentId: entry.original.originalTrack?.['Persistent ID'] || null
+            },
+            chosen: entry.spotify ? { ...this.describeSpotifyTrack(entry.spotify), score: entry.score, strategy: entry.strategy || null } : null,
+            confidence: entry.confidence,
+            reviewed: entry.reviewed,
+            uncertain: entry.uncertain,
+            skipped: !!entry.skipped,
+            candidates: entry.candidates.map(candidate => ({
+                ...this.describeSpotifyTrack(candidate.track),
+                score: candidate.score,
+                breakdown: candidate.breakdown,
+                strategy: candidate.strategy || null,
+                chosen: candidate.chosen,
+                reason: candidate.reason
+            })),
+            cached: entry.cached
+        }));
+
+        return {
+            playlist: this.meta.playlist || null,
+            source: this.meta.source || null,
+            generatedAt: this.generatedAt.toISOString(),
+            summary: {
+                total: this.searchResults.total,
+                found: this.searchResults.found.length,
+                notFound: this.searchResults.notFound.length,
+                skipped: this.searchResults.skipped.length,
+                byStrategy: this.countByStrategy()
+            },
+            tracks
+        };
+    }
+
+    /**
+     * Number of tracks found by each search strategy, for tracks searched in this run.
+     */
+    countByStrategy() {
+        const counts = {};
+        this.searchResults.found
+            .filter(result => result.strategy)
+            .forEach(result => { counts[result.strategy] = (counts[result.strategy] || 0) + 1; });
+        return counts;
+    }
+
+    formatTrack(name, artists, album) {
+        const artistText = Array.isArray(artists) ? artists.join(', ') : artists;
+        return `${name} — ${artistText}${album ? ` (${album})` : ''}`;
+    }
+
+    toMarkdown() {
+        const report = this.toJSON();
+        const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const lines = [];
+
+        lines.push(`# Match report${report.playlist ? `: ${report.playlist}` : ''}`);
+        lines.push('');
+        if (report.source) {
+            lines.push(`Source: \`${report.source}\`  `);
+        }
+        lines.push(`Generated: ${report.generatedAt}  `);
+        lines.push(`Found ${report.summary.found}/${report.summary.total}, not found ${report.summary.notFound}, skipped ${report.summary.skipped}`);
+        lines.push('');
+        lines.push('| # | Apple track | Chosen Spotify track | Score | Other candidates |');
+        lines.push('|---|---|---|---|---|');
+
+        for (const track of report.tracks) {
+            const apple = this.formatTrack(track.apple.name, track.apple.artist, track.apple.album);
+            const chosen = track.chosen
+                ? `${this.formatTrack(track.chosen.name, track.chosen.artists, track.chosen.album)}<br>\`${track.chosen.uri}\``
+                : track.skipped ? '*skipped*' : '**not found**';
+            const others = track.candidates
+                .filter(candidate => !candidate.chosen)
+                .map(candidate => `${this.formatTrack(candidate.name, candidate.artists, candidate.album)} — ${candidate.reason}`)
+                .join('<br>');
+
+            const score = track.chosen ? `${track.chosen.score ?? ''}${track.chosen.strategy ? `<br>via ${track.chosen.strategy}` : ''}` : '';
+
+            lines.push(`| ${track.position} | ${cell(apple)} | ${cell(chosen)} | ${cell(score)} | ${cell(others)} |`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    toHtml() {
+        const report = this.toJSON();
+        const escape = (text) => String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const rows = report.tracks.map(track => {
+            const apple = escape(this.formatTrack(track.apple.name, track.apple.artist, track.apple.album));
+            const chosen = track.chosen
+                ? `${escape(this.formatTrack(track.chosen.name, track.chosen.artists, track.chosen.album))}<br><code>${escape(track.chosen.uri)}</code>`
+                : track.skipped ? '<em>skipped</em>' : '<strong>not found</strong>';
+            const others = track.candidates
+                .filter(candidate => !candidate.chosen)
+                .map(candidate => `<li>${escape(this.formatTrack(candidate.name, candidate.artists, candidate.album))} <em>${escape(candidate.reason)}</em></li>`)
+                .join('');
+
+            return `<tr${track.chosen || track.skipped ? '' : ' class="missing"'}><td>${track.position}</td><td>${apple}</td><td>${chosen}</td>` +
+                `<td>${track.chosen ? track.chosen.score ?? '' : ''}${track.chosen && track.chosen.strategy ? `<br>via ${escape(track.chosen.strategy)}` : ''}</td>` +
+                `<td>${others ? `<ul>${others}</ul>` : ''}</td></tr>`;
+        });
+
+        const title = `Match report${report.playlist ? `: ${report.playlist}` : ''}`;
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; vertical-align: top; text-align: left; }
+tr.missing { background: #fde8e8; }
+ul { margin: 0; padding-left: 1.2em; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p>${report.source ? `Source: <code>${escape(report.source)}</code><br>` : ''}Generated: ${escape(report.generatedAt)}<br>
+Found ${report.summary.found}/${report.summary.total}, not found ${report.summary.notFound}, skipped ${report.summary.skipped}</p>
+<table>
+<thead><tr><th>#</th><th>Apple track</th><th>Chosen Spotify track</th><th>Score</th><th>Other candidates</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Writes <basePath>.json plus <basePath>.md or <basePath>.html and returns the paths written.
+     */
+    async write(basePath, format = 'md') {
+        if (!['md', 'html'].includes(format)) {
+            throw new Error(`Unknown report format "${format}" (expected md or html)`);
+        }
+
+        await fs.ensureDir(path.dirname(path.resolve(basePath)));
+
+        const jsonPath = `${basePath}.json`;
+        const tablePath = `${basePath}.${format}`;
+
+        await fs.writeFile(jsonPath, JSON.stringify(this.toJSON(), null, 2));
+        await fs.writeFile(tablePath, format === 'html' ? this.toHtml() : this.toMarkdown());
+
+        return [jsonPath, tablePath];
+    }
+}
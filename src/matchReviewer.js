@@ -0,0 +1,114 @@
+import readline from 'readline';
+import { SpotifyClient } from './spotifyClient.js';
+
+/**
+ * Asks the user to settle low-confidence matches on the terminal.
+ */
+export class MatchReviewer {
+    constructor(client, input = process.stdin, output = process.stdout) {
+        this.client = client;
+        this.input = input;
+        this.output = output;
+        this.rl = null;
+    }
+
+    ask(question) {
+        if (!this.rl) {
+            this.rl = readline.createInterface({ input: this.input, output: this.output });
+            this.rl.on('close', () => {
+                this.rl = null;
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const onClose = () => reject(new Error('Match review aborted'));
+            this.rl.once('close', onClose);
+            this.rl.question(question, (answer) => {
+                this.rl.removeListener('close', onClose);
+                resolve(answer.trim());
+            });
+        });
+    }
+
+    formatDuration(seconds) {
+        if (!seconds) return '?:??';
+        const rounded = Math.round(seconds);
+        return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Returns { track } for the chosen Spotify track, { track: null } to skip the Apple track, or
+     * null when a track without candidates is left as not found (so nothing is remembered).
+     */
+    async review(appleTrack, evaluation) {
+        try {
+            return await this.prompt(appleTrack, evaluation);
+        } finally {
+            // Release stdin between questions so the process can exit once matching is done
+            this.close();
+        }
+    }
+
+    async prompt(appleTrack, evaluation) {
+        const { candidates } = evaluation;
+        const percent = (confidence) => `${Math.round((confidence || 0) * 100)}%`;
+
+        const heading = candidates.length > 0 ? `Uncertain match (${percent(evaluation.confidence)}) for` : 'No match found for';
+        this.output.write(`\n⚠️  ${heading} "${appleTrack.name}" by "${appleTrack.artist}"` +
+            `${appleTrack.album ? ` — ${appleTrack.album}` : ''} (${this.formatDuration(appleTrack.duration)})\n`);
+
+        if (candidates.length === 0) {
+            this.output.write('   No candidates were found.\n');
+        }
+
+        candidates.forEach((candidate, index) => {
+            const track = candidate.track;
+            const artists = track.artists.map(artist => artist.name).join(', ');
+            this.output.write(`   ${index + 1}) ${track.name} — ${artists} (${track.album ? track.album.name : ''}) ` +
+                `${this.formatDuration(track.duration_ms / 1000)}  score ${candidate.score} (${percent(candidate.confidence)})\n`);
+        });
+
+        const question = candidates.length > 0
+            ? `   [1-${candidates.length}] choose, [s]kip, paste a Spotify URI/URL, [Enter] accept 1: `
+            : '   Paste a Spotify URI/URL, [s]kip for good, [Enter] leave as not found: ';
+
+        while (true) {
+            const answer = await this.ask(question);
+
+            if (answer === '') {
+                return candidates.length > 0 ? { track: candidates[0].track } : null;
+            }
+
+            if (answer.toLowerCase() === 's' || answer.toLowerCase() === 'skip') {
+                return { track: null };
+            }
+
+            const choice = parseInt(answer, 10);
+            if (String(choice) === answer && choice >= 1 && choice <= candidates.length) {
+                return { track: candidates[choice - 1].track };
+            }
+
+            const uri = SpotifyClient.toTrackUri(answer);
+            if (uri) {
+                try {
+                    const track = await this.client.getTrack(uri);
+                    this.output.write(`   → ${track.name} — ${track.artists.map(artist => artist.name).join(', ')}\n`);
+                    return { track };
+                } catch (error) {
+                    this.output.write(`   ${error.message}\n`);
+                    continue;
+                }
+            }
+
+            this.output.write(candidates.length > 0
+                ? '   Please enter a candidate number, "s", or a Spotify track URI/URL.\n'
+                : '   Please enter "s", a Spotify track URI/URL, or nothing.\n');
+        }
+    }
+
+    close() {
+        if (this.rl) {
+            this.rl.close();
+        }
+    }
+}
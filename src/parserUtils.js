@@ -0,0 +1,126 @@
+// Helpers shared by the input parsers (see inputFormats.js)
+
+/**
+ * Decodes a text file, honouring a UTF-8/UTF-16 byte order mark and recognising BOM-less UTF-16
+ * by its NUL bytes. Returns { text, encoding }.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string} [options.fallback] - Encoding for BOM-less 8-bit text that is not valid UTF-8,
+ *   e.g. 'latin1' for .m3u files written by older players
+ */
+export function decodeText(buffer, { fallback = null } = {}) {
+    const encoding = detectEncoding(buffer);
+
+    switch (encoding) {
+        case 'utf8-bom':
+            return { text: buffer.subarray(3).toString('utf8'), encoding };
+        case 'utf16le-bom':
+            return { text: buffer.subarray(2).toString('utf16le'), encoding };
+        case 'utf16be-bom':
+            return { text: swapBytes(buffer.subarray(2)).toString('utf16le'), encoding };
+        case 'utf16le':
+            return { text: buffer.toString('utf16le'), encoding };
+        case 'utf16be':
+            return { text: swapBytes(buffer).toString('utf16le'), encoding };
+        default: {
+            const text = buffer.toString('utf8');
+            if (fallback && text.includes('\uFFFD')) {
+                return { text: buffer.toString(fallback), encoding: fallback };
+            }
+            return { text, encoding };
+        }
+    }
+}
+
+export function detectEncoding(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return 'utf8-bom';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return 'utf16le-bom';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return 'utf16be-bom';
+    }
+
+    // No BOM: ASCII-heavy UTF-16 text has a NUL in every other byte
+    const sample = buffer.subarray(0, Math.min(buffer.length, 1024));
+    let evenNulls = 0;
+    let oddNulls = 0;
+
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenNulls++;
+            else oddNulls++;
+        }
+    }
+
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs > 0 && oddNulls / pairs > 0.3 && evenNulls < oddNulls / 4) {
+        return 'utf16le';
+    }
+    if (pairs > 0 && evenNulls / pairs > 0.3 && oddNulls < evenNulls / 4) {
+        return 'utf16be';
+    }
+
+    return 'utf8';
+}
+
+function swapBytes(buffer) {
+    const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+    return swapped.swap16();
+}
+
+/**
+ * Duration in whole seconds from "m:ss", "h:mm:ss", ISO 8601 ("PT3M45S"), or a plain number of
+ * seconds; `milliseconds` reads a plain number as milliseconds instead.
+ */
+export function parseDuration(value, { milliseconds = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+    if (typeof value === 'number') {
+        return Math.round(milliseconds ? value / 1000 : value);
+    }
+
+    const text = String(value).trim();
+    const iso = text.match(/^P(?:T)?(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?$/i);
+    if (iso && text.length > 2) {
+        return (parseInt(iso[1] || 0, 10) * 3600) + (parseInt(iso[2] || 0, 10) * 60) + Math.round(parseFloat(iso[3] || 0));
+    }
+
+    const parts = text.split(':');
+    if (parts.length === 2) {
+        return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+    } else if (parts.length === 3) {
+        return parseInt(parts[0], 10) * 3600 + parseInt(parts[1], 10) * 60 + parseInt(parts[2], 10);
+    }
+
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? Math.round(milliseconds ? number / 1000 : number) : 0;
+}
+
+/**
+ * The track shape every parser's getTracksForSpotify() returns and searchAndMatchTracks()
+ * consumes. `originalTrack` is kept for reports, failures files and the Persistent ID.
+ */
+export function normalizeTrack(fields, originalTrack) {
+    const text = (value) => String(value ?? '').trim();
+    return {
+        name: text(fields.name),
+        artist: text(fields.artist),
+        album: text(fields.album),
+        albumArtist: text(fields.albumArtist),
+        year: text(fields.year).match(/\d{4}/)?.[0] || '',
+        duration: fields.duration || 0,
+        genre: text(fields.genre),
+        // Classical tags; empty for most tracks
+        composer: text(fields.composer),
+        work: text(fields.work),
+        movementNumber: parseInt(fields.movementNumber, 10) || null,
+        movementCount: parseInt(fields.movementCount, 10) || null,
+        movementName: text(fields.movementName),
+        originalTrack
+    };
+}
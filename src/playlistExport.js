@@ -0,0 +1,260 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+    ['Position', row => row.position],
+    ['Status', row => row.status],
+    ['Apple Name', row => row.apple.name],
+    ['Apple Artist', row => row.apple.artist],
+    ['Apple Album', row => row.apple.album],
+    ['Apple Time', row => formatTime(row.apple.duration)],
+    ['Apple Persistent ID', row => row.apple.persistentId],
+    ['Spotify ID', row => row.spotify && row.spotify.id],
+    ['Spotify Name', row => row.spotify && row.spotify.name],
+    ['Spotify Artists', row => row.spotify && row.spotify.artists.join(', ')],
+    ['Spotify Album', row => row.spotify && row.spotify.album],
+    ['Spotify Time', row => row.spotify && formatTime(row.spotify.duration)],
+    ['ISRC', row => row.spotify && row.spotify.isrc],
+    ['Score', row => row.score],
+    ['Confidence', row => row.confidence],
+    ['Strategy', row => row.strategy]
+];
+
+function formatTime(seconds) {
+    return seconds ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` : '';
+}
+
+/**
+ * The outcome of a conversion as portable files, for archiving conversions, diffing them in git
+ * and feeding other tools:
+ *
+ *   xspf  - the Spotify playlist as an XSPF playlist
+ *   m3u8  - the same as an extended M3U of Spotify URIs
+ *   csv   - every Apple track next to its Spotify ID, ISRC and match score
+ *   json  - a manifest with all of the above
+ *
+ * The playlists hold the tracks that went into the Spotify playlist, in order; the CSV and the
+ * manifest also list the tracks that were not found, skipped or left out as duplicates. Nothing
+ * depending on when the export ran is written, so unchanged conversions produce identical files.
+ */
+export class PlaylistExport {
+    static FORMATS = ['xspf', 'm3u8', 'csv', 'json'];
+
+    /**
+     * Parses an --export value like "xspf,csv"; "all" is every format.
+     */
+    static parseFormats(value) {
+        const formats = String(value || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+        if (formats.includes('all')) {
+            return [...PlaylistExport.FORMATS];
+        }
+
+        const unknown = formats.filter(format => !PlaylistExport.FORMATS.includes(format));
+        if (unknown.length > 0 || formats.length === 0) {
+            throw new Error(`Unknown export format "${unknown[0] || value}" (expected ${PlaylistExport.FORMATS.join(', ')} or all)`);
+        }
+        return [...new Set(formats)];
+    }
+
+    /**
+     * @param {Object} searchResults - Result of SpotifyClient.searchAndMatchTracks()
+     * @param {Object} [meta] - { playlist: { name, id, url }, source, found }, where `found` is
+     *   what went into the playlist after duplicates were dropped (default: every match)
+     */
+    constructor(searchResults, meta = {}) {
+        this.searchResults = searchResults;
+        this.playlist = meta.playlist || {};
+        this.source = meta.source || null;
+        this.found = meta.found || searchResults.found;
+    }
+
+    describeSpotifyTrack(track) {
+        const id = track.id || track.uri.split(':').pop();
+        return {
+            id,
+            uri: track.uri,
+            url: `https://open.spotify.com/track/${id}`,
+            name: track.name,
+            artists: (track.artists || []).map(artist => artist.name),
+            album: track.album ? track.album.name : '',
+            duration: track.duration_ms ? Math.round(track.duration_ms / 1000) : 0,
+            isrc: track.external_ids?.isrc || null
+        };
+    }
+
+    describeAppleTrack(track) {
+        return {
+            name: track.name,
+            artist: track.artist,
+            album: track.album || '',
+            albumArtist: track.albumArtist || '',
+            year: track.year || '',
+            duration: track.duration || 0,
+            persistentId: track.originalTrack?.['Persistent ID'] || null
+        };
+    }
+
+    /**
+     * One row per Apple track, in playlist order, with what became of it.
+     */
+    getRows() {
+        const inPlaylist = new Set(this.found.map(result => result.original));
+
+        const rows = this.searchResults.matches.map(entry => ({
+            status: !entry.spotify ? (entry.skipped ? 'skipped' : 'not found') : inPlaylist.has(entry.original) ? 'matched' : 'duplicate',
+            apple: this.describeAppleTrack(entry.original),
+            spotify: entry.spotify ? this.describeSpotifyTrack(entry.spotify) : null,
+            score: entry.spotify ? entry.score : null,
+            confidence: entry.spotify ? entry.confidence : null,
+            strategy: entry.spotify ? entry.strategy || null : null,
+            uncertain: Boolean(entry.uncertain)
+        }));
+
+        // Only dry runs get this far with failed searches
+        this.searchResults.failed.forEach(entry => rows.push({
+            status: 'failed',
+            apple: this.describeAppleTrack(entry.original),
+            spotify: null,
+            score: null,
+            confidence: null,
+            strategy: null,
+            uncertain: false
+        }));
+
+        return rows.map((row, index) => ({ position: index + 1, ...row }));
+    }
+
+    getPlaylistTracks() {
+        return this.found.map(result => this.describeSpotifyTrack(result.spotify));
+    }
+
+    toJSON() {
+        const tracks = this.getRows();
+        const count = (status) => tracks.filter(track => track.status === status).length;
+
+        return {
+            version: EXPORT_VERSION,
+            playlist: {
+                name: this.playlist.name || null,
+                id: this.playlist.id || null,
+                url: this.playlist.url || null
+            },
+            source: this.source,
+            summary: {
+                total: tracks.length,
+                matched: count('matched'),
+                notFound: count('not found'),
+                skipped: count('skipped'),
+                duplicates: count('duplicate'),
+                failed: count('failed')
+            },
+            tracks
+        };
+    }
+
+    toXspf() {
+        const escape = (text) => String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">'
+        ];
+        if (this.playlist.name) {
+            lines.push(`  <title>${escape(this.playlist.name)}</title>`);
+        }
+        if (this.source) {
+            lines.push(`  <annotation>Converted from ${escape(this.source)}</annotation>`);
+        }
+        if (this.playlist.url) {
+            lines.push(`  <location>${escape(this.playlist.url)}</location>`);
+        }
+
+        lines.push('  <trackList>');
+        for (const track of this.getPlaylistTracks()) {
+            lines.push('    <track>');
+            lines.push(`      <location>${escape(track.url)}</location>`);
+            lines.push(`      <identifier>${escape(track.uri)}</identifier>`);
+            if (track.isrc) {
+                lines.push(`      <identifier>urn:isrc:${escape(track.isrc)}</identifier>`);
+            }
+            lines.push(`      <title>${escape(track.name)}</title>`);
+            lines.push(`      <creator>${escape(track.artists.join(', '))}</creator>`);
+            if (track.album) {
+                lines.push(`      <album>${escape(track.album)}</album>`);
+            }
+            if (track.duration) {
+                lines.push(`      <duration>${track.duration * 1000}</duration>`);
+            }
+            lines.push('    </track>');
+        }
+        lines.push('  </trackList>');
+        lines.push('</playlist>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    toM3u8() {
+        // Line breaks inside a tag would start a new entry
+        const line = (text) => String(text ?? '').replace(/[\r\n]+/g, ' ');
+        const lines = ['#EXTM3U'];
+        if (this.playlist.name) {
+            lines.push(`#PLAYLIST:${line(this.playlist.name)}`);
+        }
+
+        for (const track of this.getPlaylistTracks()) {
+            lines.push(`#EXTINF:${track.duration || -1},${line(track.artists.join(', '))} - ${line(track.name)}`);
+            if (track.album) {
+                lines.push(`#EXTALB:${line(track.album)}`);
+            }
+            lines.push(track.uri);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    toCsv() {
+        const value = (text) => {
+            const string = String(text ?? '');
+            return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+        };
+
+        const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+        for (const row of this.getRows()) {
+            lines.push(CSV_COLUMNS.map(([, read]) => value(read(row))).join(','));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Writes <basePath>.<format> for each format (the manifest as <basePath>.json) and returns
+     * the paths written.
+     */
+    async write(basePath, formats = PlaylistExport.FORMATS) {
+        await fs.ensureDir(path.dirname(path.resolve(basePath)));
+
+        const render = {
+            xspf: () => this.toXspf(),
+            m3u8: () => this.toM3u8(),
+            csv: () => this.toCsv(),
+            json: () => JSON.stringify(this.toJSON(), null, 2) + '\n'
+        };
+
+        const written = [];
+        for (const format of formats) {
+            if (!render[format]) {
+                throw new Error(`Unknown export format "${format}" (expected ${PlaylistExport.FORMATS.join(', ')})`);
+            }
+            const filePath = `${basePath}.${format}`;
+            await fs.writeFile(filePath, render[format]());
+            written.push(filePath);
+        }
+        return written;
+    }
+}
@@ -0,0 +1,66 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getConfigDir } from './tokenStore.js';
+
+/**
+ * Remembers which Spotify playlist each Apple playlist was converted into, so `sync` can find
+ * it again. Keys come from getSourceKey() in index.js: the Playlist Persistent ID for library
+ * playlists, the file path for exported playlists.
+ */
+export class PlaylistMappings {
+    constructor(filePath = path.join(getConfigDir(), 'playlists.json')) {
+        this.filePath = filePath;
+        this.mappings = {};
+        this.dirty = false;
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.filePath)) {
+                this.mappings = await fs.readJson(this.filePath);
+            }
+        } catch (error) {
+            throw new Error(`Could not read playlist mappings from ${this.filePath}: ${error.message}`);
+        }
+        return this;
+    }
+
+    get(key) {
+        return Object.prototype.hasOwnProperty.call(this.mappings, key) ? this.mappings[key] : null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {Object} playlist - Spotify playlist
+     * @param {Object} [details] - Kept alongside, e.g. the `contents` fingerprint of a smart playlist
+     */
+    set(key, playlist, details = {}) {
+        this.mappings[key] = {
+            id: playlist.id,
+            name: playlist.name || null,
+            url: playlist.external_urls ? playlist.external_urls.spotify : null,
+            ...details,
+            updatedAt: new Date().toISOString()
+        };
+        this.dirty = true;
+    }
+
+    delete(key) {
+        if (key in this.mappings) {
+            delete this.mappings[key];
+            this.dirty = true;
+        }
+    }
+
+    async save() {
+        if (!this.dirty) {
+            return;
+        }
+
+        await fs.ensureDir(path.dirname(this.filePath));
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.mappings, null, 2));
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+        this.dirty = false;
+    }
+}
@@ -0,0 +1,220 @@
+import sax from 'sax';
+
+const SCALAR_TYPES = ['key', 'string', 'integer', 'real', 'date', 'data'];
+
+// V8 represents a substring of SLICED_STRING_MIN_LENGTH or more characters as a view into its
+// parent string. sax hands out substrings of the 64 KB chunk being parsed, so every name kept in
+// the track index would pin a whole chunk: on a library of 11,000 tracks this more than doubles
+// the memory left after parsing. Encoding and decoding yields a string that owns its characters.
+const SLICED_STRING_MIN_LENGTH = 13;
+
+function copyString(text) {
+    return text.length >= SLICED_STRING_MIN_LENGTH ? Buffer.from(text, 'utf8').toString('utf8') : text;
+}
+
+export class PlistParser {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onValue] - Called as onValue(path, value, containers) for every
+     *   completed value below the root. Return false to drop the value instead of attaching it to
+     *   its parent, which keeps memory flat when the caller indexes values itself. The path and
+     *   containers arrays are reused from call to call; copy them to keep them.
+     */
+    constructor(options = {}) {
+        this.onValue = options.onValue || null;
+        this.reset();
+    }
+
+    reset() {
+        this.stack = [];
+        // Kept alongside the stack rather than rebuilt for every value: onValue runs for each
+        // scalar of every track, and the allocations made streaming slower than a full parse
+        this.path = [];
+        this.containers = [];
+        this.root = undefined;
+        this.text = null;
+        this.inPlist = false;
+    }
+
+    parse(xmlContent) {
+        const parser = sax.parser(true, { trim: false, normalize: false });
+        this.attach(parser);
+        parser.write(xmlContent).close();
+        return this.root;
+    }
+
+    parseStream(readable) {
+        return new Promise((resolve, reject) => {
+            const parser = sax.parser(true, { trim: false, normalize: false });
+            this.attach(parser);
+
+            readable.setEncoding('utf8');
+            readable.on('data', (chunk) => {
+                try {
+                    parser.write(chunk);
+                } catch (error) {
+                    readable.destroy();
+                    reject(error);
+                }
+            });
+            readable.on('error', reject);
+            readable.on('end', () => {
+                try {
+                    parser.close();
+                    resolve(this.root);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    attach(parser) {
+        this.reset();
+
+        parser.onopentag = (node) => this.openTag(node.name);
+        parser.onclosetag = (name) => this.closeTag(name);
+        parser.ontext = (text) => this.appendText(text);
+        parser.oncdata = (text) => this.appendText(text);
+        parser.onerror = (error) => {
+            throw new Error(`Malformed XML: ${error.message.split('\n')[0]}`);
+        };
+    }
+
+    openTag(name) {
+        if (name === 'plist') {
+            this.inPlist = true;
+            return;
+        }
+
+        if (!this.inPlist) {
+            throw new Error(`Unexpected <${name}> outside of <plist>`);
+        }
+
+        if (name === 'dict' || name === 'array') {
+            if (this.stack.length > 0) {
+                this.path.push(this.currentKey());
+            }
+            const value = name === 'dict' ? {} : [];
+            this.stack.push({ type: name, value, key: null });
+            this.containers.push(value);
+        } else if (SCALAR_TYPES.includes(name)) {
+            this.text = '';
+        } else if (name !== 'true' && name !== 'false') {
+            throw new Error(`Unsupported plist element <${name}>`);
+        }
+    }
+
+    closeTag(name) {
+        switch (name) {
+            case 'plist':
+                this.inPlist = false;
+                return;
+            case 'dict':
+            case 'array': {
+                const frame = this.stack.pop();
+                if (frame.type === 'dict' && frame.key !== null) {
+                    throw new Error(`Dict key "${frame.key}" has no value`);
+                }
+                this.containers.pop();
+                this.path.pop();
+                this.emitValue(frame.value);
+                return;
+            }
+            case 'key': {
+                const frame = this.currentFrame();
+                if (!frame || frame.type !== 'dict') {
+                    throw new Error('<key> found outside of a <dict>');
+                }
+                if (frame.key !== null) {
+                    throw new Error(`Dict key "${frame.key}" has no value`);
+                }
+                frame.key = this.takeText();
+                return;
+            }
+            case 'true':
+                this.emitValue(true);
+                return;
+            case 'false':
+                this.emitValue(false);
+                return;
+            default:
+                this.emitValue(this.convertScalar(name, this.takeText()));
+        }
+    }
+
+    appendText(text) {
+        if (this.text !== null) {
+            this.text += text;
+        }
+    }
+
+    takeText() {
+        const text = copyString(this.text);
+        this.text = null;
+        return text;
+    }
+
+    currentFrame() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    /**
+     * The key or array index the next value of the innermost container is stored under.
+     */
+    currentKey() {
+        const frame = this.currentFrame();
+        return frame.type === 'dict' ? frame.key : frame.value.length + (frame.skipped || 0);
+    }
+
+    convertScalar(type, text) {
+        switch (type) {
+            case 'integer':
+                return parseInt(text.trim(), 10);
+            case 'real':
+                return parseFloat(text.trim());
+            case 'date':
+                return new Date(text.trim());
+            case 'data':
+                return Buffer.from(text.replace(/\s+/g, ''), 'base64');
+            default:
+                return text;
+        }
+    }
+
+    emitValue(value) {
+        const frame = this.currentFrame();
+
+        if (!frame) {
+            this.root = value;
+            return;
+        }
+
+        if (frame.type === 'dict' && frame.key === null) {
+            throw new Error('Dict value found without a preceding <key>');
+        }
+
+        let keep = true;
+        if (this.onValue) {
+            this.path.push(this.currentKey());
+            keep = this.onValue(this.path, value, this.containers) !== false;
+            this.path.pop();
+        }
+
+        if (frame.type === 'array') {
+            if (keep) {
+                frame.value.push(value);
+            } else {
+                // Dropped array elements still count towards the index of later siblings
+                frame.skipped = (frame.skipped || 0) + 1;
+            }
+            return;
+        }
+
+        // Assigning "__proto__" would replace the dict's prototype rather than add a key
+        if (keep && frame.key !== '__proto__') {
+            frame.value[frame.key] = value;
+        }
+        frame.key = null;
+    }
+}
@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { getConfigDir } from './tokenStore.js';
+
+const STATE_VERSION = 1;
+// Matching progress is written at most this often; playlist creation and added batches are written at once
+const SAVE_INTERVAL_MS = 2000;
+
+/**
+ * Checkpoint of one conversion (one source playlist into one Spotify playlist), so an
+ * interrupted run can be resumed with `convert --resume` without searching again, creating a
+ * second playlist or adding a batch twice.
+ *
+ * Also serves as the `checkpoint` option of SpotifyClient.searchAndMatchTracks().
+ */
+export class RunState {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.state = null;
+        this.dirty = false;
+        this.lastSave = 0;
+    }
+
+    /**
+     * State file for converting `source` into the Spotify playlist `playlistName`.
+     */
+    static pathFor(source, playlistName, dir = path.join(getConfigDir(), 'runs')) {
+        const id = crypto.createHash('sha1')
+            .update(`${path.resolve(source)}\0${playlistName}`)
+            .digest('hex')
+            .slice(0, 16);
+        return path.join(dir, `${id}.json`);
+    }
+
+    /**
+     * Identifies the track list a state belongs to, so a changed source is not resumed into.
+     */
+    static fingerprint(keys) {
+        return crypto.createHash('sha1').update(keys.join('\n')).digest('hex');
+    }
+
+    /**
+     * The checkpoint for converting `source` into `playlistName`: with `resume`, the interrupted
+     * run's if it was for the same tracks, otherwise a fresh one.
+     *
+     * @param {Object} options
+     * @param {string} options.source
+     * @param {string} options.playlistName
+     * @param {string[]} options.keys - Match cache keys of the tracks, in order
+     * @param {boolean} [options.resume]
+     * @param {string} [options.dir] - Where run states are kept; the config directory by default
+     */
+    static async open({ source, playlistName, keys, resume = false, dir }) {
+        const runState = new RunState(RunState.pathFor(source, playlistName, dir));
+        const previous = await runState.load();
+
+        if (resume) {
+            if (previous && runState.matchesTracks(keys)) {
+                if (!previous.completedAt) {
+                    console.log(`⏯️  Resuming run from ${new Date(previous.updatedAt).toLocaleString()}: ` +
+                        `${runState.resolvedCount}/${keys.length} tracks matched` +
+                        (previous.playlist ? `, ${previous.addedBatches.length} batches added to ${previous.playlist.url}` : ''));
+                }
+                return runState;
+            }
+            console.log(previous
+                ? '⚠️  The tracks changed since the interrupted run; starting over'
+                : 'ℹ️  No interrupted run to resume; starting from the beginning');
+        } else if (previous && !previous.completedAt) {
+            console.log('⚠️  Discarding an interrupted run of this playlist (use --resume to continue it instead)');
+        }
+
+        runState.start({ source, playlistName, keys });
+        return runState;
+    }
+
+    async exists() {
+        return fs.pathExists(this.filePath);
+    }
+
+    async load() {
+        if (!await this.exists()) {
+            return null;
+        }
+
+        try {
+            const state = await fs.readJson(this.filePath);
+            this.state = state && state.version === STATE_VERSION ? state : null;
+        } catch (error) {
+            throw new Error(`Could not read run state from ${this.filePath}: ${error.message}`);
+        }
+        return this.state;
+    }
+
+    start({ source, playlistName, keys }) {
+        this.state = {
+            version: STATE_VERSION,
+            source: path.resolve(source),
+            playlistName,
+            fingerprint: RunState.fingerprint(keys),
+            trackCount: keys.length,
+            startedAt: new Date().toISOString(),
+            updatedAt: null,
+            completedAt: null,
+            matches: new Array(keys.length).fill(null),
+            playlist: null,
+            batchSize: null,
+            addedBatches: []
+        };
+        this.dirty = true;
+        return this.state;
+    }
+
+    matchesTracks(keys) {
+        return !!this.state &&
+            this.state.trackCount === keys.length &&
+            this.state.fingerprint === RunState.fingerprint(keys);
+    }
+
+    get resolvedCount() {
+        return this.state ? this.state.matches.filter(Boolean).length : 0;
+    }
+
+    getMatch(index, key) {
+        const saved = this.state && this.state.matches[index];
+        if (!saved || saved.key !== key) {
+            return null;
+        }
+
+        return {
+            match: saved.uri ? {
+                uri: saved.uri,
+                name: saved.track.name,
+                artists: saved.track.artists.map(name => ({ name })),
+                album: { name: saved.track.album },
+                duration_ms: saved.track.duration_ms,
+                external_ids: saved.track.isrc ? { isrc: saved.track.isrc } : {}
+            } : null,
+            score: saved.score,
+            confidence: saved.confidence,
+            strategy: saved.strategy ?? null,
+            candidates: [],
+            reviewed: saved.reviewed,
+            skipped: !!saved.skipped
+        };
+    }
+
+    async recordMatch(index, key, evaluation) {
+        const match = evaluation.match;
+        this.state.matches[index] = {
+            key,
+            uri: match ? match.uri : null,
+            track: match ? {
+                name: match.name,
+                artists: (match.artists || []).map(artist => artist.name),
+                album: match.album ? match.album.name : '',
+                duration_ms: match.duration_ms || 0,
+                isrc: match.external_ids ? match.external_ids.isrc || null : null
+            } : null,
+            score: evaluation.score ?? null,
+            confidence: evaluation.confidence ?? null,
+            strategy: evaluation.strategy ?? null,
+            reviewed: !!evaluation.reviewed,
+            skipped: !!evaluation.skipped
+        };
+        this.dirty = true;
+
+        if (Date.now() - this.lastSave >= SAVE_INTERVAL_MS) {
+            await this.save();
+        }
+    }
+
+    async setPlaylist(playlist) {
+        this.state.playlist = { id: playlist.id, url: playlist.external_urls ? playlist.external_urls.spotify : null };
+        this.dirty = true;
+        await this.save();
+    }
+
+    async markBatchAdded(batchIndex, batchSize) {
+        this.state.batchSize = batchSize;
+        if (!this.state.addedBatches.includes(batchIndex)) {
+            this.state.addedBatches.push(batchIndex);
+        }
+        this.dirty = true;
+        await this.save();
+    }
+
+    /**
+     * Works out which add batches of a resumed run are already in the playlist. Batches are added
+     * in order, so only the one after the last recorded batch can have landed unrecorded (the run
+     * died between Spotify accepting it and the checkpoint being written).
+     *
+     * @param {SpotifyClient} client
+     * @param {string} playlistId
+     * @param {number} trackCount - Tracks being added, in batches of `batchSize`
+     * @param {number} batchSize
+     * @returns {Promise<number[]>} Indexes of the batches to skip
+     */
+    async confirmAddedBatches(client, playlistId, trackCount, batchSize) {
+        const added = new Set(this.state.addedBatches);
+        const batchCount = Math.ceil(trackCount / batchSize);
+        const batchLength = (index) => Math.min(batchSize, trackCount - index * batchSize);
+
+        let next = 0;
+        while (added.has(next)) next++;
+        if (next >= batchCount) {
+            return [...added];
+        }
+
+        const expected = [...added].reduce((sum, index) => sum + batchLength(index), 0);
+        const playlist = await client.getPlaylist(playlistId, 'tracks.total');
+        if (playlist.tracks.total >= expected + batchLength(next)) {
+            console.log(`  Batch ${next + 1} was already added before the interruption`);
+            await this.markBatchAdded(next, batchSize);
+            added.add(next);
+        }
+
+        return [...added];
+    }
+
+    async complete() {
+        this.state.completedAt = new Date().toISOString();
+        this.dirty = true;
+        await this.save();
+    }
+
+    async save() {
+        if (!this.dirty || !this.state) {
+            return;
+        }
+
+        this.state.updatedAt = new Date().toISOString();
+        await fs.ensureDir(path.dirname(this.filePath));
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.state));
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+        this.dirty = false;
+        this.lastSave = Date.now();
+    }
+
+    /**
+     * Synchronous variant for signal handlers, where the process exits before promises settle.
+     */
+    saveSync() {
+        if (!this.dirty || !this.state) {
+            return;
+        }
+
+        this.state.updatedAt = new Date().toISOString();
+        fs.ensureDirSync(path.dirname(this.filePath));
+        fs.writeFileSync(this.filePath, JSON.stringify(this.state));
+        this.dirty = false;
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * The searches tried for an Apple track, in order, until one turns up a confident match.
+ *
+ * - exact:        track, artist and album fields as tagged
+ * - stripped:     title without "feat." credits, version suffixes and brackets, first artist only
+ * - album-artist: the Album Artist in place of the Artist, when they differ
+ * - composer:     the Composer as artist, which is how Spotify credits most classical recordings
+ * - loose:        stripped title and first artist as free text instead of fielded
+ * - album:        find the album first, then pick the track from its track list
+ * - year:         stripped title limited to the release year, ignoring the artist credit
+ * - work:         (classical mode) work and movement with the first performer
+ * - work-album:   (classical mode) work and movement on the same album, i.e. the same recording
+ * - title:        stripped title alone, left to the scoring to sort out; used by `retry`
+ *
+ * A track with a `hint` (from a failures file) is searched for with the hint first.
+ */
+export class SearchStrategies {
+    static NAMES = ['exact', 'stripped', 'album-artist', 'composer', 'loose', 'album', 'year', 'work', 'work-album', 'title'];
+
+    /**
+     * The order used without --search-strategies. Classical mode tries the work-based searches
+     * right after the exact one. Retries skip the exact search, which already failed, and end
+     * with the title-only one.
+     */
+    static defaults({ classical = false, retry = false } = {}) {
+        const names = classical
+            ? ['exact', 'work', 'work-album', 'composer', 'stripped', 'album-artist', 'loose', 'album', 'year']
+            : ['exact', 'stripped', 'album-artist', 'composer', 'loose', 'album', 'year'];
+        return new SearchStrategies(retry ? [...names.slice(1), 'title'] : names);
+    }
+
+    /**
+     * @param {string[]} [names] - Strategies to use, in the order they are tried
+     */
+    constructor(names = SearchStrategies.defaults().names) {
+        const unknown = names.filter(name => !SearchStrategies.NAMES.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown search strategy "${unknown[0]}" (expected ${SearchStrategies.NAMES.join(', ')})`);
+        }
+        if (names.length === 0) {
+            throw new Error('At least one search strategy is needed');
+        }
+        this.names = [...new Set(names)];
+    }
+
+    /**
+     * Parses a comma-separated list as given to --search-strategies.
+     */
+    static parse(list) {
+        return new SearchStrategies(String(list || '').split(',').map(name => name.trim()).filter(Boolean));
+    }
+
+    /**
+     * Returns the searches for one track as { strategy, kind, query }; kind "track" is a track
+     * search, kind "album" an album search whose tracks are then scored. Strategies that do not
+     * apply to the track (no Album Artist, no Composer, no year, not classical) and queries
+     * already made by an earlier strategy are left out.
+     *
+     * @param {Object} track - Apple track
+     * @param {TrackMatcher} matcher - Used to strip titles and split artist credits
+     */
+    plan(track, matcher) {
+        const quote = (value) => `"${String(value).replace(/"/g, '').trim()}"`;
+        const field = (name) => String((track.originalTrack && track.originalTrack[name]) || '').trim();
+
+        const title = matcher.parseTitle(track.name).core;
+        const primaryArtist = matcher.splitArtists(track.artist)[0] || track.artist;
+        const albumArtist = track.albumArtist || field('Album Artist');
+        const composer = track.composer || field('Composer');
+        const year = String(track.year || '').match(/\d{4}/);
+        const album = track.album ? matcher.parseTitle(track.album).core : '';
+        const classical = matcher.classical ? matcher.parseClassical(track) : null;
+        const piece = classical ? [classical.work, classical.movement].filter(Boolean).map(quote).join(' ') : '';
+
+        const byStrategy = {
+            'exact': () => `track:${quote(track.name)} artist:${quote(track.artist)}` + (track.album ? ` album:${quote(track.album)}` : ''),
+            'stripped': () => `track:${quote(title)} artist:${quote(primaryArtist)}`,
+            'album-artist': () => albumArtist && !/^various artists$/i.test(albumArtist) &&
+                matcher.normalize(albumArtist) !== matcher.normalize(track.artist)
+                ? `track:${quote(title)} artist:${quote(albumArtist)}`
+                : null,
+            'composer': () => composer && matcher.normalize(composer) !== matcher.normalize(track.artist)
+                ? `track:${quote(title)} artist:${quote(composer)}`
+                : null,
+            'loose': () => `${quote(title)} ${quote(primaryArtist)}`,
+            'album': () => album
+                ? `album:${quote(album)} artist:${quote(albumArtist && !/^various artists$/i.test(albumArtist) ? albumArtist : primaryArtist)}`
+                : null,
+            'year': () => year ? `track:${quote(title)} year:${year[0]}` : null,
+            'work': () => classical ? `${piece} artist:${quote(primaryArtist)}` : null,
+            'work-album': () => classical && track.album ? `${piece} album:${quote(track.album)}` : null,
+            'title': () => `track:${quote(title)}`
+        };
+
+        const steps = [];
+        const seen = new Set();
+        if (track.hint) {
+            steps.push({ strategy: 'hint', kind: 'track', query: track.hint });
+            seen.add(`track:${track.hint}`);
+        }
+        for (const strategy of this.names) {
+            const query = byStrategy[strategy]();
+            const kind = strategy === 'album' ? 'album' : 'track';
+            if (query && !seen.has(`${kind}:${query}`)) {
+                seen.add(`${kind}:${query}`);
+                steps.push({ strategy, kind, query });
+            }
+        }
+        return steps;
+    }
+}
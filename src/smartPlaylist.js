@@ -0,0 +1,410 @@
+import crypto from 'crypto';
+
+// Smart Criteria blob: a 136-byte "SLst" header followed by one record per rule
+const CRITERIA_MAGIC = 'SLst';
+const RULE_COUNT_OFFSET = 8;
+const CONJUNCTION_OFFSET = 12;
+const RULES_OFFSET = 136;
+// Within a rule: field ID, operator (sign byte, then the comparison in the low 16 bits), data
+// length, then the data; UTF-16BE text for text fields, 68 bytes of 64-bit values otherwise
+const RULE_SIGN_OFFSET = 4;
+const RULE_COMPARISON_OFFSET = 6;
+const RULE_DATA_LENGTH_OFFSET = 52;
+const RULE_DATA_OFFSET = 56;
+const VALUE_OFFSET = 0;
+const RELATIVE_AMOUNT_OFFSET = 8;
+const RELATIVE_UNIT_OFFSET = 16;
+const TO_VALUE_OFFSET = 24;
+
+// Smart Info blob: flags and the "Limit to" settings
+const INFO_RULES_ENABLED = 1;
+const INFO_LIMIT_ENABLED = 2;
+const INFO_LIMIT_UNIT = 3;
+const INFO_SELECTION = 7;
+const INFO_LIMIT_SIZE = 8;
+const INFO_CHECKED_ONLY = 12;
+const INFO_SELECTION_LEAST = 13;
+
+const SIGN_NEGATED = 0x02;
+const OPERATORS = { 0x0001: 'is', 0x0002: 'contains', 0x0004: 'starts', 0x0008: 'ends', 0x0010: 'greater', 0x0040: 'less', 0x0100: 'range', 0x0200: 'inLast' };
+
+// Date rules count seconds from 1904-01-01; "in the last" rules carry this marker as their value
+const MAC_EPOCH_OFFSET = 2082844800;
+const RELATIVE_DATE_MARKER = 0x2dae2dae2dae2daen;
+const DATE_UNITS = { 86400: 'days', 604800: 'weeks', 2628000: 'months' };
+
+const LOVED = 2;
+const DISLIKED = 3;
+
+const FIELDS = {
+    0x02: { name: 'Name', type: 'text', key: 'Name' },
+    0x03: { name: 'Album', type: 'text', key: 'Album' },
+    0x04: { name: 'Artist', type: 'text', key: 'Artist' },
+    0x07: { name: 'Year', type: 'number', key: 'Year' },
+    0x08: { name: 'Genre', type: 'text', key: 'Genre' },
+    0x0a: { name: 'Date Modified', type: 'date', key: 'Date Modified' },
+    0x0e: { name: 'Comments', type: 'text', key: 'Comments' },
+    0x10: { name: 'Date Added', type: 'date', key: 'Date Added' },
+    0x12: { name: 'Composer', type: 'text', key: 'Composer' },
+    0x16: { name: 'Plays', type: 'number', key: 'Play Count' },
+    0x17: { name: 'Last Played', type: 'date', key: 'Play Date UTC' },
+    0x19: { name: 'Rating', type: 'rating', key: 'Rating' },
+    0x23: { name: 'BPM', type: 'number', key: 'BPM' },
+    0x27: { name: 'Grouping', type: 'text', key: 'Grouping' },
+    0x44: { name: 'Skips', type: 'number', key: 'Skip Count' },
+    0x45: { name: 'Last Skipped', type: 'date', key: 'Skip Date' },
+    0x47: { name: 'Album Artist', type: 'text', key: 'Album Artist' },
+    0x9a: { name: 'Loved', type: 'loved', key: 'Loved' }
+};
+
+const LIMIT_UNITS = { 0x01: 'minutes', 0x02: 'MB', 0x03: 'items', 0x04: 'hours', 0x05: 'GB' };
+
+// "selected by" choices; `least` flips the ones that have a most/least or highest/lowest form
+const SELECTIONS = {
+    0x02: { name: 'random' },
+    0x05: { name: 'name', key: 'Name', text: true },
+    0x06: { name: 'album', key: 'Album', text: true },
+    0x07: { name: 'artist', key: 'Artist', text: true },
+    0x09: { name: 'genre', key: 'Genre', text: true },
+    0x15: { name: 'most recently added', least: 'least recently added', key: 'Date Added', descending: true },
+    0x19: { name: 'most often played', least: 'least often played', key: 'Play Count', descending: true },
+    0x1a: { name: 'most recently played', least: 'least recently played', key: 'Play Date UTC', descending: true },
+    0x1c: { name: 'highest rating', least: 'lowest rating', key: 'Rating', descending: true }
+};
+
+/**
+ * The rules of an Apple smart playlist, decoded from the `Smart Info` and `Smart Criteria` data
+ * blobs of Library.xml, so the playlist can be worked out again from the library instead of
+ * relying on the items it happened to hold when the library was exported.
+ *
+ * Covers the common rules: text fields (genre, artist, album, ...), year, rating, plays, skips,
+ * BPM, Loved, dates (absolute, or "in the last N days/weeks/months"), plus "Limit to" and "Match
+ * only checked items". Anything else — nested rule groups, "Playlist is", media kind and the
+ * like — is listed in `unsupported`, and such a playlist should not be evaluated at all, since
+ * dropping a rule would change which tracks it holds.
+ */
+export class SmartPlaylist {
+    constructor({ match = 'all', rulesEnabled = true, rules = [], limit = null, checkedOnly = false, unsupported = [] } = {}) {
+        this.match = match;
+        this.rulesEnabled = rulesEnabled;
+        this.rules = rules;
+        this.limit = limit;
+        this.checkedOnly = checkedOnly;
+        this.unsupported = unsupported;
+    }
+
+    /**
+     * Decodes a playlist dict from AppleXmlParser; throws when it is not a smart playlist.
+     */
+    static fromPlaylist(playlist) {
+        if (!Buffer.isBuffer(playlist['Smart Info']) || !Buffer.isBuffer(playlist['Smart Criteria'])) {
+            throw new Error(`"${playlist.Name}" is not a smart playlist`);
+        }
+        return SmartPlaylist.decode(playlist['Smart Info'], playlist['Smart Criteria'], playlist['Playlist Persistent ID']);
+    }
+
+    /**
+     * @param {Buffer} info - Smart Info
+     * @param {Buffer} criteria - Smart Criteria
+     * @param {string} [seed] - Keeps "selected by random" stable between runs; the Playlist Persistent ID
+     */
+    static decode(info, criteria, seed = '') {
+        const smart = new SmartPlaylist({
+            rulesEnabled: info.length > INFO_RULES_ENABLED ? info[INFO_RULES_ENABLED] !== 0 : true,
+            checkedOnly: info.length > INFO_CHECKED_ONLY && info[INFO_CHECKED_ONLY] !== 0,
+            limit: SmartPlaylist.decodeLimit(info, seed)
+        });
+
+        if (!smart.rulesEnabled) {
+            return smart;
+        }
+
+        if (criteria.length < RULES_OFFSET || criteria.toString('latin1', 0, 4) !== CRITERIA_MAGIC) {
+            smart.unsupported.push('criteria in a format this version cannot read');
+            return smart;
+        }
+
+        smart.match = criteria.readUInt32BE(CONJUNCTION_OFFSET) === 1 ? 'any' : 'all';
+        const count = criteria.readUInt32BE(RULE_COUNT_OFFSET);
+        let offset = RULES_OFFSET;
+
+        for (let i = 0; i < count; i++) {
+            if (offset + RULE_DATA_OFFSET > criteria.length) {
+                smart.unsupported.push(`rule ${i + 1} is cut short`);
+                break;
+            }
+            const dataLength = criteria.readUInt32BE(offset + RULE_DATA_LENGTH_OFFSET);
+            const record = criteria.subarray(offset, offset + RULE_DATA_OFFSET + dataLength);
+            offset += RULE_DATA_OFFSET + dataLength;
+
+            const rule = SmartPlaylist.decodeRule(record);
+            if (typeof rule === 'string') {
+                smart.unsupported.push(rule);
+            } else {
+                smart.rules.push(rule);
+            }
+        }
+
+        return smart;
+    }
+
+    static decodeLimit(info, seed) {
+        if (info.length <= INFO_SELECTION_LEAST || !info[INFO_LIMIT_ENABLED]) {
+            return null;
+        }
+
+        const unit = LIMIT_UNITS[info[INFO_LIMIT_UNIT]];
+        const selection = SELECTIONS[info[INFO_SELECTION]];
+        return {
+            size: info.readUInt32BE(INFO_LIMIT_SIZE),
+            unit: unit || null,
+            selectedBy: selection ? (info[INFO_SELECTION_LEAST] && selection.least) || selection.name : null,
+            least: !!info[INFO_SELECTION_LEAST],
+            selection: selection || null,
+            seed
+        };
+    }
+
+    /**
+     * Returns the rule, or a description of why it cannot be used.
+     */
+    static decodeRule(record) {
+        const fieldId = record.readUInt32BE(0);
+        const field = FIELDS[fieldId];
+        if (!field) {
+            return fieldId === 0 ? 'a nested group of rules' : `a rule on field 0x${fieldId.toString(16)}`;
+        }
+
+        const negate = (record[RULE_SIGN_OFFSET] & SIGN_NEGATED) !== 0;
+        const comparison = record.readUInt16BE(RULE_COMPARISON_OFFSET);
+        const operator = OPERATORS[comparison];
+        if (!operator) {
+            return `a "${field.name}" rule with comparison 0x${comparison.toString(16)}`;
+        }
+
+        const data = record.subarray(RULE_DATA_OFFSET);
+        if (field.type === 'text') {
+            // Copied first: swap16() works in place and the record is part of the playlist's blob
+            return { field: field.name, key: field.key, type: field.type, operator, negate, value: Buffer.from(data.subarray(0, data.length & ~1)).swap16().toString('utf16le') };
+        }
+
+        if (data.length < TO_VALUE_OFFSET + 8) {
+            return `a "${field.name}" rule without a value`;
+        }
+        const rule = {
+            field: field.name,
+            key: field.key,
+            type: field.type,
+            operator,
+            negate,
+            value: Number(data.readBigInt64BE(VALUE_OFFSET)),
+            to: Number(data.readBigInt64BE(TO_VALUE_OFFSET))
+        };
+
+        if (field.type === 'date') {
+            if (operator === 'inLast' || data.readBigUInt64BE(VALUE_OFFSET) === RELATIVE_DATE_MARKER) {
+                const unit = Number(data.readBigUInt64BE(RELATIVE_UNIT_OFFSET));
+                return {
+                    ...rule,
+                    operator: 'inLast',
+                    value: Math.abs(Number(data.readBigInt64BE(RELATIVE_AMOUNT_OFFSET))),
+                    unit,
+                    to: null
+                };
+            }
+            rule.value = (rule.value - MAC_EPOCH_OFFSET) * 1000;
+            rule.to = (rule.to - MAC_EPOCH_OFFSET) * 1000;
+        } else if (['contains', 'starts', 'ends', 'inLast'].includes(operator)) {
+            return `a "${field.name}" rule comparing text`;
+        }
+
+        return rule;
+    }
+
+    get supported() {
+        return this.unsupported.length === 0;
+    }
+
+    /**
+     * The tracks the playlist holds, in library order.
+     *
+     * @param {Object[]} tracks - Raw track dicts, e.g. AppleXmlParser.tracks
+     * @param {Object} [options]
+     * @param {Date} [options.now] - Reference time for "in the last" rules
+     */
+    evaluate(tracks, { now = new Date() } = {}) {
+        if (!this.supported) {
+            throw new Error(`Cannot evaluate ${this.unsupported.join(', ')}`);
+        }
+
+        const matching = tracks.filter(track => (!this.checkedOnly || !track.Disabled) && this.matches(track, now));
+        return this.limit ? this.applyLimit(matching) : matching;
+    }
+
+    matches(track, now = new Date()) {
+        if (!this.rulesEnabled || this.rules.length === 0) {
+            return true;
+        }
+        return this.match === 'any'
+            ? this.rules.some(rule => this.matchesRule(rule, track, now))
+            : this.rules.every(rule => this.matchesRule(rule, track, now));
+    }
+
+    matchesRule(rule, track, now) {
+        const result = this.compare(rule, track, now);
+        return rule.negate ? !result : result;
+    }
+
+    compare(rule, track, now) {
+        switch (rule.type) {
+            case 'text': {
+                const actual = this.normalize(track[rule.key]);
+                const expected = this.normalize(rule.value);
+                switch (rule.operator) {
+                    case 'is': return actual === expected;
+                    case 'contains': return actual.includes(expected);
+                    case 'starts': return actual.startsWith(expected);
+                    case 'ends': return actual.endsWith(expected);
+                    default: return false;
+                }
+            }
+            case 'date': {
+                const actual = track[rule.key] instanceof Date ? track[rule.key].getTime() : null;
+                if (actual === null) {
+                    return false;
+                }
+                if (rule.operator === 'inLast') {
+                    return actual >= now.getTime() - rule.value * rule.unit * 1000;
+                }
+                // An absolute date means the whole day
+                return this.compareNumbers(rule, actual, rule.operator === 'is' ? 86400000 : 0);
+            }
+            case 'loved': {
+                const actual = track.Loved || track.Favorited ? LOVED : track.Disliked ? DISLIKED : 0;
+                return actual === (rule.value === 1 ? LOVED : rule.value);
+            }
+            case 'rating':
+                // A rating Music.app shows greyed out is the album's, which rating rules ignore
+                return this.compareNumbers(rule, track['Rating Computed'] ? 0 : Number(track.Rating) || 0);
+            default:
+                return this.compareNumbers(rule, Number(track[rule.key]) || 0);
+        }
+    }
+
+    compareNumbers(rule, actual, span = 0) {
+        switch (rule.operator) {
+            case 'is': return span ? actual >= rule.value && actual < rule.value + span : actual === rule.value;
+            case 'greater': return actual > rule.value;
+            case 'less': return actual < rule.value;
+            case 'range': return actual >= Math.min(rule.value, rule.to) && actual <= Math.max(rule.value, rule.to);
+            default: return false;
+        }
+    }
+
+    /**
+     * "Limit to N items/minutes/hours/MB/GB selected by ...": picks tracks in the selection order
+     * until the limit is reached, then returns them in library order.
+     */
+    applyLimit(tracks) {
+        const { size, unit, selection, least, seed } = this.limit;
+        const ordered = tracks.map((track, index) => ({ track, index }));
+
+        if (selection && selection.name === 'random') {
+            // Music.app picks at random once; a hash keeps our pick the same until the library changes
+            const rank = (track) => crypto.createHash('sha1').update(`${seed}:${track['Persistent ID'] || track['Track ID']}`).digest('hex');
+            ordered.sort((a, b) => rank(a.track).localeCompare(rank(b.track)));
+        } else if (selection) {
+            const valueOf = (track) => {
+                const value = track[selection.key];
+                return selection.text ? this.normalize(value) : value instanceof Date ? value.getTime() : Number(value) || 0;
+            };
+            const direction = (selection.descending ? -1 : 1) * (least ? -1 : 1);
+            ordered.sort((a, b) => {
+                const x = valueOf(a.track);
+                const y = valueOf(b.track);
+                const order = selection.text ? x.localeCompare(y) : x - y;
+                return order * direction || a.index - b.index;
+            });
+        }
+
+        const amountOf = {
+            items: () => 1,
+            minutes: (track) => (track['Total Time'] || 0) / 60000,
+            hours: (track) => (track['Total Time'] || 0) / 3600000,
+            MB: (track) => (track.Size || 0) / (1024 * 1024),
+            GB: (track) => (track.Size || 0) / (1024 * 1024 * 1024)
+        }[unit] || (() => 1);
+
+        const picked = [];
+        let total = 0;
+        for (const entry of ordered) {
+            const amount = amountOf(entry.track);
+            if (total + amount > size) {
+                break;
+            }
+            total += amount;
+            picked.push(entry);
+        }
+
+        return picked.sort((a, b) => a.index - b.index).map(entry => entry.track);
+    }
+
+    normalize(value) {
+        return String(value ?? '').normalize('NFKC').toLowerCase().trim();
+    }
+
+    /**
+     * The rules as Music.app's smart playlist editor would phrase them, one line each.
+     */
+    describe() {
+        const lines = [];
+        const listed = this.rules.length + this.unsupported.length > 1;
+        if (!this.rulesEnabled) {
+            lines.push('All tracks');
+        } else if (listed) {
+            lines.push(`Match ${this.match} of the following rules:`);
+        }
+
+        const verbs = {
+            is: ['is', 'is not'],
+            contains: ['contains', 'does not contain'],
+            starts: ['begins with', 'does not begin with'],
+            ends: ['ends with', 'does not end with'],
+            greater: rule => rule.type === 'date' ? ['is after', 'is not after'] : ['is greater than', 'is not greater than'],
+            less: rule => rule.type === 'date' ? ['is before', 'is not before'] : ['is less than', 'is not less than'],
+            range: ['is in the range', 'is not in the range'],
+            inLast: ['is in the last', 'is not in the last']
+        };
+        const format = (rule, value) => {
+            switch (rule.type) {
+                case 'text': return `"${value}"`;
+                case 'date': return new Date(value).toISOString().slice(0, 10);
+                case 'rating': return '★'.repeat(Math.round(value / 20)) || 'none';
+                case 'loved': return value === DISLIKED ? 'disliked' : value ? 'true' : 'false';
+                default: return String(value);
+            }
+        };
+
+        for (const rule of this.rules) {
+            const verb = typeof verbs[rule.operator] === 'function' ? verbs[rule.operator](rule) : verbs[rule.operator];
+            let value;
+            if (rule.operator === 'inLast') {
+                value = `${rule.value} ${DATE_UNITS[rule.unit] || `× ${rule.unit}s`}`;
+            } else if (rule.operator === 'range') {
+                value = `${format(rule, rule.value)} to ${format(rule, rule.to)}`;
+            } else {
+                value = format(rule, rule.value);
+            }
+            lines.push(`${listed ? '  ' : ''}${rule.field} ${verb[rule.negate ? 1 : 0]} ${value}`);
+        }
+        this.unsupported.forEach(problem => lines.push(`${listed ? '  ' : ''}(not supported: ${problem})`));
+
+        if (this.limit) {
+            lines.push(`Limit to ${this.limit.size} ${this.limit.unit || 'items'}${this.limit.selectedBy ? ` selected by ${this.limit.selectedBy}` : ''}`);
+        }
+        if (this.checkedOnly) {
+            lines.push('Match only checked items');
+        }
+        return lines;
+    }
+}
@@ -0,0 +1,214 @@
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://api.spotify.com/v1';
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+export class SpotifyApiError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'SpotifyApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * The single path every Spotify Web API call goes through.
+ *
+ * - At most `concurrency` requests are in flight at once; the rest wait their turn.
+ * - A 429 pauses every request until its Retry-After has passed, then retries.
+ * - 5xx responses and network errors are retried with exponential backoff and full jitter, for
+ *   GET, PUT and DELETE only: a POST that timed out may still have added its tracks or created its
+ *   playlist, so repeating it could do that twice.
+ * - A 401 refreshes the access token once and repeats the request; requests rejected together
+ *   share a single refresh.
+ */
+export class SpotifyApi {
+    /**
+     * @param {SpotifyAuth} auth
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - API root, overridable for testing (also SPOTIFY_API_URL)
+     * @param {number} [options.concurrency] - Maximum parallel requests
+     * @param {number} [options.maxRetries] - Retries per request for 429, 5xx and network errors
+     * @param {number} [options.baseDelayMs] - First backoff step for 5xx and network errors
+     * @param {number} [options.maxDelayMs] - Upper bound for a single backoff step
+     * @param {number} [options.maxRetryAfterMs] - Give up instead of honouring a longer Retry-After
+     */
+    constructor(auth, options = {}) {
+        this.auth = auth;
+        this.baseUrl = (options.baseUrl || process.env.SPOTIFY_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.maxRetries = options.maxRetries ?? 5;
+        this.baseDelayMs = options.baseDelayMs ?? 500;
+        this.maxDelayMs = options.maxDelayMs ?? 30000;
+        this.maxRetryAfterMs = options.maxRetryAfterMs ?? 10 * 60 * 1000;
+        this.http = axios.create({ timeout: options.timeoutMs ?? 30000 });
+        this.active = 0;
+        this.waiting = [];
+        this.pausedUntil = 0;
+    }
+
+    get(path, params) {
+        return this.request('GET', path, { params });
+    }
+
+    post(path, data, params) {
+        return this.request('POST', path, { data, params });
+    }
+
+    put(path, data, params) {
+        return this.request('PUT', path, { data, params });
+    }
+
+    delete(path, data, params) {
+        return this.request('DELETE', path, { data, params });
+    }
+
+    /**
+     * Sends a request and resolves with the response body. `path` is relative to the API root,
+     * or an absolute URL such as a paging `next` link.
+     */
+    async request(method, path, { params, data } = {}) {
+        await this.acquire();
+        try {
+            return await this.send(method, path, params, data);
+        } finally {
+            this.release();
+        }
+    }
+
+    async acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return;
+        }
+        // The slot is handed over directly by release(), so active stays the same
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    async send(method, path, params, data) {
+        const url = /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+        let refreshed = false;
+        let attempt = 0;
+
+        while (true) {
+            await this.waitForPause();
+            await this.auth.getValidAccessToken();
+            const headers = this.auth.getAuthHeaders();
+
+            try {
+                const response = await this.http.request({
+                    method,
+                    url,
+                    params,
+                    data,
+                    headers
+                });
+                return response.data;
+            } catch (error) {
+                const status = error.response?.status;
+
+                // The token can be revoked or expire early; one refresh is worth a try
+                if (status === 401 && !refreshed) {
+                    refreshed = true;
+                    // Unless another request has already replaced the token this one was sent with
+                    if (this.auth.getAuthHeaders().Authorization === headers.Authorization) {
+                        await this.auth.refreshAccessToken();
+                    }
+                    continue;
+                }
+
+                if (!this.isRetryable(error, method) || attempt >= this.maxRetries) {
+                    throw this.toApiError(error, method, path);
+                }
+
+                const delay = status === 429 ? this.getRetryAfterMs(error.response) : this.getBackoffMs(attempt);
+                if (status === 429) {
+                    if (delay > this.maxRetryAfterMs) {
+                        throw new SpotifyApiError(`Rate limited by Spotify for ${Math.ceil(delay / 1000)}s; try again later`, 429);
+                    }
+                    this.pause(delay);
+                } else {
+                    await sleep(delay);
+                }
+                attempt++;
+            }
+        }
+    }
+
+    isRetryable(error, method = 'GET') {
+        // A 429 means the request was turned away unprocessed, so even a POST can be repeated
+        if (error.response?.status === 429) {
+            return true;
+        }
+        if (!IDEMPOTENT_METHODS.includes(method)) {
+            return false;
+        }
+        if (!error.response) {
+            // No response at all: connection reset, timeout, DNS hiccup
+            return !!error.request;
+        }
+        return error.response.status >= 500;
+    }
+
+    getRetryAfterMs(response) {
+        const header = response.headers?.['retry-after'];
+        const seconds = Number(header);
+        if (header !== undefined && Number.isFinite(seconds)) {
+            return Math.max(0, seconds) * 1000;
+        }
+
+        const date = Date.parse(header);
+        if (Number.isFinite(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return this.baseDelayMs;
+    }
+
+    getBackoffMs(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.round(Math.random() * ceiling);
+    }
+
+    /**
+     * Holds back every request, not just the one that was rejected, so the queue does not keep
+     * hitting the limit while it is in force.
+     */
+    pause(delayMs) {
+        const until = Date.now() + delayMs;
+        if (until > this.pausedUntil) {
+            if (this.pausedUntil <= Date.now()) {
+                console.warn(`⏳ Rate limited by Spotify, waiting ${Math.ceil(delayMs / 1000)}s...`);
+            }
+            this.pausedUntil = until;
+        }
+    }
+
+    async waitForPause() {
+        while (this.pausedUntil > Date.now()) {
+            await sleep(this.pausedUntil - Date.now());
+        }
+    }
+
+    toApiError(error, method, path) {
+        const status = error.response?.status ?? null;
+        const message = error.response?.data?.error?.message ||
+            error.response?.data?.error_description ||
+            error.message;
+        const prefix = status ? `${status} ` : '';
+        return new SpotifyApiError(`${prefix}${message} (${method} ${path.split('?')[0]})`, status);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
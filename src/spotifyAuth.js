@@ -3,102 +3,312 @@ import crypto from 'crypto';
 import { URLSearchParams } from 'url';
 import open from 'open';
 import http from 'http';
+import readline from 'readline';
+
+const AUTH_TIMEOUT_MS = 300000; // 5 minutes
+// Everything but the `likes` command only needs to manage playlists
+const DEFAULT_SCOPES = ['playlist-modify-public', 'playlist-modify-private'];
 
 export class SpotifyAuth {
-    constructor(clientId, clientSecret, redirectUri = 'http://127.0.0.1:3000/callback') {
+    /**
+     * @param {string} clientId
+     * @param {string} [clientSecret] - Without a secret the Authorization Code with PKCE flow is used
+     * @param {string} [redirectUri]
+     * @param {Object} [options]
+     * @param {TokenStore} [options.tokenStore] - Where the session is persisted between runs; in memory only if omitted
+     * @param {string} [options.tokenUrl] - Token endpoint, overridable for testing
+     * @param {boolean} [options.openBrowser] - false prints the URL and reads the redirect from stdin instead
+     * @param {number} [options.callbackPort] - Local port for the callback server (defaults to the redirect URI's port)
+     * @param {string[]} [options.scopes] - Scopes needed on top of the playlist ones; a saved session
+     *   without them is not used, so the user is asked to approve the extra access
+     */
+    constructor(clientId, clientSecret, redirectUri = 'http://127.0.0.1:3000/callback', options = {}) {
         this.clientId = clientId;
-        this.clientSecret = clientSecret;
-        this.redirectUri = redirectUri;
+        this.clientSecret = clientSecret || null;
+        this.redirectUri = redirectUri || 'http://127.0.0.1:3000/callback';
+        this.openBrowser = options.openBrowser !== false;
+        this.callbackPort = options.callbackPort || null;
+        this.codeVerifier = null;
+        this.state = null;
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenExpiry = null;
-        this.scopes = 'playlist-modify-public playlist-modify-private';
+        this.refreshing = null;
+        this.scopes = [...new Set([...DEFAULT_SCOPES, ...(options.scopes || [])])].join(' ');
+        // What the user actually approved, which can be more than this.scopes asks for
+        this.grantedScopes = null;
+        this.tokenStore = options.tokenStore || null;
+        this.tokenUrl = options.tokenUrl || 'https://accounts.spotify.com/api/token';
+    }
+
+    /**
+     * Restores a saved session, refreshing the access token if it has expired.
+     * Returns false when there is no usable session (none saved, or the refresh token was revoked).
+     */
+    async loadSession() {
+        if (!this.tokenStore) {
+            return false;
+        }
+
+        const session = await this.tokenStore.load(this.clientId);
+        if (!session) {
+            return false;
+        }
+
+        if (!this.hasScopes(session.scopes)) {
+            console.log('🔑 This command needs access that the saved session was not granted; please approve it in the browser.');
+            return false;
+        }
+        this.grantedScopes = session.scopes || null;
+
+        this.refreshToken = session.refreshToken;
+        this.accessToken = session.accessToken || null;
+        this.tokenExpiry = session.tokenExpiry || 0;
+
+        if (!this.accessToken || Date.now() >= this.tokenExpiry - 60000) {
+            try {
+                await this.refreshAccessToken();
+            } catch (error) {
+                console.warn(`Saved Spotify session could not be refreshed (${error.message}); logging in again.`);
+                this.accessToken = null;
+                this.refreshToken = null;
+                this.tokenExpiry = null;
+                await this.tokenStore.clear();
+                return false;
+            }
+        }
+
+        return true;
     }
 
+    async saveSession() {
+        if (!this.tokenStore || !this.refreshToken) {
+            return;
+        }
+
+        await this.tokenStore.save({
+            clientId: this.clientId,
+            refreshToken: this.refreshToken,
+            accessToken: this.accessToken,
+            tokenExpiry: this.tokenExpiry,
+            scopes: this.grantedScopes || this.scopes,
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Whether `granted` (a space-separated scope list) covers every scope this instance needs.
+     * Sessions saved without a list predate extra scopes and only have the default ones.
+     */
+    hasScopes(granted) {
+        const have = new Set(String(granted || DEFAULT_SCOPES.join(' ')).split(/\s+/));
+        return this.scopes.split(' ').every(scope => have.has(scope));
+    }
+
+    async clearSession() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.tokenExpiry = null;
+        return this.tokenStore ? this.tokenStore.clear() : false;
+    }
+
+    /**
+     * Uses the saved session when there is one and only falls back to the browser flow otherwise.
+     */
+    async ensureAuthenticated() {
+        if (await this.loadSession()) {
+            return;
+        }
+        await this.authenticate();
+    }
+
+
+    usesPkce() {
+        return !this.clientSecret;
+    }
 
     getAuthUrl() {
+        this.state = crypto.randomBytes(16).toString('hex');
+
         const params = new URLSearchParams({
             client_id: this.clientId,
             response_type: 'code',
             redirect_uri: this.redirectUri,
-            scope: this.scopes
+            scope: this.scopes,
+            state: this.state
         });
 
+        if (this.usesPkce()) {
+            this.codeVerifier = crypto.randomBytes(64).toString('base64url');
+            params.set('code_challenge_method', 'S256');
+            params.set('code_challenge', crypto.createHash('sha256').update(this.codeVerifier).digest('base64url'));
+        }
+
         return `https://accounts.spotify.com/authorize?${params.toString()}`;
     }
 
     async authenticate() {
+        const authUrl = this.getAuthUrl();
+
+        if (!this.openBrowser) {
+            return this.authenticateManually(authUrl);
+        }
+
         return new Promise((resolve, reject) => {
-            const authUrl = this.getAuthUrl();
-            console.log('Opening browser for Spotify authentication...');
-            console.log('If browser doesn\'t open automatically, visit:', authUrl);
-            
-            open(authUrl);
+            const redirect = new URL(this.redirectUri);
+            const port = this.callbackPort || Number(redirect.port) || 80;
+            let timer = null;
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                server.close();
+                if (error) reject(error);
+                else resolve();
+            };
 
             const server = http.createServer(async (req, res) => {
                 const url = new URL(req.url, `http://${req.headers.host}`);
-                
-                if (url.pathname === '/callback') {
-                    const code = url.searchParams.get('code');
-                    const error = url.searchParams.get('error');
-
-                    if (error) {
-                        res.writeHead(400, { 'Content-Type': 'text/html' });
-                        res.end('<h1>Authentication failed</h1><p>You can close this window.</p>');
-                        server.close();
-                        reject(new Error(`Authentication failed: ${error}`));
-                        return;
-                    }
-
-                    if (code) {
-                        try {
-                            await this.exchangeCodeForToken(code);
-                            res.writeHead(200, { 'Content-Type': 'text/html' });
-                            res.end('<h1>Authentication successful!</h1><p>You can close this window and return to the terminal.</p>');
-                            server.close();
-                            resolve();
-                        } catch (error) {
-                            res.writeHead(500, { 'Content-Type': 'text/html' });
-                            res.end('<h1>Authentication failed</h1><p>You can close this window.</p>');
-                            server.close();
-                            reject(error);
-                        }
-                    }
+
+                if (url.pathname !== redirect.pathname) {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+
+                const error = url.searchParams.get('error');
+                const code = url.searchParams.get('code');
+
+                if (error || !code) {
+                    res.writeHead(400, { 'Content-Type': 'text/html' });
+                    res.end('<h1>Authentication failed</h1><p>You can close this window.</p>');
+                    finish(new Error(`Authentication failed: ${error || 'no code in callback'}`));
+                    return;
+                }
+
+                if (url.searchParams.get('state') !== this.state) {
+                    res.writeHead(400, { 'Content-Type': 'text/html' });
+                    res.end('<h1>Authentication failed</h1><p>State mismatch. You can close this window.</p>');
+                    finish(new Error('Authentication failed: state mismatch'));
+                    return;
+                }
+
+                try {
+                    await this.exchangeCodeForToken(code);
+                    res.writeHead(200, { 'Content-Type': 'text/html' });
+                    res.end('<h1>Authentication successful!</h1><p>You can close this window and return to the terminal.</p>');
+                    finish();
+                } catch (error) {
+                    res.writeHead(500, { 'Content-Type': 'text/html' });
+                    res.end('<h1>Authentication failed</h1><p>You can close this window.</p>');
+                    finish(error);
                 }
             });
 
-            server.listen(3000, () => {
+            server.on('error', (error) => {
+                finish(new Error(`Could not start callback server on port ${port}: ${error.message}. ` +
+                    'Use a different redirect URI/port, or --no-browser.'));
+            });
+
+            server.listen(port, redirect.hostname, () => {
+                console.log('Opening browser for Spotify authentication...');
+                console.log('If browser doesn\'t open automatically, visit:', authUrl);
                 console.log('Waiting for authentication...');
+                open(authUrl).catch(() => {});
             });
 
-            setTimeout(() => {
-                server.close();
-                reject(new Error('Authentication timeout'));
-            }, 300000); // 5 minutes timeout
+            timer = setTimeout(() => {
+                finish(new Error('Authentication timeout'));
+            }, AUTH_TIMEOUT_MS);
         });
     }
 
-    async exchangeCodeForToken(code) {
+    /**
+     * Headless login: prints the authorization URL and reads back either the full URL the browser
+     * was redirected to or just the code from it.
+     */
+    async authenticateManually(authUrl, input = process.stdin, output = process.stdout) {
+        output.write('Open this URL in a browser on any machine and approve access:\n\n');
+        output.write(`  ${authUrl}\n\n`);
+        output.write('Then paste the URL you were redirected to (or just the code) here.\n');
+        output.write('The redirect page failing to load is expected.\n\n');
+
+        const rl = readline.createInterface({ input, output, terminal: false });
+        let timer = null;
+
         try {
+            const answer = await new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('Authentication timeout')), AUTH_TIMEOUT_MS);
+                rl.question('Redirect URL or code: ', resolve);
+                rl.once('close', () => reject(new Error('No authorization code entered')));
+            });
+
+            const code = this.parsePastedCode(answer.trim());
+            await this.exchangeCodeForToken(code);
+        } finally {
+            clearTimeout(timer);
+            rl.close();
+        }
+    }
+
+    parsePastedCode(answer) {
+        if (!answer) {
+            throw new Error('No authorization code entered');
+        }
+
+        if (!/^https?:\/\//i.test(answer)) {
+            return answer;
+        }
+
+        const url = new URL(answer);
+        const error = url.searchParams.get('error');
+        if (error) {
+            throw new Error(`Authentication failed: ${error}`);
+        }
+
+        const state = url.searchParams.get('state');
+        if (state && state !== this.state) {
+            throw new Error('Authentication failed: state mismatch');
+        }
+
+        const code = url.searchParams.get('code');
+        if (!code) {
+            throw new Error('No code found in the pasted URL');
+        }
+        return code;
+    }
+
+    async requestToken(params) {
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+        if (this.usesPkce()) {
+            params.client_id = this.clientId;
+        } else {
             const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
-            
-            const response = await axios.post('https://accounts.spotify.com/api/token', 
-                new URLSearchParams({
-                    grant_type: 'authorization_code',
-                    code: code,
-                    redirect_uri: this.redirectUri
-                }),
-                {
-                    headers: {
-                        'Authorization': `Basic ${credentials}`,
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                }
-            );
+            headers['Authorization'] = `Basic ${credentials}`;
+        }
 
-            this.accessToken = response.data.access_token;
-            this.refreshToken = response.data.refresh_token;
-            this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+        const response = await axios.post(this.tokenUrl, new URLSearchParams(params), { headers });
+        return response.data;
+    }
+
+    async exchangeCodeForToken(code) {
+        try {
+            const params = {
+                grant_type: 'authorization_code',
+                code: code,
+                redirect_uri: this.redirectUri
+            };
+            if (this.usesPkce()) {
+                params.code_verifier = this.codeVerifier;
+            }
+
+            const data = await this.requestToken(params);
+
+            this.accessToken = data.access_token;
+            this.refreshToken = data.refresh_token;
+            this.tokenExpiry = Date.now() + (data.expires_in * 1000);
+            this.grantedScopes = data.scope || this.scopes;
+            await this.saveSession();
 
             return this.accessToken;
         } catch (error) {
@@ -106,33 +316,40 @@ export class SpotifyAuth {
         }
     }
 
-    async refreshAccessToken() {
+    /**
+     * Gets a new access token. Callers that ask while a refresh is under way share it: parallel
+     * refreshes would each rotate the refresh token (PKCE does) and invalidate one another.
+     */
+    refreshAccessToken() {
+        if (!this.refreshing) {
+            this.refreshing = this.requestRefresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async requestRefresh() {
         if (!this.refreshToken) {
             throw new Error('No refresh token available');
         }
 
         try {
-            const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
-            
-            const response = await axios.post('https://accounts.spotify.com/api/token',
-                new URLSearchParams({
-                    grant_type: 'refresh_token',
-                    refresh_token: this.refreshToken
-                }),
-                {
-                    headers: {
-                        'Authorization': `Basic ${credentials}`,
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                }
-            );
+            const data = await this.requestToken({
+                grant_type: 'refresh_token',
+                refresh_token: this.refreshToken
+            });
 
-            this.accessToken = response.data.access_token;
-            this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+            this.accessToken = data.access_token;
+            this.tokenExpiry = Date.now() + (data.expires_in * 1000);
 
-            if (response.data.refresh_token) {
-                this.refreshToken = response.data.refresh_token;
+            if (data.refresh_token) {
+                this.refreshToken = data.refresh_token;
+            }
+            if (data.scope) {
+                this.grantedScopes = data.scope;
             }
+            await this.saveSession();
 
             return this.accessToken;
         } catch (error) {
@@ -1,182 +1,762 @@
-import axios from 'axios';
+import { SpotifyApi } from './spotifyApi.js';
+import { TrackMatcher } from './trackMatcher.js';
+import { SearchStrategies } from './searchStrategies.js';
 
 export class SpotifyClient {
-    constructor(auth) {
+    // /me/playlists leaves out private playlists, the default for converted ones, without this
+    static PLAYLIST_LOOKUP_SCOPES = ['playlist-read-private'];
+
+    /**
+     * @param {SpotifyAuth} auth
+     * @param {Object} [options]
+     * @param {Map|MatchCache} [options.matchCache] - Cache of match evaluations, shared between playlists;
+     *   a MatchCache keeps it across runs
+     * @param {number} [options.minConfidence] - Matches below this confidence (0-1) are sent to the reviewer
+     * @param {MatchReviewer} [options.reviewer] - Settles uncertain matches; without one they are kept and flagged
+     * @param {MatchDecisions} [options.decisions] - Earlier review decisions, consulted before searching
+     * @param {SpotifyApi} [options.api] - Request layer; by default one is created with options.concurrency
+     * @param {number} [options.concurrency] - Parallel searches / requests
+     * @param {TrackMatcher} [options.matcher] - Scores candidates; the default weights if omitted
+     * @param {SearchStrategies} [options.searchStrategies] - Searches tried per track; all of them if omitted
+     * @param {MatchOverrides} [options.overrides] - Hand-written matches, consulted before anything else is
+     */
+    constructor(auth, options = {}) {
         this.auth = auth;
-        this.baseUrl = 'https://api.spotify.com/v1';
+        this.api = options.api || new SpotifyApi(auth, { concurrency: options.concurrency });
+        // Shared between playlists converted in the same run so repeated tracks are only searched once
+        this.matchCache = options.matchCache || new Map();
+        this.minConfidence = options.minConfidence ?? 0.6;
+        this.reviewer = options.reviewer || null;
+        this.decisions = options.decisions || null;
+        this.matcher = options.matcher || new TrackMatcher();
+        this.searchStrategies = options.searchStrategies || new SearchStrategies();
+        this.overrides = options.overrides || null;
+    }
+
+    /**
+     * Accepts a spotify:track: URI, an open.spotify.com track URL or a bare track ID and returns
+     * the canonical URI, or null if the input is none of those.
+     */
+    static toTrackUri(input) {
+        const value = String(input || '').trim();
+
+        const uriMatch = value.match(/^spotify:track:([A-Za-z0-9]{22})$/);
+        if (uriMatch) return `spotify:track:${uriMatch[1]}`;
+
+        const urlMatch = value.match(/^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([A-Za-z0-9]{22})/);
+        if (urlMatch) return `spotify:track:${urlMatch[1]}`;
+
+        if (/^[A-Za-z0-9]{22}$/.test(value)) return `spotify:track:${value}`;
+
+        return null;
     }
 
-    async searchTrack(trackName, artistName, albumName = '') {
+    /**
+     * Accepts a spotify:playlist: URI, an open.spotify.com playlist URL or a bare playlist ID.
+     */
+    static toPlaylistId(input) {
+        const value = String(input || '').trim();
+
+        const uriMatch = value.match(/^spotify:(?:user:[^:]+:)?playlist:([A-Za-z0-9]{22})$/);
+        if (uriMatch) return uriMatch[1];
+
+        const urlMatch = value.match(/^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?playlist\/([A-Za-z0-9]{22})/);
+        if (urlMatch) return urlMatch[1];
+
+        if (/^[A-Za-z0-9]{22}$/.test(value)) return value;
+
+        return null;
+    }
+
+    static getMatchCacheKey(track) {
+        const persistentId = track.originalTrack && track.originalTrack['Persistent ID'];
+        if (persistentId) {
+            return `pid:${persistentId}`;
+        }
+
+        // Text exports have no stable ID; the same recording keeps its tags and length
+        const normalize = (value) => String(value || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+        return ['meta', track.name, track.artist, track.album, track.duration || 0]
+            .map(normalize)
+            .join('|');
+    }
+
+    /**
+     * The name|artist|album key review decisions were saved under before match keys included the
+     * duration; null for tracks keyed by Persistent ID, whose key never changed.
+     */
+    getLegacyMatchKey(track) {
+        if (track.originalTrack && track.originalTrack['Persistent ID']) {
+            return null;
+        }
+        return ['name', track.name, track.artist, track.album]
+            .map(part => (part || '').toLowerCase().trim())
+            .join('|');
+    }
+
+    getDecision(track, key) {
+        return this.decisions ? this.decisions.get(key, this.getLegacyMatchKey(track)) : null;
+    }
+
+    /**
+     * Runs the search strategies for a track until one finds a match at or above minConfidence,
+     * then scores everything found so far. The evaluation records the strategy that found the
+     * chosen track (`strategy`) and every strategy that was run (`strategiesTried`); each
+     * candidate carries the strategy that found it. Errors that survive the request layer's
+     * retries are thrown, never reported as "no results".
+     */
+    async findTrack(track) {
+        const found = new Map();
+        const strategiesTried = [];
+        let evaluation = this.evaluateMatch([], track);
+
         try {
-            const token = await this.auth.getValidAccessToken();
-            
-            let query = `track:"${trackName}" artist:"${artistName}"`;
-            if (albumName) {
-                query += ` album:"${albumName}"`;
-            }
-
-            const response = await axios.get(`${this.baseUrl}/search`, {
-                headers: this.auth.getAuthHeaders(),
-                params: {
-                    q: query,
-                    type: 'track',
-                    limit: 5
+            for (const step of this.searchStrategies.plan(track, this.matcher)) {
+                strategiesTried.push(step.strategy);
+                const items = step.kind === 'album'
+                    ? await this.searchAlbumTracks(step.query, track)
+                    : await this.searchTracks(step.query);
+
+                const before = found.size;
+                items.filter(item => item && item.uri && !found.has(item.uri))
+                    .forEach(item => found.set(item.uri, { track: item, strategy: step.strategy }));
+                if (found.size === before) {
+                    continue;
                 }
-            });
 
-            const tracks = response.data.tracks.items;
-            
-            if (tracks.length === 0) {
-                query = `"${trackName}" "${artistName}"`;
-                const fallbackResponse = await axios.get(`${this.baseUrl}/search`, {
-                    headers: this.auth.getAuthHeaders(),
-                    params: {
-                        q: query,
-                        type: 'track',
-                        limit: 5
-                    }
-                });
-                return fallbackResponse.data.tracks.items;
+                evaluation = this.evaluateMatch([...found.values()].map(entry => entry.track), track);
+                if (evaluation.confidence >= this.minConfidence) {
+                    break;
+                }
             }
-
-            return tracks;
         } catch (error) {
-            console.warn(`Search failed for "${trackName}" by "${artistName}":`, error.response?.data?.error?.message || error.message);
+            throw new Error(`Search failed for "${track.name}" by "${track.artist}": ${error.message}`);
+        }
+
+        evaluation.candidates.forEach(candidate => {
+            candidate.strategy = found.get(candidate.track.uri).strategy;
+        });
+        evaluation.strategy = evaluation.match ? found.get(evaluation.match.uri).strategy : null;
+        evaluation.strategiesTried = strategiesTried;
+        return evaluation;
+    }
+
+    async searchTracks(query, limit = 5) {
+        const response = await this.api.get('/search', { q: query, type: 'track', limit });
+        return response.tracks.items;
+    }
+
+    /**
+     * Album-first lookup: finds up to two albums, then returns the full track objects of the
+     * album tracks whose titles are closest to the Apple track's.
+     */
+    async searchAlbumTracks(query, track, limit = 5) {
+        const response = await this.api.get('/search', { q: query, type: 'album', limit: 2 });
+        const albums = response.albums.items.filter(Boolean);
+        if (albums.length === 0) {
             return [];
         }
+
+        const title = this.matcher.parseTitle(track.name).core;
+        const albumTracks = [];
+        for (const album of albums) {
+            const items = await this.getAllPages(`/albums/${album.id}/tracks`, { limit: 50 });
+            albumTracks.push(...items.map(item => ({ id: item.id, similarity: this.matcher.similarity(title, item.name) })));
+        }
+
+        const ids = albumTracks
+            .filter(item => item.id && item.similarity > 0)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit)
+            .map(item => item.id);
+        if (ids.length === 0) {
+            return [];
+        }
+
+        // Album track lists omit the album and ISRC, so the chosen few are fetched in full
+        const full = await this.api.get('/tracks', { ids: ids.join(',') });
+        return full.tracks.filter(Boolean);
     }
 
     findBestMatch(searchResults, originalTrack) {
-        if (searchResults.length === 0) return null;
-        if (searchResults.length === 1) return searchResults[0];
+        return this.evaluateMatch(searchResults, originalTrack).match;
+    }
+
+    /**
+     * Scores every search result against the Apple track and picks the best one.
+     * Returns { match, score, candidates } where candidates are sorted best first and each
+     * carries its score breakdown and, for the losers, the reason it was not chosen.
+     */
+    evaluateMatch(searchResults, originalTrack) {
+        if (searchResults.length === 0) {
+            return { match: null, score: null, confidence: 0, candidates: [] };
+        }
+
+        const scored = searchResults.map((track, index) => ({
+            track,
+            index,
+            ...this.scoreCandidate(track, originalTrack)
+        }));
+
+        // Highest score wins; ties go to the earlier search result
+        const ranked = [...scored].sort((a, b) => b.score - a.score || a.index - b.index);
+        const winner = ranked[0];
 
-        const normalizeString = (str) => str.toLowerCase().replace(/[^\w\s]/g, '').trim();
-        
-        const originalTrackNorm = normalizeString(originalTrack.name);
-        const originalArtistNorm = normalizeString(originalTrack.artist);
+        const candidates = ranked.map(candidate => ({
+            track: candidate.track,
+            score: candidate.score,
+            confidence: candidate.confidence,
+            breakdown: candidate.breakdown,
+            chosen: candidate === winner,
+            reason: candidate === winner ? null : this.explainLoss(candidate, winner)
+        }));
 
-        let bestMatch = searchResults[0];
-        let bestScore = 0;
+        return { match: winner.track, score: winner.score, confidence: winner.confidence, candidates };
+    }
+
+    scoreCandidate(track, originalTrack) {
+        return this.matcher.score(track, originalTrack);
+    }
+
+    explainLoss(candidate, winner) {
+        if (candidate.score === winner.score) {
+            return `tied at ${candidate.score}; an earlier search result was preferred`;
+        }
+
+        const weaker = Object.keys(candidate.breakdown)
+            .filter(field => candidate.breakdown[field] < winner.breakdown[field])
+            .map(field => `${field} ${candidate.breakdown[field]} vs ${winner.breakdown[field]}`);
 
-        for (const track of searchResults) {
-            const trackNameNorm = normalizeString(track.name);
-            const artistNameNorm = normalizeString(track.artists[0].name);
-            
-            let score = 0;
-            
-            if (trackNameNorm === originalTrackNorm) score += 10;
-            else if (trackNameNorm.includes(originalTrackNorm) || originalTrackNorm.includes(trackNameNorm)) score += 5;
-            
-            if (artistNameNorm === originalArtistNorm) score += 10;
-            else if (artistNameNorm.includes(originalArtistNorm) || originalArtistNorm.includes(artistNameNorm)) score += 5;
+        const mismatches = (candidate.mismatches || []).filter(tag => !(winner.mismatches || []).includes(tag));
+        if (mismatches.length) {
+            weaker.push(`${mismatches.join('/')} version mismatch`);
+        }
+
+        return `score ${candidate.score} < ${winner.score}` + (weaker.length ? ` (${weaker.join(', ')})` : '');
+    }
 
-            if (originalTrack.album) {
-                const originalAlbumNorm = normalizeString(originalTrack.album);
-                const albumNameNorm = normalizeString(track.album.name);
-                
-                if (albumNameNorm === originalAlbumNorm) score += 3;
-                else if (albumNameNorm.includes(originalAlbumNorm) || originalAlbumNorm.includes(albumNameNorm)) score += 1;
+    async getTrack(trackUri) {
+        const uri = SpotifyClient.toTrackUri(trackUri);
+        if (!uri) {
+            throw new Error(`Not a Spotify track URI or URL: ${trackUri}`);
+        }
+
+        try {
+            return await this.api.get(`/tracks/${uri.split(':')[2]}`);
+        } catch (error) {
+            throw new Error(`Failed to get track ${uri}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Looks up many tracks at once, 50 per request. Returns one entry per URI, null for tracks
+     * Spotify does not know (any more).
+     */
+    async getTracks(trackUris) {
+        const results = [];
+        try {
+            for (let i = 0; i < trackUris.length; i += 50) {
+                const ids = trackUris.slice(i, i + 50).map(uri => uri.split(':')[2]);
+                const response = await this.api.get('/tracks', { ids: ids.join(',') });
+                results.push(...response.tracks);
             }
+        } catch (error) {
+            throw new Error(`Failed to get tracks: ${error.message}`);
+        }
+        return results;
+    }
 
-            if (originalTrack.duration && track.duration_ms) {
-                const durationDiff = Math.abs(originalTrack.duration - (track.duration_ms / 1000));
-                if (durationDiff <= 2) score += 2;
-                else if (durationDiff <= 5) score += 1;
+    /**
+     * Which of the tracks are already in the user's Liked Songs, one boolean per URI.
+     * Needs the user-library-read scope.
+     */
+    async containsSavedTracks(trackUris, batchSize = 50) {
+        const saved = [];
+        try {
+            for (let i = 0; i < trackUris.length; i += batchSize) {
+                const ids = trackUris.slice(i, i + batchSize).map(uri => uri.split(':')[2]);
+                saved.push(...await this.api.get('/me/tracks/contains', { ids: ids.join(',') }));
             }
+        } catch (error) {
+            throw new Error(`Failed to check Liked Songs: ${error.message}`);
+        }
+        return saved;
+    }
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestMatch = track;
+    /**
+     * Adds tracks to the user's Liked Songs, 50 per request. Needs the user-library-modify scope.
+     */
+    async saveTracks(trackUris, batchSize = 50) {
+        try {
+            for (let i = 0; i < trackUris.length; i += batchSize) {
+                const ids = trackUris.slice(i, i + batchSize).map(uri => uri.split(':')[2]);
+                await this.api.put('/me/tracks', { ids });
             }
+        } catch (error) {
+            throw new Error(`Failed to save tracks to Liked Songs: ${error.message}`);
         }
+    }
 
-        return bestMatch;
+    /**
+     * Every track in the user's Liked Songs, most recently liked first. Needs the
+     * user-library-read scope.
+     */
+    async getSavedTracks() {
+        try {
+            const items = await this.getAllPages('/me/tracks', { limit: 50 });
+            return items.map(item => item.track).filter(Boolean);
+        } catch (error) {
+            throw new Error(`Failed to get Liked Songs: ${error.message}`);
+        }
     }
 
     async getCurrentUser() {
         try {
-            const token = await this.auth.getValidAccessToken();
-            const response = await axios.get(`${this.baseUrl}/me`, {
-                headers: this.auth.getAuthHeaders()
-            });
-            return response.data;
+            return await this.api.get('/me');
         } catch (error) {
-            throw new Error(`Failed to get current user: ${error.response?.data?.error?.message || error.message}`);
+            throw new Error(`Failed to get current user: ${error.message}`);
         }
     }
 
     async createPlaylist(userId, name, description = '', isPublic = false) {
         try {
-            const token = await this.auth.getValidAccessToken();
-            const response = await axios.post(`${this.baseUrl}/users/${userId}/playlists`, {
+            return await this.api.post(`/users/${encodeURIComponent(userId)}/playlists`, {
                 name: name,
                 description: description,
                 public: isPublic
-            }, {
-                headers: this.auth.getAuthHeaders()
             });
-            return response.data;
         } catch (error) {
-            throw new Error(`Failed to create playlist: ${error.response?.data?.error?.message || error.message}`);
+            throw new Error(`Failed to create playlist: ${error.message}`);
+        }
+    }
+
+    async getPlaylist(playlistId, fields) {
+        try {
+            return await this.api.get(`/playlists/${playlistId}`, fields ? { fields } : undefined);
+        } catch (error) {
+            throw new Error(`Failed to get playlist: ${error.message}`);
+        }
+    }
+
+    /**
+     * Follows `next` links and returns the items of every page.
+     */
+    async getAllPages(path, params) {
+        const items = [];
+        let page = await this.api.get(path, params);
+
+        while (page) {
+            items.push(...page.items);
+            page = page.next ? await this.api.get(page.next) : null;
+        }
+
+        return items;
+    }
+
+    /**
+     * Returns every item of the playlist in playlist order as { uri, name, artists, is_local },
+     * or with the track fields asked for. Tracks that are no longer available come back with a
+     * null uri; they still take up a position, which matters for reordering.
+     */
+    async getPlaylistTracks(playlistId, trackFields = 'uri,name,artists(name),is_local') {
+        try {
+            const items = await this.getAllPages(`/playlists/${playlistId}/tracks`, {
+                fields: `items(track(${trackFields})),next`,
+                limit: 100
+            });
+
+            return items.map(item => item.track ? item.track : { uri: null, name: null, artists: [], is_local: false });
+        } catch (error) {
+            throw new Error(`Failed to get playlist tracks: ${error.message}`);
+        }
+    }
+
+    /**
+     * Playlists owned by the user with exactly this name, in the order Spotify lists them.
+     * Private ones are only listed when the session has PLAYLIST_LOOKUP_SCOPES.
+     */
+    async findOwnPlaylists(userId, name) {
+        try {
+            const playlists = await this.getAllPages('/me/playlists', { limit: 50 });
+            return playlists.filter(playlist => playlist.owner && playlist.owner.id === userId && playlist.name === name);
+        } catch (error) {
+            throw new Error(`Failed to list playlists: ${error.message}`);
         }
     }
 
-    async addTracksToPlaylist(playlistId, trackUris, batchSize = 100) {
+    /**
+     * Removes every occurrence of each URI from the playlist.
+     */
+    async removeTracksFromPlaylist(playlistId, trackUris, batchSize = 100) {
         try {
-            const token = await this.auth.getValidAccessToken();
             const results = [];
 
             for (let i = 0; i < trackUris.length; i += batchSize) {
                 const batch = trackUris.slice(i, i + batchSize);
-                const response = await axios.post(`${this.baseUrl}/playlists/${playlistId}/tracks`, {
-                    uris: batch
-                }, {
-                    headers: this.auth.getAuthHeaders()
+                results.push(await this.api.delete(`/playlists/${playlistId}/tracks`, {
+                    tracks: batch.map(uri => ({ uri }))
+                }));
+            }
+
+            return results;
+        } catch (error) {
+            throw new Error(`Failed to remove tracks from playlist: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compares the URIs the playlist should contain with what it contains now. A URI wanted
+     * twice but present once is added once more; URIs that are not wanted at all are listed
+     * for removal (Spotify removes a URI with all its occurrences).
+     */
+    planSync(wantedUris, currentUris) {
+        const available = new Map();
+        currentUris.forEach(uri => available.set(uri, (available.get(uri) || 0) + 1));
+
+        const toAdd = [];
+        for (const uri of wantedUris) {
+            if (available.get(uri) > 0) {
+                available.set(uri, available.get(uri) - 1);
+            } else {
+                toAdd.push(uri);
+            }
+        }
+
+        const wanted = new Set(wantedUris);
+        const toRemove = [...new Set(currentUris)].filter(uri => !wanted.has(uri));
+
+        return { toAdd, toRemove, unchanged: wantedUris.length - toAdd.length };
+    }
+
+    /**
+     * Works out the playlist reorders that bring the tracks in `currentUris` into the order of
+     * `wantedUris` with as few moves as possible.
+     *
+     * Each wanted URI occurrence is paired with an occurrence in the playlist. The longest run of
+     * paired items that is already in the right relative order stays put; every other paired item
+     * is moved, in wanted order, to just after its predecessor, and neighbours that travel together
+     * are moved as one range. Unpaired items (unavailable tracks, local files, extras) are left alone.
+     *
+     * Returns [{ range_start, insert_before, range_length }] to be applied one after another.
+     */
+    planReorder(currentUris, wantedUris) {
+        const wantedPositions = new Map();
+        wantedUris.forEach((uri, rank) => {
+            if (!wantedPositions.has(uri)) wantedPositions.set(uri, []);
+            wantedPositions.get(uri).push(rank);
+        });
+
+        // Rank of each playlist item in the wanted order, or null when it is not paired
+        const ranks = currentUris.map(uri => {
+            const queue = uri ? wantedPositions.get(uri) : null;
+            return queue && queue.length > 0 ? queue.shift() : null;
+        });
+
+        const keep = this.longestIncreasingRanks(ranks.filter(rank => rank !== null));
+        const seq = [...ranks];
+        const ops = [];
+        const sortedRanks = ranks.filter(rank => rank !== null).sort((a, b) => a - b);
+
+        for (let i = 0; i < sortedRanks.length; i++) {
+            const rank = sortedRanks[i];
+            if (keep.has(rank)) {
+                continue;
+            }
+
+            // Neighbouring ranks that sit right behind this one and also have to move go with it
+            const start = seq.indexOf(rank);
+            let length = 1;
+            while (i + length < sortedRanks.length &&
+                !keep.has(sortedRanks[i + length]) &&
+                seq[start + length] === sortedRanks[i + length]) {
+                length++;
+            }
+
+            const insertBefore = i === 0 ? this.firstKeptIndex(seq, keep) : seq.indexOf(sortedRanks[i - 1]) + 1;
+            if (insertBefore < start || insertBefore > start + length) {
+                ops.push({ range_start: start, insert_before: insertBefore, range_length: length });
+                const moved = seq.splice(start, length);
+                seq.splice(insertBefore > start ? insertBefore - length : insertBefore, 0, ...moved);
+            }
+
+            i += length - 1;
+        }
+
+        return ops;
+    }
+
+    longestIncreasingRanks(ranks) {
+        // Patience sorting; tails[k] is the index in ranks of the smallest tail of a run of length k + 1
+        const tails = [];
+        const previous = new Array(ranks.length).fill(-1);
+
+        ranks.forEach((rank, index) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (ranks[tails[mid]] < rank) low = mid + 1;
+                else high = mid;
+            }
+            if (low > 0) previous[index] = tails[low - 1];
+            tails[low] = index;
+        });
+
+        const keep = new Set();
+        for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+            keep.add(ranks[index]);
+        }
+        return keep;
+    }
+
+    firstKeptIndex(seq, keep) {
+        const index = seq.findIndex(rank => rank !== null && keep.has(rank));
+        return index === -1 ? 0 : index;
+    }
+
+    /**
+     * Applies reorders from planReorder() in sequence, passing each response's snapshot_id to the
+     * next request so every move is applied to the playlist version it was planned against.
+     * Returns the final snapshot_id.
+     */
+    async reorderPlaylist(playlistId, ops, snapshotId = null) {
+        try {
+            let snapshot = snapshotId;
+
+            for (const op of ops) {
+                const response = await this.api.put(`/playlists/${playlistId}/tracks`, {
+                    ...op,
+                    ...(snapshot ? { snapshot_id: snapshot } : {})
                 });
-                results.push(response.data);
+                snapshot = response.snapshot_id;
+            }
+
+            return snapshot;
+        } catch (error) {
+            throw new Error(`Failed to reorder playlist: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number[]} [options.completedBatches] - Batch indexes added by an earlier, interrupted run
+     * @param {Function} [options.onBatchAdded] - Called with (batchIndex, batchSize) after each batch is added
+     */
+    async addTracksToPlaylist(playlistId, trackUris, batchSize = 100, options = {}) {
+        const completed = new Set(options.completedBatches || []);
+
+        try {
+            const results = [];
 
-                if (i + batchSize < trackUris.length) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
+            // Batches go one after another so the playlist keeps the order of trackUris
+            for (let i = 0; i < trackUris.length; i += batchSize) {
+                const batchIndex = i / batchSize;
+                if (completed.has(batchIndex)) {
+                    continue;
+                }
+
+                const batch = trackUris.slice(i, i + batchSize);
+                results.push(await this.api.post(`/playlists/${playlistId}/tracks`, { uris: batch }));
+
+                if (options.onBatchAdded) {
+                    await options.onBatchAdded(batchIndex, batchSize);
                 }
             }
 
             return results;
         } catch (error) {
-            throw new Error(`Failed to add tracks to playlist: ${error.response?.data?.error?.message || error.message}`);
+            throw new Error(`Failed to add tracks to playlist: ${error.message}`);
         }
     }
 
-    async searchAndMatchTracks(appleTracks) {
+    /**
+     * @param {Object[]} appleTracks
+     * @param {Object} [options]
+     * @param {RunState} [options.checkpoint] - Supplies matches from an interrupted run and records new ones
+     * @param {boolean} [options.refresh] - Search every track again, ignoring earlier decisions and
+     *   cached matches (both are still updated)
+     */
+    async searchAndMatchTracks(appleTracks, options = {}) {
+        const checkpoint = options.checkpoint || null;
+        const refresh = !!options.refresh;
         const results = {
             found: [],
             notFound: [],
+            // Tracks left out on purpose, by a skip override or decision; not something to retry
+            skipped: [],
+            // One entry per resolved Apple track in source order, including the scored candidates
+            matches: [],
+            // Found tracks below minConfidence that nobody reviewed
+            uncertain: [],
+            // Tracks whose search kept failing (rate limits, outages); neither found nor not found
+            failed: [],
             total: appleTracks.length
         };
 
         console.log(`Searching for ${appleTracks.length} tracks on Spotify...`);
 
+        // Searches run ahead of the loop so several are in flight while results are reported
+        // (and reviewed) one at a time, in order
+        const lookahead = this.api.concurrency * 2;
+        const pending = new Map();
+        const needsSearch = (index, track, key) => !(this.overrides && this.overrides.get(track)) && (refresh ||
+            !(checkpoint && checkpoint.getMatch(index, key)) &&
+            !this.getDecision(track, key) &&
+            !this.matchCache.has(key, track));
+        const prefetch = (index) => {
+            const track = appleTracks[index];
+            const key = track && SpotifyClient.getMatchCacheKey(track);
+            if (track && !pending.has(key) && needsSearch(index, track, key)) {
+                // Settled into a value so a failure ahead of the loop is not an unhandled rejection
+                pending.set(key, this.findTrack(track)
+                    .then(evaluation => ({ evaluation }), error => ({ error })));
+            }
+        };
+
         for (let i = 0; i < appleTracks.length; i++) {
+            for (let j = i; j < Math.min(i + lookahead, appleTracks.length); j++) {
+                prefetch(j);
+            }
+
             const track = appleTracks[i];
-            console.log(`[${i + 1}/${appleTracks.length}] Searching: "${track.name}" by "${track.artist}"`);
+            const cacheKey = SpotifyClient.getMatchCacheKey(track);
+            const resumed = checkpoint && !refresh ? checkpoint.getMatch(i, cacheKey) : null;
+            const override = !resumed && this.overrides ? this.overrides.get(track) : null;
+            const decision = !resumed && !override && !refresh ? this.getDecision(track, cacheKey) : null;
+            const cached = !resumed && !override && !decision && !refresh && this.matchCache.has(cacheKey, track);
+            let evaluation;
+
+            if (resumed) {
+                console.log(`[${i + 1}/${appleTracks.length}] Resumed: "${track.name}" by "${track.artist}"`);
+                evaluation = resumed;
+            } else if (override) {
+                console.log(`[${i + 1}/${appleTracks.length}] Override #${override.number}: "${track.name}" by "${track.artist}"`);
+                try {
+                    evaluation = await this.evaluationFromOverride(override);
+                } catch (error) {
+                    // A stale override is for the user to fix; searching instead would hide it
+                    results.failed.push({ original: track, error: `Override ${this.overrides.describe(override)}: ${error.message}` });
+                    console.log(`  ⚠️  ${error.message}`);
+                    continue;
+                }
+            } else if (decision) {
+                console.log(`[${i + 1}/${appleTracks.length}] Decided earlier: "${track.name}" by "${track.artist}"`);
+                evaluation = this.evaluationFromDecision(decision);
+            } else if (cached) {
+                console.log(`[${i + 1}/${appleTracks.length}] Cached: "${track.name}" by "${track.artist}"`);
+                evaluation = this.matchCache.get(cacheKey, track);
+            } else {
+                console.log(`[${i + 1}/${appleTracks.length}] Searching: "${track.name}" by "${track.artist}"`);
+                if (!pending.has(cacheKey)) {
+                    prefetch(i);
+                }
+                const search = await pending.get(cacheKey);
+                pending.delete(cacheKey);
+
+                if (search.error) {
+                    results.failed.push({ original: track, error: search.error.message });
+                    console.log(`  ⚠️  ${search.error.message}`);
+                    continue;
+                }
+
+                evaluation = search.evaluation;
+
+                // Tracks without any candidate (confidence 0) are reviewed too, so a URI can be pasted for them
+                const review = this.reviewer && evaluation.confidence < this.minConfidence
+                    ? await this.reviewer.review(track, evaluation)
+                    : null;
+                if (review) {
+                    const chosen = review.track;
+                    if (this.decisions) {
+                        this.decisions.set(cacheKey, track, chosen);
+                        await this.decisions.save();
+                    }
+                    // A pasted URI is none of the candidates and so was not found by any strategy
+                    const candidate = chosen && evaluation.candidates.find(entry => entry.track.uri === chosen.uri);
+                    evaluation = { ...evaluation, match: chosen, strategy: candidate ? candidate.strategy : null, reviewed: true, skipped: !chosen };
+                }
+
+                this.matchCache.set(cacheKey, evaluation, track);
+            }
 
-            const searchResults = await this.searchTrack(track.name, track.artist, track.album);
-            const bestMatch = this.findBestMatch(searchResults, track);
+            if (checkpoint && !resumed) {
+                await checkpoint.recordMatch(i, cacheKey, evaluation);
+            }
+
+            const bestMatch = evaluation.match;
+            const skipped = !bestMatch && !!evaluation.skipped;
+            const uncertain = !!bestMatch && !evaluation.reviewed && evaluation.confidence < this.minConfidence;
+            results.matches.push({
+                original: track,
+                spotify: bestMatch,
+                score: evaluation.score,
+                confidence: evaluation.confidence,
+                candidates: evaluation.candidates,
+                reviewed: !!evaluation.reviewed,
+                uncertain,
+                skipped,
+                cached,
+                strategy: evaluation.strategy || null
+            });
 
             if (bestMatch) {
                 results.found.push({
                     original: track,
                     spotify: bestMatch,
-                    uri: bestMatch.uri
+                    uri: bestMatch.uri,
+                    score: evaluation.score,
+                    confidence: evaluation.confidence,
+                    uncertain,
+                    strategy: evaluation.strategy || null
                 });
-                console.log(`  ✓ Found: "${bestMatch.name}" by "${bestMatch.artists[0].name}"`);
+                if (uncertain) {
+                    results.uncertain.push(results.found[results.found.length - 1]);
+                }
+                const via = evaluation.strategy && evaluation.strategy !== 'exact' ? ` (via ${evaluation.strategy})` : '';
+                console.log(`  ✓ Found: "${bestMatch.name}" by "${bestMatch.artists[0].name}"${via}`);
+            } else if (skipped) {
+                results.skipped.push(track);
+                console.log(`  ⏭️  Skipped`);
             } else {
                 results.notFound.push(track);
                 console.log(`  ✗ Not found`);
             }
+        }
 
-            await new Promise(resolve => setTimeout(resolve, 100));
+        if (typeof this.matchCache.save === 'function') {
+            await this.matchCache.save();
+        }
+        if (this.decisions) {
+            // Writes decisions carried over from legacy keys
+            await this.decisions.save();
+        }
+        if (checkpoint) {
+            await checkpoint.save();
         }
 
         return results;
     }
+
+    async evaluationFromOverride(override) {
+        return {
+            match: override.skip ? null : await this.getTrack(override.uri),
+            score: null,
+            confidence: override.skip ? 0 : 1,
+            candidates: [],
+            reviewed: true,
+            skipped: !!override.skip,
+            strategy: 'override'
+        };
+    }
+
+    evaluationFromDecision(decision) {
+        return {
+            match: decision.skip ? null : decision.spotify,
+            score: null,
+            confidence: decision.skip ? 0 : 1,
+            candidates: [],
+            reviewed: true,
+            skipped: !!decision.skip
+        };
+    }
 }
\ No newline at end of file
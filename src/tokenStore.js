@@ -0,0 +1,66 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+export function getConfigDir() {
+    if (process.env.APPLE_TO_SPOTIFY_CONFIG_DIR) {
+        return process.env.APPLE_TO_SPOTIFY_CONFIG_DIR;
+    }
+
+    if (process.platform === 'win32' && process.env.APPDATA) {
+        return path.join(process.env.APPDATA, 'apple-to-spotify');
+    }
+
+    const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(base, 'apple-to-spotify');
+}
+
+export class TokenStore {
+    constructor(filePath = path.join(getConfigDir(), 'session.json')) {
+        this.filePath = filePath;
+    }
+
+    async load(clientId) {
+        try {
+            if (!await fs.pathExists(this.filePath)) {
+                return null;
+            }
+
+            const session = await fs.readJson(this.filePath);
+            if (!session || !session.refreshToken) {
+                return null;
+            }
+
+            // A session belongs to the Spotify app that created it
+            if (clientId && session.clientId !== clientId) {
+                return null;
+            }
+
+            return session;
+        } catch (error) {
+            console.warn(`Ignoring unreadable session file ${this.filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async save(session) {
+        const dir = path.dirname(this.filePath);
+        await fs.ensureDir(dir, { mode: 0o700 });
+
+        // Write to a temp file first so an interrupted write never leaves a truncated session;
+        // each save gets its own, as saves from parallel requests can overlap
+        const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(session, null, 2), { mode: 0o600 });
+        await fs.chmod(tempPath, 0o600);
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+    }
+
+    async clear() {
+        if (await fs.pathExists(this.filePath)) {
+            await fs.remove(this.filePath);
+            return true;
+        }
+        return false;
+    }
+}
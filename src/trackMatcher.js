@@ -0,0 +1,403 @@
+/**
+ * Points each part of a match is worth, and the penalty per version mismatch (a live recording
+ * for a studio one, a karaoke or cover version, an instrumental). A field the Apple track does
+ * not have (no album, no duration) is left out of both the score and the maximum, so confidence
+ * stays comparable between tracks. Override any of these with --matcher-config.
+ */
+export const DEFAULT_WEIGHTS = {
+    name: 40,
+    artist: 35,
+    album: 10,
+    duration: 15,
+    versionMismatch: 30,
+    // Classical mode only: a different movement of the same work
+    movementMismatch: 40,
+    // Durations within this many seconds count fully; the score then falls to 0 at durationMaxDiff
+    durationTolerance: 3,
+    durationMaxDiff: 20
+};
+
+/**
+ * Weights for classical tracks in classical mode. Every recording of a piece shares its title and
+ * composer, so the performers, the album and a close duration (the same recording, not just the
+ * same piece) count for more and the title for less.
+ */
+export const CLASSICAL_WEIGHTS = {
+    ...DEFAULT_WEIGHTS,
+    name: 30,
+    album: 15,
+    duration: 20,
+    durationTolerance: 2,
+    durationMaxDiff: 12
+};
+
+// Decorations that say which recording this is; a mismatch between Apple and Spotify costs points
+const VERSION_TAGS = {
+    live: /\blive\b|\ben vivo\b|\bau \w+ live\b/,
+    karaoke: /\bkaraoke\b/,
+    cover: /\bcover\b|\btribute\b|\bin the style of\b|\bmade famous by\b|\boriginally performed by\b/,
+    instrumental: /\binstrumental\b/,
+    acoustic: /\bacoustic\b|\bunplugged\b/,
+    remix: /\bremix\b|\brmx\b|\bdub\b|\brework\b|\bbootleg\b/,
+    demo: /\bdemo\b/
+};
+
+// Decorations that do not change the recording and are ignored when comparing
+const NEUTRAL_DECORATION = /\bremaster(?:ed)?\b|\bdeluxe\b|\bedition\b|\banniversary\b|\bexpanded\b|\bbonus\b|\bmono\b|\bstereo\b|\bversion\b|\bsingle\b|\balbum\b|\bradio edit\b|\bexplicit\b|\bclean\b|^\s*ep\s*$|^\s*\d{4}\s*(?:mix|remaster)?\s*$/;
+
+const FEATURING = /^\s*(?:feat\.?|ft\.?|featuring|with)\s+(.+)$/;
+
+// A lone "x" joins two names ("Skrillex x Diplo") but also starts some ("x Ambassadors")
+const ARTIST_SEPARATOR = /\s*(?:,|&|\+|;|\/|\bfeat\.?(?=\s)|\bft\.?(?=\s)|\bfeaturing\b|\bvs\.?(?=\s))\s*|(?<=[^\s,&+;/])\s+x\s+(?=\S)/;
+
+// Letters that Unicode does not decompose into a base letter plus a combining mark
+const FOLDED_LETTERS = { 'ł': 'l', 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i', 'ħ': 'h' };
+
+// "Symphony No. 5 in C Minor, Op. 67: II. Andante con moto"
+const WORK_AND_MOVEMENT = /^(.+?):\s+(?:([IVXL]+|\d+)\.\s+)?(.+)$/;
+// Genres whose "Title: Subtitle" names are worth reading as "Work: Movement"
+const CLASSICAL_GENRE = /\bclassical\b|\bopera\b|\bbaroque\b|\bchoral\b|\bchamber\b|\borchestral\b/i;
+
+const ROMAN_NUMERALS = { I: 1, V: 5, X: 10, L: 50 };
+
+export class TrackMatcher {
+    /**
+     * @param {Object} [weights] - Overrides for DEFAULT_WEIGHTS (and CLASSICAL_WEIGHTS)
+     * @param {Object} [options]
+     * @param {boolean} [options.classical] - Score tracks with a Work (or a Composer and a
+     *   "Work: Movement" title) by work, movement, performers and recording
+     */
+    constructor(weights = {}, options = {}) {
+        this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+        this.classicalWeights = { ...CLASSICAL_WEIGHTS, ...weights };
+        this.classical = !!options.classical;
+
+        for (const [key, value] of Object.entries(weights)) {
+            if (!(key in DEFAULT_WEIGHTS)) {
+                throw new Error(`Unknown matcher weight "${key}" (expected ${Object.keys(DEFAULT_WEIGHTS).join(', ')})`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                throw new Error(`Matcher weight "${key}" must be a non-negative number`);
+            }
+        }
+    }
+
+    /**
+     * Lower-cases, folds diacritics (é → e, ł → l) and turns punctuation into spaces, keeping
+     * letters and digits of every script so non-Latin titles survive.
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(/[łøæœßđðþıħ]/g, letter => FOLDED_LETTERS[letter])
+            .replace(/['’`´]/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    tokens(text) {
+        const normalized = this.normalize(text);
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    /**
+     * Splits a title like "Keep Going (feat. Tony Joe White) - 2011 Remaster" into its core
+     * ("Keep Going"), the featured artists, the version tags and the core plus any decoration that
+     * is neither (e.g. "Paradise (Not for Me)").
+     */
+    parseTitle(title) {
+        const text = String(title || '');
+        const decorations = [];
+
+        // Bracketed parts anywhere, then " - suffix" parts at the end
+        let core = text.replace(/\s*[([]([^)\]]*)[)\]]/g, (whole, inner) => {
+            decorations.push(inner);
+            return ' ';
+        });
+        core = core.replace(/\s+[-–—]\s+(.+)$/, (whole, suffix) => {
+            decorations.push(...suffix.split(/\s+[-–—]\s+/));
+            return '';
+        });
+
+        const featured = [];
+        const tags = new Set();
+        const kept = [];
+
+        for (const decoration of decorations) {
+            const lower = decoration.toLowerCase();
+            const feat = lower.match(FEATURING);
+            if (feat) {
+                featured.push(...this.splitArtists(decoration.slice(decoration.length - feat[1].length)));
+                continue;
+            }
+
+            const versionTags = this.getVersionTags(lower);
+            versionTags.forEach(tag => tags.add(tag));
+            if (versionTags.length === 0 && !NEUTRAL_DECORATION.test(lower)) {
+                kept.push(decoration);
+            }
+        }
+
+        // A bare "feat." inside the title itself, without brackets
+        const inlineFeat = core.match(/\s(?:feat\.?|ft\.?|featuring)\s(.+)$/i);
+        if (inlineFeat) {
+            featured.push(...this.splitArtists(inlineFeat[1]));
+            core = core.slice(0, inlineFeat.index);
+        }
+
+        return {
+            core: core.trim() || text,
+            full: [core.trim(), ...kept].join(' ').trim() || text,
+            featured,
+            tags
+        };
+    }
+
+    getVersionTags(text) {
+        const lower = String(text || '').toLowerCase();
+        return Object.keys(VERSION_TAGS).filter(tag => VERSION_TAGS[tag].test(lower));
+    }
+
+    splitArtists(text) {
+        return String(text || '')
+            .split(ARTIST_SEPARATOR)
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Work and movement of a classical track, from the Work/Movement tags or, for a track with a
+     * Composer but no Work, from a "Work: II. Movement" title. Pop songs have composers and colons
+     * too ("Star Wars: Main Title"), so the title is only split for a classical genre or a track
+     * with a Movement Number. Returns null for other tracks.
+     * Single-movement pieces are tagged with the work as their movement; their movement is ''.
+     */
+    parseClassical(track) {
+        const original = track.originalTrack || {};
+        const composer = track.composer || original.Composer || '';
+        let work = track.work || original.Work || '';
+        let movement = track.movementName || original['Movement Name'] || '';
+        let number = parseInt(track.movementNumber || original['Movement Number'], 10) || null;
+
+        const genre = track.genre || original.Genre || '';
+        const split = this.splitMovement(track.name);
+        if (!work && composer && split && (number || CLASSICAL_GENRE.test(genre))) {
+            work = split.work;
+            movement = movement || split.movement;
+        }
+        if (!work) {
+            return null;
+        }
+
+        number = number || (split && split.number);
+        if (this.normalize(movement) === this.normalize(work)) {
+            movement = '';
+        }
+
+        return { work, movement, number, composer };
+    }
+
+    splitMovement(title) {
+        const match = String(title || '').match(WORK_AND_MOVEMENT);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            work: match[1].trim(),
+            movement: match[3].trim(),
+            number: match[2] ? this.parseMovementNumber(match[2]) : null
+        };
+    }
+
+    parseMovementNumber(text) {
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10);
+        }
+
+        const values = text.toUpperCase().split('').map(letter => ROMAN_NUMERALS[letter]);
+        return values.reduce((sum, value, i) => sum + (value < (values[i + 1] || 0) ? -value : value), 0);
+    }
+
+    /**
+     * Similarity of two strings between 0 and 1: the better of a token overlap (robust to word
+     * order and extra words) and a character-bigram overlap (robust to typos and spacing).
+     */
+    similarity(a, b) {
+        const tokensA = this.tokens(a);
+        const tokensB = this.tokens(b);
+        if (tokensA.length === 0 || tokensB.length === 0) {
+            return 0;
+        }
+
+        const joinedA = tokensA.join(' ');
+        const joinedB = tokensB.join(' ');
+        if (joinedA === joinedB) {
+            return 1;
+        }
+
+        return Math.max(this.dice(tokensA, tokensB), this.dice(this.bigrams(joinedA), this.bigrams(joinedB)));
+    }
+
+    bigrams(text) {
+        const compact = text.replace(/ /g, '');
+        if (compact.length < 2) {
+            return [compact];
+        }
+        const grams = [];
+        for (let i = 0; i < compact.length - 1; i++) {
+            grams.push(compact.slice(i, i + 2));
+        }
+        return grams;
+    }
+
+    dice(a, b) {
+        const counts = new Map();
+        a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+
+        let common = 0;
+        for (const item of b) {
+            if (counts.get(item) > 0) {
+                common++;
+                counts.set(item, counts.get(item) - 1);
+            }
+        }
+        return (2 * common) / (a.length + b.length);
+    }
+
+    /**
+     * Scores a Spotify track against an Apple track.
+     * Returns { score, confidence, breakdown } where breakdown holds the points per field
+     * (version is 0 or negative) and confidence is score / maximum possible score, 0-1.
+     */
+    score(spotifyTrack, appleTrack) {
+        const classical = this.classical ? this.parseClassical(appleTrack) : null;
+        const w = classical ? this.classicalWeights : this.weights;
+        const appleTitle = this.parseTitle(appleTrack.name);
+        const spotifyTitle = this.parseTitle(spotifyTrack.name);
+        const breakdown = { name: 0, artist: 0, album: 0, duration: 0, version: 0 };
+        let maxScore = w.name + w.artist;
+
+        // Titles: compare the cores, and the cores with any unclassified decorations, whichever is closer
+        const nameSimilarity = Math.max(
+            this.similarity(appleTitle.core, spotifyTitle.core),
+            this.similarity(appleTitle.full, spotifyTitle.full),
+            // Spotify titles classical tracks "Work: Movement"; Apple's title is often the movement alone
+            classical ? this.similarity([classical.work, classical.movement].join(' '), spotifyTitle.full) : 0
+        );
+        breakdown.name = w.name * nameSimilarity;
+
+        const spotifyArtists = (spotifyTrack.artists || [])
+            .flatMap(artist => this.splitArtists(artist.name))
+            .concat(spotifyTitle.featured);
+        breakdown.artist = w.artist * (classical
+            ? this.performerSimilarity(appleTrack, classical.composer, spotifyArtists)
+            : this.artistSimilarity(appleTrack, appleTitle.featured, spotifyArtists));
+
+        const spotifyAlbum = spotifyTrack.album ? spotifyTrack.album.name : '';
+        if (appleTrack.album) {
+            maxScore += w.album;
+            breakdown.album = w.album * this.similarity(this.parseTitle(appleTrack.album).full, this.parseTitle(spotifyAlbum).full);
+        }
+
+        if (appleTrack.duration) {
+            maxScore += w.duration;
+            if (spotifyTrack.duration_ms) {
+                const diff = Math.abs(appleTrack.duration - spotifyTrack.duration_ms / 1000);
+                const span = Math.max(1, w.durationMaxDiff - w.durationTolerance);
+                breakdown.duration = w.duration * Math.max(0, Math.min(1, 1 - (diff - w.durationTolerance) / span));
+            }
+        }
+
+        const appleTags = this.collectTags(appleTitle.tags, appleTrack.album, [appleTrack.artist]);
+        const spotifyTags = this.collectTags(spotifyTitle.tags, spotifyAlbum, (spotifyTrack.artists || []).map(artist => artist.name));
+        const mismatches = Object.keys(VERSION_TAGS).filter(tag => appleTags.has(tag) !== spotifyTags.has(tag));
+        breakdown.version = -w.versionMismatch * mismatches.length;
+
+        if (classical && classical.number) {
+            const spotifyMovement = this.splitMovement(spotifyTrack.name);
+            if (spotifyMovement && spotifyMovement.number && spotifyMovement.number !== classical.number) {
+                mismatches.push('movement');
+                breakdown.version -= w.movementMismatch;
+            }
+        }
+
+        for (const field of Object.keys(breakdown)) {
+            breakdown[field] = Math.round(breakdown[field] * 10) / 10;
+        }
+
+        const score = Math.round((breakdown.name + breakdown.artist + breakdown.album + breakdown.duration + breakdown.version) * 10) / 10;
+        return {
+            score,
+            confidence: Math.max(0, Math.min(1, score / maxScore)),
+            breakdown,
+            mismatches
+        };
+    }
+
+    /**
+     * How well the credited artists agree, 0-1: mostly whether the Apple track's main artist (or
+     * album artist) is among Spotify's artists, partly how many of the Apple artists, featured
+     * ones included, are credited on Spotify.
+     */
+    artistSimilarity(appleTrack, featured, spotifyArtists) {
+        if (spotifyArtists.length === 0) {
+            return 0;
+        }
+
+        const bestAgainstSpotify = (name) => Math.max(...spotifyArtists.map(artist => this.similarity(name, artist)));
+        const appleArtists = this.splitArtists(appleTrack.artist);
+        const albumArtist = appleTrack.albumArtist || (appleTrack.originalTrack && appleTrack.originalTrack['Album Artist']);
+
+        let primary = appleArtists.length > 0 ? bestAgainstSpotify(appleArtists[0]) : 0;
+        // Credits are often the other way round on one side ("A & B" vs. "B, A"), or only on the album
+        if (appleArtists.length > 1) {
+            primary = Math.max(primary, ...appleArtists.slice(1).map(bestAgainstSpotify).map(value => value * 0.9));
+        }
+        if (albumArtist && !/^various artists$/i.test(albumArtist)) {
+            primary = Math.max(primary, bestAgainstSpotify(albumArtist) * 0.9);
+        }
+
+        const everyone = [...new Set([...appleArtists, ...featured].map(name => this.normalize(name)))].filter(Boolean);
+        const credited = everyone.filter(name => bestAgainstSpotify(name) >= 0.8).length;
+        const coverage = everyone.length > 0 ? credited / everyone.length : 0;
+
+        return 0.75 * primary + 0.25 * coverage;
+    }
+
+    /**
+     * Artist agreement for classical tracks, 0-1. Spotify credits the composer alongside the
+     * performers, so the composer is left out on both sides (unless the composer is the
+     * performer) and every performer counts: the same piece by another orchestra is another
+     * recording.
+     */
+    performerSimilarity(appleTrack, composer, spotifyArtists) {
+        const isComposer = (name) => composer && this.similarity(name, composer) >= 0.8;
+        const appleArtists = this.splitArtists(appleTrack.artist);
+        const applePerformers = appleArtists.filter(name => !isComposer(name));
+        const spotifyPerformers = spotifyArtists.filter(name => !isComposer(name));
+
+        if (applePerformers.length === 0 || spotifyPerformers.length === 0) {
+            return this.artistSimilarity(appleTrack, [], spotifyArtists);
+        }
+
+        const bestAgainstSpotify = (name) => Math.max(...spotifyPerformers.map(artist => this.similarity(name, artist)));
+        const bestAgainstApple = (name) => Math.max(...applePerformers.map(artist => this.similarity(name, artist)));
+        const appleCoverage = applePerformers.filter(name => bestAgainstSpotify(name) >= 0.8).length / applePerformers.length;
+        const spotifyCoverage = spotifyPerformers.filter(name => bestAgainstApple(name) >= 0.8).length / spotifyPerformers.length;
+
+        return 0.5 * bestAgainstSpotify(applePerformers[0]) + 0.3 * appleCoverage + 0.2 * spotifyCoverage;
+    }
+
+    collectTags(titleTags, album, artists) {
+        const tags = new Set(titleTags);
+        // "Live at Wembley", "Karaoke Hits Vol. 3", "Tribute to ..." albums, "Karaoke Band" artists
+        this.getVersionTags(album).filter(tag => tag !== 'remix').forEach(tag => tags.add(tag));
+        artists.forEach(artist => this.getVersionTags(artist)
+            .filter(tag => tag === 'karaoke' || tag === 'cover')
+            .forEach(tag => tags.add(tag)));
+        return tags;
+    }
+}
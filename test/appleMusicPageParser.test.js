@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AppleMusicPageParser } from '../src/appleMusicPageParser.js';
+
+const page = (...scripts) => `<!DOCTYPE html><html><head>${scripts.join('\n')}</head><body></body></html>`;
+const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+
+test('reads a playlist page, taking artists the JSON-LD leaves out from the server data', () => {
+    const parser = new AppleMusicPageParser();
+    parser.parseContent(page(
+        jsonLd({ '@context': 'https://schema.org', '@type': 'Organization', name: 'Apple Music' }),
+        jsonLd({
+            '@type': 'MusicPlaylist',
+            name: 'Favs',
+            track: [
+                { '@type': 'MusicRecording', name: 'Come', duration: 'PT3M52S', url: 'https://music.apple.com/us/song/1' },
+                { '@type': 'MusicRecording', name: 'Idioteque', duration: 'PT5M9S', byArtist: { name: 'Radiohead' }, inAlbum: { name: 'Kid A' } }
+            ]
+        }),
+        `<script type="application/json" id="serialized-server-data">${JSON.stringify([
+            { data: { sections: [{ items: [{ title: 'Come', artistName: 'JAEL.', albumName: 'Moonlight' }] }] } }
+        ])}</script>`
+    ));
+
+    assert.equal(parser.name, 'Favs');
+    const tracks = parser.getTracksForSpotify();
+    assert.deepEqual(tracks.map(track => [track.name, track.artist, track.album, track.duration]), [
+        ['Come', 'JAEL.', 'Moonlight', 232],
+        ['Idioteque', 'Radiohead', 'Kid A', 309]
+    ]);
+    assert.equal(tracks[0].originalTrack.URL, 'https://music.apple.com/us/song/1');
+});
+
+test('reads an album page, whose tracks take the album and its artist', () => {
+    const parser = new AppleMusicPageParser();
+    parser.parseContent(page(jsonLd({
+        '@graph': [{
+            '@type': 'MusicAlbum',
+            name: 'Discovery',
+            byArtist: [{ name: 'Daft Punk' }],
+            track: { '@type': 'ItemList', itemListElement: [{ '@type': 'ListItem', item: { name: 'Digital Love', duration: 'PT4M58S' } }] }
+        }]
+    })));
+
+    assert.deepEqual(parser.getTracksForSpotify().map(track => [track.name, track.artist, track.album, track.duration]), [
+        ['Digital Love', 'Daft Punk', 'Discovery', 298]
+    ]);
+});
+
+test('says to wait for the page to load when it has no playlist data', () => {
+    assert.throws(() => new AppleMusicPageParser().parseContent(page('<script type="application/ld+json">{ not json</script>')),
+        /no playlist or album data found; save the page after it has finished loading/);
+});
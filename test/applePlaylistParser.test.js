@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { ApplePlaylistParser } from '../src/applePlaylistParser.js';
+
+const fixture = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+
+test('reads the UTF-16LE, CR-terminated Music.app export in favs.txt', async () => {
+    const buffer = await fs.readFile(fixture('favs.txt'));
+    assert.deepEqual([...buffer.subarray(0, 2)], [0xff, 0xfe]);
+    assert.ok(!buffer.toString('utf16le').includes('\n'), 'favs.txt uses classic Mac line endings');
+
+    const parser = new ApplePlaylistParser();
+    const rows = await parser.parseFile(fixture('favs.txt'));
+
+    assert.equal(parser.encoding, 'utf16le-bom');
+    assert.equal(rows.length, 74);
+    assert.equal(parser.headers[0], 'Name');
+    assert.equal(parser.headers.length, 31);
+
+    const tracks = parser.getTracksForSpotify();
+    assert.equal(tracks.length, 74);
+    assert.equal(tracks[0].name, 'Come');
+    assert.equal(tracks[0].artist, 'JAEL.');
+    assert.equal(tracks[0].album, 'Moonlight');
+    assert.equal(tracks[0].duration, 232);
+    assert.equal(tracks[73].name, 'Black Mascara.');
+});
+
+test('reads the UTF-8 export in sample-playlist.txt', async () => {
+    const parser = new ApplePlaylistParser();
+    await parser.parseFile(fixture('sample-playlist.txt'));
+    const tracks = parser.getTracksForSpotify();
+
+    assert.equal(parser.encoding, 'utf8');
+    assert.equal(tracks.length, 4);
+    assert.deepEqual(tracks.map(track => track.name), ['Shake It Off', 'Uptown Funk', 'Thinking Out Loud', 'All About That Bass']);
+    assert.equal(tracks[0].duration, 219);
+});
+
+test('decodes every encoding Music.app and editors write', () => {
+    const text = 'Name\tArtist\rCafé\tJosé\r';
+    const utf16le = Buffer.from(text, 'utf16le');
+    const utf16be = Buffer.from(utf16le).swap16();
+    const cases = [
+        [Buffer.concat([Buffer.from([0xff, 0xfe]), utf16le]), 'utf16le-bom'],
+        [Buffer.concat([Buffer.from([0xfe, 0xff]), utf16be]), 'utf16be-bom'],
+        [Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)]), 'utf8-bom'],
+        [Buffer.from(text), 'utf8']
+    ];
+
+    for (const [buffer, encoding] of cases) {
+        const parser = new ApplePlaylistParser();
+        const rows = parser.parseContent(parser.decodeContent(buffer));
+        assert.equal(parser.encoding, encoding);
+        assert.deepEqual(rows, [{ Name: 'Café', Artist: 'José' }]);
+    }
+});
+
+test('accepts CR, LF and CRLF line endings alike', () => {
+    for (const newline of ['\r', '\n', '\r\n']) {
+        const parser = new ApplePlaylistParser();
+        const rows = parser.parseContent(['Name\tArtist\tTime', 'One\tA\t3:05', '', 'Two\tB\t1:02:03'].join(newline) + newline);
+        assert.equal(rows.length, 2);
+        assert.deepEqual(parser.getTracksForSpotify().map(track => track.duration), [185, 3723]);
+    }
+});
+
+test('rejects files without a Name and Artist header row', () => {
+    const parser = new ApplePlaylistParser();
+    assert.throws(() => parser.parseContent(''), /File is empty/);
+    assert.throws(() => parser.parseContent('Title,Performer\nOne,A\n'), /expected a tab-separated header row/);
+    assert.throws(() => parser.parseContent('Name\tAlbum\nOne\tX\n'), /"Name" and "Artist"/);
+});
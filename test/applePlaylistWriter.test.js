@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ApplePlaylistWriter } from '../src/applePlaylistWriter.js';
+import { ApplePlaylistParser } from '../src/applePlaylistParser.js';
+import { AppleXmlParser } from '../src/appleXmlParser.js';
+
+const tracks = [
+    {
+        uri: 'spotify:track:4uLU6hMCjMI75M1A2tKUQC',
+        name: 'Come',
+        artists: [{ name: 'JAEL.' }],
+        album: { name: 'Come', artists: [{ name: 'JAEL.' }], release_date: '2021-03-05' },
+        disc_number: 1,
+        track_number: 1,
+        duration_ms: 232400
+    },
+    {
+        uri: 'spotify:track:0VjIjW4GlUZAMYd2vXMi3b',
+        name: 'A Very Long Mix',
+        artists: [{ name: 'Someone' }, { name: 'Someone Else' }],
+        album: { name: 'Mixes', release_date: '1999' },
+        duration_ms: 3725000
+    }
+];
+
+let outputDir;
+
+before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-writer-'));
+});
+
+after(async () => {
+    await fs.remove(outputDir);
+});
+
+test('writes Time in whole seconds, like Music.app\'s text export', () => {
+    const rows = new ApplePlaylistWriter('Export', tracks).toText().split('\r');
+    const time = rows[0].split('\t').indexOf('Time');
+    assert.deepEqual(rows.slice(1, 3).map(row => row.split('\t')[time]), ['232', '3725']);
+});
+
+test('both files read back with the Apple parsers', async () => {
+    const [xmlPath, textPath] = await new ApplePlaylistWriter('Export', tracks).write(path.join(outputDir, 'Export'));
+
+    const text = new ApplePlaylistParser();
+    await text.parseFile(textPath);
+    assert.equal(text.encoding, 'utf16le-bom');
+    assert.deepEqual(text.getTracksForSpotify().map(track => [track.name, track.artist, track.album, track.duration]), [
+        ['Come', 'JAEL.', 'Come', 232],
+        ['A Very Long Mix', 'Someone, Someone Else', 'Mixes', 3725]
+    ]);
+
+    const xml = new AppleXmlParser();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await xml.parseFile(xmlPath);
+    } finally {
+        console.log = log;
+    }
+    assert.deepEqual(xml.getTracksForSpotify('Export').map(track => [track.name, track.duration, track.originalTrack.Comments]), [
+        ['Come', 232, tracks[0].uri],
+        ['A Very Long Mix', 3725, tracks[1].uri]
+    ]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CsvPlaylistParser } from '../src/csvPlaylistParser.js';
+
+function parse(content, options) {
+    const parser = new CsvPlaylistParser(options);
+    parser.parseContent(content);
+    return parser;
+}
+
+const fields = (parser) => parser.getTracksForSpotify().map(track => [track.name, track.artist, track.album, track.duration]);
+
+test('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const parser = parse([
+        'Track Name,Artist Name(s),Album Name,Duration (ms)',
+        '"Midnight City",M83,"Hurry Up, We\'re Dreaming",243960',
+        '"The ""Real"" Slim Shady",Eminem,"The Marshall',
+        'Mathers LP",284200',
+        ''
+    ].join('\r\n'));
+
+    assert.equal(parser.delimiter, ',');
+    assert.deepEqual(fields(parser), [
+        ['Midnight City', 'M83', 'Hurry Up, We\'re Dreaming', 244],
+        ['The "Real" Slim Shady', 'Eminem', 'The Marshall\r\nMathers LP', 284]
+    ]);
+});
+
+test('detects semicolon and tab delimiters, ignoring ones inside quotes', () => {
+    const semicolons = parse('Title;Artist;Album\n"Come, Again";JAEL.;Moonlight\n');
+    assert.equal(semicolons.delimiter, ';');
+    assert.deepEqual(fields(semicolons), [['Come, Again', 'JAEL.', 'Moonlight', 0]]);
+
+    const tabs = parse('"Song, Title"\tPerformer\tLength\nStrobe\tdeadmau5\t10:37\n', { columns: { name: 'Song, Title' } });
+    assert.equal(tabs.delimiter, '\t');
+    assert.deepEqual(fields(tabs), [['Strobe', 'deadmau5', '', 637]]);
+});
+
+test('reads durations as milliseconds only when the header says so', () => {
+    const cases = [
+        { header: 'Duration (ms)', value: '244000', seconds: 244 },
+        { header: 'duration_ms', value: '244000', seconds: 244 },
+        { header: 'Time', value: '4:04', seconds: 244 },
+        { header: 'Length', value: '1:02:03', seconds: 3723 },
+        { header: 'Duration', value: '244', seconds: 244 },
+        { header: 'Duration', value: 'PT4M4S', seconds: 244 }
+    ];
+
+    for (const { header, value, seconds } of cases) {
+        const [track] = parse(`Name,Artist,${header}\nMidnight City,M83,${value}\n`).getTracksForSpotify();
+        assert.equal(track.duration, seconds, `${header}: ${value}`);
+    }
+});
+
+test('maps columns by hand with --columns and explains a mapping that does not fit', () => {
+    const columns = CsvPlaylistParser.parseColumnMap('name=Song, artist=Performer,duration=Running Time');
+    assert.deepEqual(columns, { name: 'Song', artist: 'Performer', duration: 'Running Time' });
+
+    const parser = parse('Song,Performer,Running Time,Artist\nStrobe,deadmau5,10:37,Someone Else\n', { columns });
+    assert.deepEqual(fields(parser), [['Strobe', 'deadmau5', '', 637]]);
+
+    assert.throws(() => CsvPlaylistParser.parseColumnMap('title=Song'), /Invalid column mapping "title=Song" \(expected field=Header with field one of name, artist/);
+    assert.throws(() => CsvPlaylistParser.parseColumnMap('name'), /Invalid column mapping "name"/);
+    assert.throws(() => parse('Song,Performer\nStrobe,deadmau5\n', { columns: { name: 'Title' } }),
+        /Column "Title" \(mapped to name\) is not in the header row: Song, Performer/);
+    assert.throws(() => parse('Tune,Performer\nStrobe,deadmau5\n'),
+        /Could not find the title column among Tune, Performer; map it with --columns/);
+});
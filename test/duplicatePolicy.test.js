@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DuplicatePolicy } from '../src/duplicatePolicy.js';
+
+const apple = (id, name) => ({ id, name });
+const appleTracks = [apple('A', 'Come'), apple('B', 'Strobe'), apple('A', 'Come'), apple('C', 'Strobe (Deluxe)'), apple('D', 'Strobe (Remaster)')];
+
+// Matches of the Apple tracks after searching: the deluxe edition is the same Spotify track,
+// the remaster another release of the same recording
+const spotify = (uri, isrc) => ({ uri, external_ids: isrc ? { isrc } : {} });
+const found = [
+    { original: appleTracks[0], uri: 'spotify:track:come', spotify: spotify('spotify:track:come', null) },
+    { original: appleTracks[1], uri: 'spotify:track:strobe', spotify: spotify('spotify:track:strobe', 'cab0o0900001') },
+    { original: appleTracks[2], uri: 'spotify:track:come', spotify: spotify('spotify:track:come', null) },
+    { original: appleTracks[3], uri: 'spotify:track:strobe', spotify: spotify('spotify:track:strobe', 'CAB0O0900001') },
+    { original: appleTracks[4], uri: 'spotify:track:strobe-remaster', spotify: spotify('spotify:track:strobe-remaster', 'CAB0O0900001') }
+];
+
+test('drops Apple-side duplicates by the Apple identity, for every policy but keep', () => {
+    const cases = [
+        { policy: 'keep', kept: ['A', 'B', 'A', 'C', 'D'], dropped: [] },
+        { policy: 'apple-id', kept: ['A', 'B', 'C', 'D'], dropped: [['A', 'A', 'same Apple track as']] },
+        { policy: 'spotify-uri', kept: ['A', 'B', 'C', 'D'], dropped: [['A', 'A', 'same Apple track as']] },
+        { policy: 'isrc', kept: ['A', 'B', 'C', 'D'], dropped: [['A', 'A', 'same Apple track as']] }
+    ];
+
+    for (const { policy, kept, dropped } of cases) {
+        const result = new DuplicatePolicy(policy).collapseAppleTracks(appleTracks, track => track.id);
+        assert.deepEqual(result.tracks.map(track => track.id), kept, policy);
+        assert.deepEqual(result.dropped.map(entry => [entry.original.id, entry.duplicateOf.id, entry.reason]), dropped, policy);
+        // The first occurrence wins
+        assert.equal(result.tracks[0], appleTracks[0], policy);
+    }
+});
+
+test('drops Spotify-side duplicates by URI or by ISRC, keeping the first occurrence', () => {
+    const cases = [
+        { policy: 'keep', kept: [0, 1, 2, 3, 4], dropped: [] },
+        { policy: 'apple-id', kept: [0, 1, 2, 3, 4], dropped: [] },
+        { policy: 'spotify-uri', kept: [0, 1, 4], dropped: [[2, 0, 'same Spotify track as'], [3, 1, 'same Spotify track as']] },
+        // ISRCs compare case-insensitively; a track without one falls back to its URI
+        { policy: 'isrc', kept: [0, 1], dropped: [[2, 0, 'same recording (ISRC) as'], [3, 1, 'same recording (ISRC) as'], [4, 1, 'same recording (ISRC) as']] }
+    ];
+
+    const indexOf = (original) => appleTracks.indexOf(original);
+    for (const { policy, kept, dropped } of cases) {
+        const result = new DuplicatePolicy(policy).collapseMatches(found);
+        assert.deepEqual(result.found.map(entry => found.indexOf(entry)), kept, policy);
+        assert.deepEqual(result.dropped.map(entry => [indexOf(entry.original), indexOf(entry.duplicateOf), entry.reason]), dropped, policy);
+    }
+});
+
+test('rejects an unknown policy, listing the known ones', () => {
+    assert.throws(() => new DuplicatePolicy('title'), /Unknown duplicate policy "title" \(expected keep, apple-id, spotify-uri, isrc\)/);
+    assert.equal(new DuplicatePolicy().policy, 'keep');
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { FailuresFile } from '../src/failuresFile.js';
+import { ApplePlaylistParser } from '../src/applePlaylistParser.js';
+import { SpotifyClient } from '../src/spotifyClient.js';
+
+const fixture = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+
+// What `retry` searches with; the rest of the metadata is for people reading the file
+const RETRY_FIELDS = ['name', 'artist', 'album', 'albumArtist', 'year', 'duration', 'genre', 'composer', 'work', 'movementNumber', 'movementCount', 'movementName', 'hint'];
+
+let dir;
+let tracks;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-failures-'));
+
+    const parser = new ApplePlaylistParser();
+    await parser.parseFile(fixture('favs.txt'));
+    tracks = [
+        ...parser.getTracksForSpotify().slice(0, 3).map(track => ({ ...track, hint: null })),
+        {
+            name: 'Violin Concerto No. 1 in E Major, RV 269 "Spring": I. Allegro',
+            artist: 'Itzhak Perlman',
+            album: 'Vivaldi: The Four Seasons',
+            albumArtist: 'Itzhak Perlman & Israel Philharmonic Orchestra',
+            year: '1976',
+            duration: 3725,
+            genre: 'Classical',
+            composer: 'Antonio Vivaldi',
+            work: 'The Four Seasons',
+            movementNumber: 1,
+            movementCount: 3,
+            movementName: 'Allegro',
+            originalTrack: { 'Persistent ID': '44176F8FCC70B013', Name: 'Violin Concerto No. 1' },
+            hint: 'perlman spring allegro'
+        }
+    ];
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+const pick = (track) => Object.fromEntries(RETRY_FIELDS.map(field => [field, track[field] ?? null]));
+
+test('a written failures file reads back into the same tracks for retry, from the JSON and from the TSV', async () => {
+    const playlist = { id: 'p1', name: 'Favs', url: 'https://open.spotify.com/playlist/p1' };
+    const failures = new FailuresFile(path.join(dir, 'Favs_not_found'), { playlist, source: 'favs.txt' });
+    failures.tracks = tracks;
+    assert.deepEqual(await failures.write(), [failures.tsvPath, failures.jsonPath]);
+
+    for (const filePath of [failures.jsonPath, failures.tsvPath]) {
+        const read = await FailuresFile.read(filePath);
+        assert.deepEqual(read.playlist, playlist, filePath);
+        assert.equal(read.source, 'favs.txt', filePath);
+        assert.deepEqual(read.tracks.map(pick), tracks.map(pick), filePath);
+        // Decisions and cached matches are found again under the same keys
+        assert.deepEqual(read.tracks.map(SpotifyClient.getMatchCacheKey), tracks.map(SpotifyClient.getMatchCacheKey), filePath);
+    }
+});
+
+test('hints added to the TSV by hand are read back, and an emptied file is removed', async () => {
+    const failures = new FailuresFile(path.join(dir, 'Edited_not_found'));
+    failures.tracks = tracks.slice(0, 2);
+    await failures.write();
+
+    const lines = (await fs.readFile(failures.tsvPath, 'utf8')).split('\n');
+    lines[1] += 'skip';
+    lines[2] += 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC';
+    await fs.writeFile(failures.tsvPath, lines.join('\n'));
+
+    const read = await FailuresFile.read(failures.tsvPath);
+    assert.deepEqual(read.tracks.map(track => track.hint), ['skip', 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC']);
+
+    read.tracks = [];
+    assert.deepEqual(await read.write(), []);
+    assert.equal(await fs.pathExists(failures.jsonPath), false);
+    assert.equal(await fs.pathExists(failures.tsvPath), false);
+});
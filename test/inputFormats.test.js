@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { InputFormats } from '../src/inputFormats.js';
+
+const fixture = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-formats-'));
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+async function write(name, content) {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+}
+
+test('recognises the UTF-16 Music.app text export and the XML libraries', async () => {
+    const formats = new InputFormats();
+    assert.equal((await formats.detect(fixture('favs.txt'))).name, 'text');
+    assert.equal((await formats.detect(fixture('sample-playlist.txt'))).name, 'text');
+    assert.equal((await formats.detect(fixture('favs.xml'))).name, 'library');
+    assert.equal((await formats.detect(fixture('smart-library.xml'))).name, 'library');
+
+    // The same export re-saved as big-endian UTF-16 without a BOM
+    const text = (await fs.readFile(fixture('favs.txt'))).subarray(2).swap16();
+    assert.equal((await formats.detect(await write('favs-be.txt', text))).name, 'text');
+});
+
+test('goes by content, not extension, to tell a plist from a JSON file', async () => {
+    const formats = new InputFormats();
+    const plist = await fs.readFile(fixture('favs.xml'));
+    const json = JSON.stringify({ name: 'Road Trip', tracks: [{ name: 'Midnight City', artist: 'M83' }] });
+
+    assert.equal((await formats.detect(await write('library.json', plist))).name, 'library');
+    assert.equal((await formats.detect(await write('playlist.xml', json))).name, 'json');
+    assert.equal((await formats.detect(await write('playlist.json', `\uFEFF${json}`))).name, 'json');
+});
+
+test('tells M3U, saved Apple Music pages and CSV apart', async () => {
+    const formats = new InputFormats();
+    const cases = [
+        { name: 'list.txt', content: '#EXTM3U\n#EXTINF:244,M83 - Midnight City\nmidnight.mp3\n', format: 'm3u' },
+        { name: 'list.m3u8', content: '/Music/M83/Hurry Up/01 Midnight City.m4a\n', format: 'm3u' },
+        { name: 'favs.html', content: '<!DOCTYPE html><html><script type="application/ld+json">{}</script></html>', format: 'apple-music-page' },
+        { name: 'export.txt', content: 'Track Name;Artist Name(s)\nMidnight City;M83\n', format: 'csv' }
+    ];
+
+    for (const { name, content, format } of cases) {
+        assert.equal((await formats.detect(await write(name, content))).name, format, name);
+    }
+});
+
+test('--format skips detection, and a file nothing recognises asks for it', async () => {
+    const formats = new InputFormats();
+    const filePath = await write('notes.txt', 'just some words\n');
+
+    assert.equal((await formats.detect(filePath, 'csv')).name, 'csv');
+    await assert.rejects(formats.detect(filePath), /Could not tell what kind of playlist .*notes\.txt is; pass --format \(library, apple-music-page, json, m3u, text, csv\)/);
+    await assert.rejects(formats.detect(filePath, 'xlsx'), /Unknown input format "xlsx"/);
+
+    formats.register({ name: 'notes', detect: ({ extension }) => extension === '.txt', createParser: () => null });
+    assert.equal((await formats.detect(filePath)).name, 'notes');
+});
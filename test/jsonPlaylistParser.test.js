@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JsonPlaylistParser } from '../src/jsonPlaylistParser.js';
+
+test('reads artists[] and durationMs alongside the plain fields', () => {
+    const parser = new JsonPlaylistParser();
+    parser.parseData({
+        name: 'Road Trip',
+        tracks: [
+            { title: 'Midnight City', artists: ['M83'], durationMs: 243960, year: 2011, isrc: 'FR6V81141061' },
+            { name: 'Get Lucky', artists: [{ name: 'Daft Punk' }, { name: 'Pharrell Williams' }], album: 'Random Access Memories', duration: '6:09' },
+            { name: 'Strobe', artist: 'deadmau5', duration: 637, year: '2009-09-22' },
+            // No artist: left out
+            { name: 'Untitled' }
+        ]
+    });
+
+    assert.deepEqual(parser.getPlaylistInfo(), { name: 'Road Trip', totalTracks: 4, validTracks: 3 });
+
+    const tracks = parser.getTracksForSpotify();
+    assert.deepEqual(tracks.map(track => [track.name, track.artist, track.album, track.duration, track.year]), [
+        ['Midnight City', 'M83', '', 244, '2011'],
+        ['Get Lucky', 'Daft Punk, Pharrell Williams', 'Random Access Memories', 369, ''],
+        ['Strobe', 'deadmau5', '', 637, '2009']
+    ]);
+    // Other fields stay with the track for reports and failures files
+    assert.equal(tracks[0].originalTrack.isrc, 'FR6V81141061');
+});
+
+test('reads a bare array and rejects anything that is not a list of track objects', () => {
+    const parser = new JsonPlaylistParser();
+    parser.parseData([{ name: 'Toxic', artist: 'Britney Spears' }]);
+    assert.equal(parser.name, null);
+    assert.equal(parser.getTracksForSpotify().length, 1);
+
+    assert.throws(() => parser.parseData({ songs: [] }), /expected an array of tracks or an object with a "tracks" array/);
+    assert.throws(() => parser.parseData([{ name: 'Toxic' }, 'Strobe']), /track 2 is not an object/);
+});
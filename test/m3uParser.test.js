@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { M3uParser } from '../src/m3uParser.js';
+
+function parse(lines) {
+    const parser = new M3uParser();
+    parser.parseContent(lines.join('\r\n'));
+    return parser.getTracksForSpotify().map(track => ({ name: track.name, artist: track.artist, album: track.album, duration: track.duration }));
+}
+
+test('reads "Title - Artist" as Music.app writes it when the artist is known', () => {
+    assert.deepEqual(parse([
+        '#EXTM3U',
+        '#EXTINF:232,Come - JAEL.',
+        '#EXTART:JAEL.',
+        '#EXTALB:Moonlight',
+        'Come.m4a',
+        // The artist folder of the usual Artist/Album/01 Title layout says the same
+        '#EXTINF:244,Midnight City - M83',
+        '/Users/me/Music/Media/M83/Hurry Up, We\'re Dreaming/1-02 Midnight City.m4a'
+    ]), [
+        { name: 'Come', artist: 'JAEL.', album: 'Moonlight', duration: 232 },
+        { name: 'Midnight City', artist: 'M83', album: 'Hurry Up, We\'re Dreaming', duration: 244 }
+    ]);
+});
+
+test('reads "Artist - Title" unless the file name says the title comes first', () => {
+    assert.deepEqual(parse([
+        '#EXTM3U',
+        '#EXTINF:244,M83 - Midnight City',
+        'https://example.com/stream/1234',
+        '#EXTINF:200,Strobe - deadmau5',
+        'Strobe.mp3',
+        // A hyphenated title splits at the first " - " only
+        '#EXTINF:301,Daft Punk - Digital Love - Remastered',
+        'https://example.com/stream/5678'
+    ]), [
+        { name: 'Midnight City', artist: 'M83', album: '', duration: 244 },
+        { name: 'Strobe', artist: 'deadmau5', album: '', duration: 200 },
+        { name: 'Digital Love - Remastered', artist: 'Daft Punk', album: '', duration: 301 }
+    ]);
+});
+
+test('reads entries without #EXTINF from the path, including file: URLs', () => {
+    assert.deepEqual(parse([
+        'D:\\Music\\Radiohead\\Kid A\\08 Idioteque.mp3',
+        'file:///Users/me/Music/Aphex%20Twin/Windowlicker/01%20Windowlicker.flac',
+        // Nothing to go on: left out
+        'https://example.com/stream/9999'
+    ]), [
+        { name: 'Idioteque', artist: 'Radiohead', album: 'Kid A', duration: 0 },
+        { name: 'Windowlicker', artist: 'Aphex Twin', album: 'Windowlicker', duration: 0 }
+    ]);
+});
+
+test('keeps commas in quoted #EXTINF attributes out of the title and reads #PLAYLIST', () => {
+    const parser = new M3uParser();
+    parser.parseContent([
+        '#EXTM3U',
+        '#PLAYLIST:Road Trip',
+        '#EXTINF:-1 tvg-name="A, B",Toxic - Britney Spears',
+        '#EXTART:Britney Spears',
+        'toxic.mp3'
+    ].join('\n'));
+
+    assert.equal(parser.getPlaylistInfo().name, 'Road Trip');
+    const [track] = parser.getTracksForSpotify();
+    assert.equal(track.name, 'Toxic');
+    assert.equal(track.duration, 0);
+});
@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MatchCache } from '../src/matchCache.js';
+import { MatchDecisions } from '../src/matchDecisions.js';
+import { PlaylistMappings } from '../src/playlistMappings.js';
+import { SpotifyClient } from '../src/spotifyClient.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-cache-'));
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+test('stats count expired entries by the TTL the cache was opened with', async () => {
+    const filePath = path.join(dir, 'match-cache.json');
+    const entry = (days, uri) => ({ uri, source: 'search', cachedAt: new Date(Date.now() - days * DAY_MS).toISOString() });
+    await fs.writeJson(filePath, {
+        version: 1,
+        entries: {
+            'pid:A': entry(10, 'spotify:track:a'),
+            'pid:B': entry(40, 'spotify:track:b'),
+            'pid:C': entry(3, null),
+            'pid:D': { ...entry(400, 'spotify:track:d'), source: 'manual' }
+        }
+    });
+
+    assert.equal((await new MatchCache(filePath).load()).stats().expired, 0);
+    assert.equal((await new MatchCache(filePath, { ttlDays: 30 }).load()).stats().expired, 1);
+    assert.equal((await new MatchCache(filePath, { ttlDays: 5 }).load()).stats().expired, 2);
+});
+
+test('review decisions saved under the old name|artist|album key are still found and carried over', async () => {
+    const filePath = path.join(dir, 'decisions.json');
+    const spotify = { uri: 'spotify:track:x', name: 'Come', artists: [{ name: 'JAEL.' }], album: { name: 'Moonlight' } };
+    await fs.writeJson(filePath, {
+        'name|come|jael.|moonlight': { apple: { name: 'Come', artist: 'JAEL.', album: 'Moonlight' }, skip: false, spotify }
+    });
+
+    const decisions = await new MatchDecisions(filePath).load();
+    const client = new SpotifyClient(null, { decisions });
+    const track = { name: 'Come', artist: 'JAEL.', album: 'Moonlight', duration: 232 };
+    const key = SpotifyClient.getMatchCacheKey(track);
+
+    assert.equal(key, 'meta|come|jael.|moonlight|232');
+    assert.equal(client.getDecision(track, key).spotify.uri, 'spotify:track:x');
+
+    await decisions.save();
+    const saved = await fs.readJson(filePath);
+    assert.equal(saved[key].spotify.uri, 'spotify:track:x');
+
+    // Persistent IDs were the key all along; there is nothing to fall back to
+    const libraryTrack = { ...track, originalTrack: { 'Persistent ID': '44176F8FCC70B013' } };
+    assert.equal(client.getLegacyMatchKey(libraryTrack), null);
+    assert.equal(client.getDecision(libraryTrack, SpotifyClient.getMatchCacheKey(libraryTrack)), null);
+});
+
+test('a pinned skip is read back as skipped, not as a track missing from Spotify', async () => {
+    const filePath = path.join(dir, 'pinned-skip.json');
+    const track = { name: 'Come', artist: 'JAEL.', album: 'Moonlight', duration: 232, originalTrack: { 'Persistent ID': '972B90CDD561F9D4' } };
+    const key = SpotifyClient.getMatchCacheKey(track);
+
+    // As `cache pin --skip` stores it
+    const pinned = new MatchCache(filePath);
+    pinned.set(key, { match: null, score: null, confidence: 1, skipped: true }, null, 'manual');
+    await pinned.save();
+
+    const cache = await new MatchCache(filePath).load();
+    assert.equal(cache.get(key, track).skipped, true);
+    assert.deepEqual([cache.stats().notFound, cache.stats().skipped], [0, 1]);
+    assert.equal(cache.clear({ notFound: true }), 0);
+
+    const log = console.log;
+    console.log = () => {};
+    let results;
+    try {
+        results = await new SpotifyClient(null, { matchCache: cache }).searchAndMatchTracks([track]);
+    } finally {
+        console.log = log;
+    }
+    assert.deepEqual(results.skipped, [track]);
+    assert.deepEqual(results.notFound, []);
+    assert.equal(results.matches[0].skipped, true);
+});
+
+test('a skip decided in an earlier run outlives the not-found TTL; a not-found result does not', async () => {
+    const filePath = path.join(dir, 'search-skip.json');
+    const cache = new MatchCache(filePath, { notFoundTtlDays: 7 });
+    cache.set('pid:SKIPPED', { match: null, confidence: 0, reviewed: true, skipped: true });
+    cache.set('pid:MISSING', { match: null, confidence: 0 });
+    const cachedAt = new Date(Date.now() - 10 * DAY_MS).toISOString();
+    Object.values(cache.entries).forEach(entry => { entry.cachedAt = cachedAt; });
+    await cache.save();
+
+    const reloaded = await new MatchCache(filePath, { notFoundTtlDays: 7 }).load();
+    assert.equal(reloaded.get('pid:SKIPPED').skipped, true);
+    assert.equal(reloaded.get('pid:MISSING'), undefined);
+});
+
+test('a save that fails part-way leaves the decisions and playlist mappings already on disk intact', async () => {
+    const stores = [
+        [new MatchDecisions(path.join(dir, 'interrupted-decisions.json')), store => store.set('pid:A', { name: 'Come', artist: 'JAEL.', album: 'Moonlight' }, null)],
+        [new PlaylistMappings(path.join(dir, 'interrupted-playlists.json')), store => store.set('pid:A', { id: 'pl1' })]
+    ];
+
+    for (const [store, change] of stores) {
+        await fs.writeJson(store.filePath, { 'pid:old': { kept: true } });
+        await store.load();
+        change(store);
+        // A directory where the temp file goes makes the write fail, as a full disk would
+        const tempPath = `${store.filePath}.${process.pid}.tmp`;
+        await fs.ensureDir(tempPath);
+        await assert.rejects(store.save());
+        assert.deepEqual(await fs.readJson(store.filePath), { 'pid:old': { kept: true } });
+
+        await fs.remove(tempPath);
+        await store.save();
+        assert.deepEqual(Object.keys(await fs.readJson(store.filePath)), ['pid:old', 'pid:A']);
+        assert.equal(await fs.pathExists(tempPath), false);
+    }
+});
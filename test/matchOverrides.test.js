@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MatchOverrides } from '../src/matchOverrides.js';
+import { SpotifyClient } from '../src/spotifyClient.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-overrides-'));
+});
+
+after(async () => {
+    await fs.remove(dir);
+});
+
+async function load(name, text) {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, text);
+    return new MatchOverrides(filePath).load(SpotifyClient.toTrackUri);
+}
+
+test('a repeated Persistent ID uses the first entry, as `overrides check` says', async () => {
+    const overrides = await load('repeated.yaml', [
+        '- persistentId: 972b90cdd561f9d4',
+        '  uri: spotify:track:1111111111111111111111',
+        '- persistentId: 972B90CDD561F9D4',
+        '  uri: skip',
+        '- name: Come',
+        '  artist: JAEL.',
+        '  uri: spotify:track:2222222222222222222222',
+        '- name: Come',
+        '  artist: JAEL.',
+        '  uri: spotify:track:3333333333333333333333',
+        ''
+    ].join('\n'));
+
+    const byId = overrides.get({ name: 'Other', artist: 'Other', originalTrack: { 'Persistent ID': '972B90CDD561F9D4' } });
+    assert.equal(byId.number, 1);
+    assert.equal(byId.uri, 'spotify:track:1111111111111111111111');
+
+    const byName = overrides.get({ name: 'Come', artist: 'JAEL.', album: 'Moonlight' });
+    assert.equal(byName.number, 3);
+});
+
+test('rejects an entry whose uri is neither a track nor "skip"', async () => {
+    await assert.rejects(
+        load('typo.json', JSON.stringify({ overrides: [{ persistentId: 'ABC', uri: 'spotify:album:2222222222222222222222' }] })),
+        /override #1: uri "spotify:album:2222222222222222222222" is not a Spotify track/
+    );
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { MatchReviewer } from '../src/matchReviewer.js';
+import { SpotifyClient } from '../src/spotifyClient.js';
+
+const spotifyTrack = (id, name) => ({
+    id,
+    uri: `spotify:track:${id}`,
+    name,
+    artists: [{ name: 'Artist' }],
+    album: { name: 'Album' },
+    duration_ms: 200000
+});
+
+const PASTED = spotifyTrack('4uLU6hMCjMI75M1A2tKUQC', 'Pasted');
+
+/**
+ * A reviewer fed canned answers, one per prompt; the client only resolves pasted URIs.
+ */
+function createReviewer(answers) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const transcript = [];
+    output.on('data', chunk => transcript.push(chunk.toString()));
+
+    const client = {
+        getTrack: async (uri) => ({ ...PASTED, uri })
+    };
+    const reviewer = new MatchReviewer(client, input, output);
+
+    // Answer each question as it is asked
+    const ask = reviewer.ask.bind(reviewer);
+    reviewer.ask = (question) => {
+        const answer = ask(question);
+        input.write(`${answers.shift()}\n`);
+        return answer;
+    };
+    return { reviewer, transcript };
+}
+
+const appleTrack = { name: 'Song', artist: 'Artist', album: 'Album', duration: 200 };
+const noCandidates = { match: null, score: null, confidence: 0, candidates: [] };
+const twoCandidates = {
+    match: spotifyTrack('a', 'Song (Live)'),
+    confidence: 0.4,
+    candidates: [
+        { track: spotifyTrack('a', 'Song (Live)'), score: 40, confidence: 0.4 },
+        { track: spotifyTrack('b', 'Song (Karaoke)'), score: 30, confidence: 0.3 }
+    ]
+};
+
+test('a track without candidates can be given a pasted URI', async () => {
+    const { reviewer, transcript } = createReviewer(['https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC']);
+    const result = await reviewer.review(appleTrack, noCandidates);
+
+    assert.equal(result.track.uri, 'spotify:track:4uLU6hMCjMI75M1A2tKUQC');
+    assert.match(transcript.join(''), /No match found for "Song"/);
+    assert.match(transcript.join(''), /No candidates were found/);
+});
+
+test('Enter leaves a track without candidates unresolved, "s" skips it', async () => {
+    assert.equal(await createReviewer(['']).reviewer.review(appleTrack, noCandidates), null);
+    assert.deepEqual(await createReviewer(['s']).reviewer.review(appleTrack, noCandidates), { track: null });
+    // A candidate number means nothing without candidates
+    assert.deepEqual(await createReviewer(['1', 's']).reviewer.review(appleTrack, noCandidates), { track: null });
+});
+
+test('candidates are chosen by number, Enter accepts the first', async () => {
+    assert.equal((await createReviewer(['2']).reviewer.review(appleTrack, twoCandidates)).track.id, 'b');
+    assert.equal((await createReviewer(['']).reviewer.review(appleTrack, twoCandidates)).track.id, 'a');
+});
+
+test('searchAndMatchTracks sends tracks nothing was found for to the reviewer', async () => {
+    const decisions = new Map();
+    const client = new SpotifyClient(null, {
+        decisions: {
+            get: () => null,
+            set: (key, track, chosen) => decisions.set(key, chosen),
+            save: async () => {}
+        }
+    });
+    client.findTrack = async () => ({ ...noCandidates });
+
+    const reviewed = [];
+    const answers = [{ track: PASTED }, null];
+    client.reviewer = { review: async (track) => { reviewed.push(track.name); return answers.shift(); } };
+
+    const log = console.log;
+    console.log = () => {};
+    let results;
+    try {
+        results = await client.searchAndMatchTracks([
+            { name: 'First', artist: 'Artist', album: 'Album', duration: 200 },
+            { name: 'Second', artist: 'Artist', album: 'Album', duration: 200 }
+        ]);
+    } finally {
+        console.log = log;
+    }
+
+    assert.deepEqual(reviewed, ['First', 'Second']);
+    assert.deepEqual(results.found.map(result => result.uri), [PASTED.uri]);
+    assert.deepEqual(results.notFound.map(track => track.name), ['Second']);
+    // Only the answered track is remembered
+    assert.equal(decisions.size, 1);
+});
+
+test('searchAndMatchTracks reports skipped tracks apart from the ones not found', async () => {
+    const client = new SpotifyClient(null, {
+        decisions: {
+            get: (key) => key.includes('decided') ? { skip: true, spotify: null } : null,
+            set: () => {},
+            save: async () => {}
+        }
+    });
+    client.findTrack = async () => ({ ...noCandidates });
+
+    const answers = [{ track: null }, null];
+    client.reviewer = { review: async () => answers.shift() };
+
+    const log = console.log;
+    console.log = () => {};
+    let results;
+    try {
+        results = await client.searchAndMatchTracks([
+            { name: 'Decided', artist: 'Artist', album: 'Album', duration: 200 },
+            { name: 'Skipped now', artist: 'Artist', album: 'Album', duration: 200 },
+            { name: 'Left open', artist: 'Artist', album: 'Album', duration: 200 }
+        ]);
+    } finally {
+        console.log = log;
+    }
+
+    assert.deepEqual(results.skipped.map(track => track.name), ['Decided', 'Skipped now']);
+    assert.deepEqual(results.notFound.map(track => track.name), ['Left open']);
+    assert.deepEqual(results.matches.map(entry => entry.skipped), [true, true, false]);
+});
@@ -0,0 +1,218 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { PlaylistExport } from '../src/playlistExport.js';
+import { SpotifyClient } from '../src/spotifyClient.js';
+import { DuplicatePolicy } from '../src/duplicatePolicy.js';
+
+const spotifyTrack = (id, name, artist, album, seconds, isrc) => ({
+    id,
+    uri: `spotify:track:${id}`,
+    name,
+    artists: [{ name: artist }],
+    album: { name: album },
+    duration_ms: seconds * 1000,
+    external_ids: isrc ? { isrc } : {}
+});
+
+const CATALOG = [
+    spotifyTrack('3ZE3wv8V3w2T2f7nOCjV0N', 'Midnight City', 'M83', 'Hurry Up, We\'re Dreaming', 244, 'FR6V81141061'),
+    spotifyTrack('2Foc5Q5nqNiosCNqttzHof', 'Get Lucky', 'Daft Punk', 'Random Access Memories', 369, 'USQX91300108'),
+    // Only found on its album, whose track list takes two pages
+    spotifyTrack('6AQbmUe0Qwf5PZnt4HmTXv', 'Idioteque', 'Radiohead', 'Kid A', 309, null)
+];
+
+// Stands in for SpotifyApi: serves searches from CATALOG, pages album track lists and fails
+// searches for "Broken"
+function createStubApi() {
+    const requests = [];
+    const album = { id: 'kid-a', name: 'Kid A' };
+    const albumPages = {
+        '/albums/kid-a/tracks': { items: [{ id: 'x1', name: 'Everything in Its Right Place' }], next: '/albums/kid-a/tracks?offset=1' },
+        '/albums/kid-a/tracks?offset=1': { items: [{ id: '6AQbmUe0Qwf5PZnt4HmTXv', name: 'Idioteque' }], next: null }
+    };
+
+    return {
+        requests,
+        concurrency: 1,
+        async get(requestPath, params = {}) {
+            requests.push(requestPath);
+            if (requestPath === '/search' && /Broken/.test(params.q)) {
+                throw new Error('Service unavailable');
+            }
+            if (requestPath === '/search' && params.type === 'album') {
+                return { albums: { items: /Kid A/.test(params.q) ? [album] : [] } };
+            }
+            if (requestPath === '/search') {
+                const items = CATALOG.filter(track => track.id !== '6AQbmUe0Qwf5PZnt4HmTXv' && params.q.includes(`track:"${track.name}"`));
+                return { tracks: { items } };
+            }
+            if (albumPages[requestPath]) {
+                return albumPages[requestPath];
+            }
+            if (requestPath === '/tracks') {
+                return { tracks: params.ids.split(',').map(id => CATALOG.find(track => track.id === id) || null) };
+            }
+            throw new Error(`Unexpected request ${requestPath}`);
+        }
+    };
+}
+
+const appleTrack = (name, artist, album, duration, persistentId) => ({
+    name, artist, album, duration, originalTrack: persistentId ? { 'Persistent ID': persistentId } : {}
+});
+
+let outputDir;
+let playlistExport;
+let api;
+
+before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-export-'));
+
+    api = createStubApi();
+    const client = new SpotifyClient(null, { api });
+    const tracks = [
+        appleTrack('Midnight City', 'M83', 'Hurry Up, We\'re Dreaming', 244, '972B90CDD561F9D4'),
+        appleTrack('Idioteque', 'Radiohead', 'Kid A', 309),
+        appleTrack('Not On Spotify', 'Nobody', 'Demos', 120),
+        appleTrack('Skipped Interlude', 'M83', 'Hurry Up, We\'re Dreaming', 20),
+        appleTrack('Midnight City', 'M83', 'Hurry Up, We\'re Dreaming (Deluxe)', 244),
+        appleTrack('Broken', 'Anyone', '', 100),
+        appleTrack('Get Lucky', 'Daft Punk', 'Random Access Memories', 369)
+    ];
+    client.matchCache.set(SpotifyClient.getMatchCacheKey(tracks[3]), { match: null, confidence: 1, candidates: [], skipped: true });
+
+    const log = console.log;
+    console.log = () => {};
+    let results;
+    try {
+        results = await client.searchAndMatchTracks(tracks);
+    } finally {
+        console.log = log;
+    }
+
+    const { found } = new DuplicatePolicy('spotify-uri').collapseMatches(results.found);
+    playlistExport = new PlaylistExport(results, {
+        playlist: { name: 'Road Trip', id: 'p1', url: 'https://open.spotify.com/playlist/p1' },
+        source: 'road-trip.m3u8',
+        found
+    });
+});
+
+after(async () => {
+    await fs.remove(outputDir);
+});
+
+test('lists every Apple track with what became of it and the Spotify track fields', () => {
+    const manifest = playlistExport.toJSON();
+    assert.deepEqual(manifest.summary, { total: 7, matched: 3, notFound: 1, skipped: 1, duplicates: 1, failed: 1 });
+    assert.deepEqual(manifest.tracks.map(row => [row.position, row.status, row.apple.name]), [
+        [1, 'matched', 'Midnight City'],
+        [2, 'matched', 'Idioteque'],
+        [3, 'not found', 'Not On Spotify'],
+        [4, 'skipped', 'Skipped Interlude'],
+        [5, 'duplicate', 'Midnight City'],
+        [6, 'matched', 'Get Lucky'],
+        [7, 'failed', 'Broken']
+    ]);
+
+    const [first, second, notFound] = manifest.tracks;
+    assert.deepEqual(first.apple, {
+        name: 'Midnight City', artist: 'M83', album: 'Hurry Up, We\'re Dreaming', albumArtist: '', year: '', duration: 244, persistentId: '972B90CDD561F9D4'
+    });
+    assert.deepEqual(first.spotify, {
+        id: '3ZE3wv8V3w2T2f7nOCjV0N',
+        uri: 'spotify:track:3ZE3wv8V3w2T2f7nOCjV0N',
+        url: 'https://open.spotify.com/track/3ZE3wv8V3w2T2f7nOCjV0N',
+        name: 'Midnight City',
+        artists: ['M83'],
+        album: 'Hurry Up, We\'re Dreaming',
+        duration: 244,
+        isrc: 'FR6V81141061'
+    });
+    assert.equal(first.strategy, 'exact');
+    assert.ok(first.score > 0 && first.confidence > 0);
+
+    // Found on the second page of the album's track list; Spotify has no ISRC on record
+    assert.equal(second.strategy, 'album');
+    assert.equal(second.spotify.isrc, null);
+    assert.ok(api.requests.includes('/albums/kid-a/tracks?offset=1'));
+
+    assert.deepEqual([notFound.spotify, notFound.score, notFound.confidence, notFound.strategy], [null, null, null, null]);
+});
+
+test('the playlists hold only what went into the Spotify playlist, in order', () => {
+    assert.equal(playlistExport.toM3u8(), [
+        '#EXTM3U',
+        '#PLAYLIST:Road Trip',
+        '#EXTINF:244,M83 - Midnight City',
+        '#EXTALB:Hurry Up, We\'re Dreaming',
+        'spotify:track:3ZE3wv8V3w2T2f7nOCjV0N',
+        '#EXTINF:309,Radiohead - Idioteque',
+        '#EXTALB:Kid A',
+        'spotify:track:6AQbmUe0Qwf5PZnt4HmTXv',
+        '#EXTINF:369,Daft Punk - Get Lucky',
+        '#EXTALB:Random Access Memories',
+        'spotify:track:2Foc5Q5nqNiosCNqttzHof',
+        ''
+    ].join('\n'));
+
+    const xspf = playlistExport.toXspf();
+    assert.match(xspf, /<title>Road Trip<\/title>\n {2}<annotation>Converted from road-trip\.m3u8<\/annotation>\n {2}<location>https:\/\/open\.spotify\.com\/playlist\/p1<\/location>/);
+    assert.equal((xspf.match(/<track>/g) || []).length, 3);
+    assert.match(xspf, /<identifier>urn:isrc:FR6V81141061<\/identifier>/);
+    assert.match(xspf, /<album>Hurry Up, We're Dreaming<\/album>\n {6}<duration>244000<\/duration>/);
+});
+
+test('the CSV pairs each Apple track with its Spotify ID, ISRC and score', () => {
+    const rows = playlistExport.toCsv().split('\r\n');
+    assert.equal(rows[0], 'Position,Status,Apple Name,Apple Artist,Apple Album,Apple Time,Apple Persistent ID,Spotify ID,Spotify Name,Spotify Artists,Spotify Album,Spotify Time,ISRC,Score,Confidence,Strategy');
+    assert.match(rows[1], /^1,matched,Midnight City,M83,"Hurry Up, We're Dreaming",4:04,972B90CDD561F9D4,3ZE3wv8V3w2T2f7nOCjV0N,Midnight City,M83,"Hurry Up, We're Dreaming",4:04,FR6V81141061,[\d.]+,[\d.]+,exact$/);
+    assert.equal(rows[3], '3,not found,Not On Spotify,Nobody,Demos,2:00,,,,,,,,,,');
+    assert.equal(rows.length, 9);
+});
+
+test('writes the chosen formats, and the same files again for an unchanged conversion', async () => {
+    const basePath = path.join(outputDir, 'Road Trip_spotify');
+    const written = await playlistExport.write(basePath, PlaylistExport.parseFormats('m3u8,json'));
+    assert.deepEqual(written, [`${basePath}.m3u8`, `${basePath}.json`]);
+
+    const first = await fs.readFile(`${basePath}.json`, 'utf8');
+    await playlistExport.write(basePath, ['json']);
+    assert.equal(await fs.readFile(`${basePath}.json`, 'utf8'), first);
+
+    assert.deepEqual(PlaylistExport.parseFormats('all'), PlaylistExport.FORMATS);
+    assert.throws(() => PlaylistExport.parseFormats('xspf,pls'), /Unknown export format "pls"/);
+});
+
+test('reads every page of a Spotify playlist, keeping local and unavailable items in place', async () => {
+    const pages = {
+        first: { items: [{ track: CATALOG[0] }, { track: null }], next: 'second' },
+        second: { items: [{ track: { uri: 'spotify:local:Nobody:Demos:Demo+Song:120', name: 'Demo Song', artists: [{ name: 'Nobody' }], is_local: true } }], next: 'third' },
+        third: { items: [{ track: CATALOG[1] }], next: null }
+    };
+    const requests = [];
+    const client = new SpotifyClient(null, {
+        api: {
+            async get(requestPath, params) {
+                requests.push([requestPath, params]);
+                return requestPath === '/playlists/p1/tracks' ? pages.first : pages[requestPath];
+            }
+        }
+    });
+
+    const tracks = await client.getPlaylistTracks('p1', 'uri,name,artists(name),is_local');
+    assert.deepEqual(requests, [
+        ['/playlists/p1/tracks', { fields: 'items(track(uri,name,artists(name),is_local)),next', limit: 100 }],
+        ['second', undefined],
+        ['third', undefined]
+    ]);
+    assert.deepEqual(tracks.map(track => [track.uri, !!track.is_local]), [
+        ['spotify:track:3ZE3wv8V3w2T2f7nOCjV0N', false],
+        [null, false],
+        ['spotify:local:Nobody:Demos:Demo+Song:120', true],
+        ['spotify:track:2Foc5Q5nqNiosCNqttzHof', false]
+    ]);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { PlistParser } from '../src/plistParser.js';
+import { AppleXmlParser } from '../src/appleXmlParser.js';
+import { ApplePlaylistParser } from '../src/applePlaylistParser.js';
+
+const fixture = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+
+const plist = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple Computer//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">${body}</plist>`;
+
+test('reads every track of favs.xml with its typed values', async () => {
+    const library = new PlistParser().parse(await fs.readFile(fixture('favs.xml'), 'utf8'));
+
+    assert.equal(library['Major Version'], 1);
+    assert.equal(library['Show Content Ratings'], true);
+    assert.ok(library.Date instanceof Date);
+    assert.equal(library.Date.toISOString(), '2025-08-08T19:23:47.000Z');
+
+    const tracks = Object.values(library.Tracks);
+    assert.equal(tracks.length, 74);
+
+    const riverMan = library.Tracks['1840'];
+    assert.equal(riverMan['Track ID'], 1840);
+    assert.equal(riverMan.Name, 'River Man (feat. Kurt Elling, Dave Grusin, Nathan East & Will Kennedy)');
+    assert.equal(riverMan['Total Time'], 275450);
+    assert.equal(riverMan['Date Added'].toISOString(), '2023-01-23T08:01:42.000Z');
+    assert.equal(riverMan.Loved, true);
+
+    const ids = tracks.map(track => track['Persistent ID']);
+    assert.ok(ids.every(id => /^[0-9A-F]{16}$/.test(id)));
+    assert.equal(new Set(ids).size, 74);
+});
+
+test('keeps the keys of a dict in file order', () => {
+    const dict = new PlistParser().parse(plist('<dict><key>b</key><integer>1</integer><key>a</key><real>2.5</real><key>c</key><false/></dict>'));
+    assert.deepEqual(Object.entries(dict), [['b', 1], ['a', 2.5], ['c', false]]);
+});
+
+test('decodes <data> as a Buffer, ignoring the line breaks Music.app wraps it in', () => {
+    const value = new PlistParser().parse(plist(`<dict><key>Smart Info</key><data>
+\t\t\tAQEAAwAAAAIAAAAZ
+\t\t\tAAAAAA==
+\t\t\t</data></dict>`));
+    assert.ok(Buffer.isBuffer(value['Smart Info']));
+    assert.equal(value['Smart Info'].toString('hex'), '01010003000000020000001900000000');
+});
+
+test('decodes entities once, leaving escaped entity text as written', () => {
+    const dict = new PlistParser().parse(plist('<dict><key>Name</key><string>Rock &#38; Roll &amp;lt;Live&amp;gt;</string></dict>'));
+    assert.equal(dict.Name, 'Rock & Roll &lt;Live&gt;');
+});
+
+test('does not let a "__proto__" key replace the dict prototype', () => {
+    const dict = new PlistParser().parse(plist('<dict><key>__proto__</key><dict><key>polluted</key><true/></dict><key>Name</key><string>x</string></dict>'));
+    assert.equal(Object.getPrototypeOf(dict), Object.prototype);
+    assert.equal(dict.polluted, undefined);
+    assert.equal(dict.Name, 'x');
+});
+
+test('rejects malformed property lists', () => {
+    assert.throws(() => new PlistParser().parse(plist('<dict><key>a</key></dict>')), /has no value/);
+    assert.throws(() => new PlistParser().parse(plist('<dict><string>x</string></dict>')), /without a preceding <key>/);
+    assert.throws(() => new PlistParser().parse(plist('<dict><key>a</key><blob/></dict>')), /Unsupported plist element/);
+});
+
+test('resolves the Favs playlist items of favs.xml in playlist order', async () => {
+    const parser = new AppleXmlParser();
+    await parser.parseFile(fixture('favs.xml'));
+
+    const playlists = parser.listPlaylists();
+    assert.equal(playlists.length, 1);
+    assert.equal(playlists[0].name, 'Favs');
+    assert.equal(playlists[0].persistent_id, 'A4AB95CC3331916A');
+    assert.equal(playlists[0].itemCount, 74);
+
+    const tracks = parser.getTracksForSpotify('Favs');
+    assert.equal(tracks.length, 74);
+    assert.equal(tracks[0].originalTrack['Track ID'], 4438);
+    assert.equal(tracks[0].originalTrack['Persistent ID'], '44176F8FCC70B013');
+
+    // The same playlist exported as text lists the same tracks in the same order
+    const text = new ApplePlaylistParser();
+    await text.parseFile(fixture('favs.txt'));
+    assert.deepEqual(tracks.map(track => track.name), text.getTracksForSpotify().map(track => track.name));
+});
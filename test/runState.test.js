@@ -0,0 +1,159 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { RunState } from '../src/runState.js';
+import { SpotifyClient } from '../src/spotifyClient.js';
+import { SpotifyAuth } from '../src/spotifyAuth.js';
+import { SpotifyApi } from '../src/spotifyApi.js';
+
+const BATCH_SIZE = 100;
+
+// One playlist that POSTs append to; `failAt` makes the add request with that number fail, and
+// every request is recorded
+const mockServer = {
+    start() {
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const url = new URL(req.url, this.url);
+                const reply = (status, data) => {
+                    res.writeHead(status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(data));
+                };
+                this.requests.push(`${req.method} ${url.pathname}`);
+
+                if (req.method === 'POST' && url.pathname === '/v1/playlists/p1/tracks') {
+                    this.adds++;
+                    if (this.adds === this.failAt) {
+                        return reply(503, { error: { status: 503, message: 'Service unavailable' } });
+                    }
+                    this.tracks.push(...JSON.parse(body).uris);
+                    return reply(201, { snapshot_id: `s${this.adds}` });
+                }
+                if (req.method === 'GET' && url.pathname === '/v1/playlists/p1') {
+                    return reply(200, { tracks: { total: this.tracks.length } });
+                }
+                reply(404, { error: { status: 404, message: 'Not found' } });
+            });
+        });
+
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}`;
+            resolve();
+        }));
+    },
+
+    reset() {
+        this.tracks = [];
+        this.requests = [];
+        this.adds = 0;
+        this.failAt = null;
+    }
+};
+
+let dir;
+let originalLog;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-runs-'));
+    await mockServer.start();
+    originalLog = console.log;
+    console.log = () => {};
+});
+
+after(async () => {
+    console.log = originalLog;
+    mockServer.server.close();
+    await fs.remove(dir);
+});
+
+beforeEach(() => mockServer.reset());
+
+function createClient() {
+    const auth = new SpotifyAuth('client-id', null);
+    auth.accessToken = 'token';
+    auth.tokenExpiry = Date.now() + 3600 * 1000;
+    return new SpotifyClient(auth, { api: new SpotifyApi(auth, { baseUrl: `${mockServer.url}/v1` }) });
+}
+
+const uris = Array.from({ length: 250 }, (_, i) => `spotify:track:${String(i).padStart(22, '0')}`);
+const keys = uris.map((uri, i) => `pid:${i}`);
+
+// The add step of a conversion, as runTransfer does it
+async function addTracks(client, runState) {
+    const completedBatches = await runState.confirmAddedBatches(client, 'p1', uris.length, BATCH_SIZE);
+    await client.addTracksToPlaylist('p1', uris, BATCH_SIZE, {
+        completedBatches,
+        onBatchAdded: (index, size) => runState.markBatchAdded(index, size)
+    });
+    await runState.complete();
+}
+
+async function startRun(playlistName) {
+    const runState = await RunState.open({ source: 'favs.txt', playlistName, keys, dir });
+    await runState.setPlaylist({ id: 'p1', external_urls: { spotify: 'https://open.spotify.com/playlist/p1' } });
+    return runState;
+}
+
+test('resuming after two added batches adds only the third', async () => {
+    const client = createClient();
+    const first = await startRun('Interrupted');
+
+    mockServer.failAt = 3;
+    await assert.rejects(addTracks(client, first), /Failed to add tracks to playlist/);
+    assert.deepEqual(first.state.addedBatches, [0, 1]);
+    assert.equal(mockServer.tracks.length, 200);
+
+    const resumed = await RunState.open({ source: 'favs.txt', playlistName: 'Interrupted', keys, resume: true, dir });
+    assert.deepEqual(resumed.state.addedBatches, [0, 1]);
+    assert.equal(resumed.state.playlist.id, 'p1');
+
+    mockServer.requests = [];
+    await addTracks(client, resumed);
+    assert.deepEqual(mockServer.requests, ['GET /v1/playlists/p1', 'POST /v1/playlists/p1/tracks']);
+    assert.deepEqual(mockServer.tracks, uris);
+    assert.ok((await RunState.open({ source: 'favs.txt', playlistName: 'Interrupted', keys, resume: true, dir })).state.completedAt);
+});
+
+test('a batch Spotify took before the checkpoint was written is not added again', async () => {
+    const client = createClient();
+    const first = await startRun('Unrecorded');
+
+    // The second batch lands, then the run dies before recording it
+    await assert.rejects(client.addTracksToPlaylist('p1', uris, BATCH_SIZE, {
+        onBatchAdded: async (index, size) => {
+            if (index === 1) throw new Error('killed');
+            await first.markBatchAdded(index, size);
+        }
+    }), /killed/);
+    assert.equal(mockServer.tracks.length, 200);
+
+    const resumed = await RunState.open({ source: 'favs.txt', playlistName: 'Unrecorded', keys, resume: true, dir });
+    assert.deepEqual(resumed.state.addedBatches, [0]);
+    await addTracks(client, resumed);
+    assert.deepEqual(resumed.state.addedBatches, [0, 1, 2]);
+    assert.deepEqual(mockServer.tracks, uris);
+});
+
+test('resumed matches are not searched again, and a changed track list starts over', async () => {
+    const first = await RunState.open({ source: 'favs.txt', playlistName: 'Matches', keys: ['meta|come|jael.|moonlight|232'], dir });
+    const match = { uri: uris[0], name: 'Come', artists: [{ name: 'JAEL.' }], album: { name: 'Moonlight' }, duration_ms: 232000 };
+    await first.recordMatch(0, 'meta|come|jael.|moonlight|232', { match, score: 0.97, confidence: 0.97, strategy: 'exact' });
+    await first.save();
+
+    const resumed = await RunState.open({ source: 'favs.txt', playlistName: 'Matches', keys: ['meta|come|jael.|moonlight|232'], resume: true, dir });
+    const results = await createClient().searchAndMatchTracks(
+        [{ name: 'Come', artist: 'JAEL.', album: 'Moonlight', duration: 232 }],
+        { checkpoint: resumed }
+    );
+    assert.deepEqual(results.found.map(track => track.uri), [uris[0]]);
+    assert.deepEqual(mockServer.requests, []);
+
+    const changed = await RunState.open({ source: 'favs.txt', playlistName: 'Matches', keys: ['pid:OTHER'], resume: true, dir });
+    assert.equal(changed.resolvedCount, 0);
+    assert.equal(changed.state.playlist, null);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchStrategies } from '../src/searchStrategies.js';
+import { TrackMatcher } from '../src/trackMatcher.js';
+
+const pop = {
+    name: 'Get Lucky (feat. Pharrell Williams) [Radio Edit]',
+    artist: 'Daft Punk & Pharrell Williams',
+    album: 'Random Access Memories',
+    albumArtist: 'Daft Punk',
+    composer: 'Thomas Bangalter',
+    year: '2013'
+};
+
+const classical = {
+    name: 'The Four Seasons, Violin Concerto No. 1 in E Major, RV 269 "Spring": I. Allegro',
+    artist: 'Itzhak Perlman',
+    album: 'Vivaldi: The Four Seasons',
+    composer: 'Antonio Vivaldi',
+    work: 'The Four Seasons',
+    movementNumber: 1,
+    movementName: 'Allegro',
+    genre: 'Classical',
+    year: '1976'
+};
+
+// Each order from --search-strategies or the defaults, with the searches it makes for a track
+const cases = [
+    {
+        order: 'defaults()',
+        strategies: SearchStrategies.defaults(),
+        track: pop,
+        steps: [
+            ['exact', 'track', 'track:"Get Lucky (feat. Pharrell Williams) [Radio Edit]" artist:"Daft Punk & Pharrell Williams" album:"Random Access Memories"'],
+            // album-artist would repeat this search (Daft Punk is also the first artist), so it is left out
+            ['stripped', 'track', 'track:"Get Lucky" artist:"Daft Punk"'],
+            ['composer', 'track', 'track:"Get Lucky" artist:"Thomas Bangalter"'],
+            ['loose', 'track', '"Get Lucky" "Daft Punk"'],
+            ['album', 'album', 'album:"Random Access Memories" artist:"Daft Punk"'],
+            ['year', 'track', 'track:"Get Lucky" year:2013']
+        ]
+    },
+    {
+        order: 'defaults({ retry: true })',
+        strategies: SearchStrategies.defaults({ retry: true }),
+        track: pop,
+        steps: [
+            ['stripped', 'track', 'track:"Get Lucky" artist:"Daft Punk"'],
+            ['composer', 'track', 'track:"Get Lucky" artist:"Thomas Bangalter"'],
+            ['loose', 'track', '"Get Lucky" "Daft Punk"'],
+            ['album', 'album', 'album:"Random Access Memories" artist:"Daft Punk"'],
+            ['year', 'track', 'track:"Get Lucky" year:2013'],
+            ['title', 'track', 'track:"Get Lucky"']
+        ]
+    },
+    {
+        order: 'defaults({ classical: true })',
+        strategies: SearchStrategies.defaults({ classical: true }),
+        classical: true,
+        track: classical,
+        steps: [
+            ['exact', 'track'],
+            ['work', 'track', '"The Four Seasons" "Allegro" artist:"Itzhak Perlman"'],
+            ['work-album', 'track', '"The Four Seasons" "Allegro" album:"Vivaldi: The Four Seasons"'],
+            ['composer', 'track'],
+            ['stripped', 'track'],
+            ['loose', 'track'],
+            ['album', 'album'],
+            ['year', 'track']
+        ]
+    },
+    {
+        order: 'defaults({ classical: true, retry: true })',
+        strategies: SearchStrategies.defaults({ classical: true, retry: true }),
+        classical: true,
+        track: classical,
+        steps: [['work', 'track'], ['work-album', 'track'], ['composer', 'track'], ['stripped', 'track'], ['loose', 'track'], ['album', 'album'], ['year', 'track'], ['title', 'track']]
+    },
+    {
+        // Work searches need classical mode; without it they do not apply
+        order: 'work,year,exact without classical mode',
+        strategies: SearchStrategies.parse('work, year,exact'),
+        track: classical,
+        steps: [['year', 'track'], ['exact', 'track']]
+    },
+    {
+        order: 'album-artist,composer,title on a track with neither',
+        strategies: SearchStrategies.parse('album-artist,composer,title'),
+        track: { name: 'Strobe', artist: 'deadmau5', album: 'For Lack of a Better Name' },
+        steps: [['title', 'track', 'track:"Strobe"']]
+    },
+    {
+        order: 'exact,stripped with a hint from a failures file',
+        strategies: SearchStrategies.parse('exact,stripped'),
+        track: { name: 'Strobe', artist: 'deadmau5', hint: 'deadmau5 strobe radio edit' },
+        steps: [
+            ['hint', 'track', 'deadmau5 strobe radio edit'],
+            ['exact', 'track', 'track:"Strobe" artist:"deadmau5"']
+        ]
+    }
+];
+
+test('plans the searches of each strategy order, leaving out ones that do not apply or repeat', () => {
+    for (const { order, strategies, track, steps, classical: classicalMode = false } of cases) {
+        const plan = strategies.plan(track, new TrackMatcher({}, { classical: classicalMode }));
+        assert.deepEqual(
+            plan.map(step => [step.strategy, step.kind]),
+            steps.map(step => step.slice(0, 2)),
+            order
+        );
+        steps.forEach(([strategy, , query], index) => {
+            if (query) {
+                assert.equal(plan[index].query, query, `${order}: ${strategy}`);
+            }
+        });
+    }
+});
+
+test('parses --search-strategies, dropping repeats and rejecting unknown or empty lists', () => {
+    assert.deepEqual(SearchStrategies.parse(' loose ,exact,loose').names, ['loose', 'exact']);
+    assert.throws(() => SearchStrategies.parse('exact,fuzzy'), /Unknown search strategy "fuzzy" \(expected exact, stripped/);
+    assert.throws(() => SearchStrategies.parse(' , '), /At least one search strategy is needed/);
+});
@@ -0,0 +1,140 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { AppleXmlParser } from '../src/appleXmlParser.js';
+import { SmartPlaylist } from '../src/smartPlaylist.js';
+
+const fixture = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+
+// The library's export date, so "in the last N days" rules give the same tracks on every run
+const NOW = new Date('2025-06-15T21:00:00Z');
+
+let parser;
+
+before(async () => {
+    parser = new AppleXmlParser();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await parser.parseFile(fixture('smart-library.xml'));
+    } finally {
+        console.log = log;
+    }
+});
+
+function load(name) {
+    const playlist = parser.getSmartPlaylists().find(entry => entry.Name === name);
+    assert.ok(playlist, `smart playlist "${name}" is in the fixture`);
+    return SmartPlaylist.fromPlaylist(playlist);
+}
+
+const evaluate = (smart) => smart.evaluate(parser.tracks, { now: NOW }).map(track => track.Name);
+
+test('lists the smart playlists of the fixture library, not the master', () => {
+    assert.deepEqual(parser.getSmartPlaylists().map(playlist => playlist.Name), [
+        'Electronic 2000s',
+        'Five Stars or Loved',
+        'New, Not Pop',
+        'Most Played',
+        'Added in 2024',
+        'From Another Playlist',
+        'Older, Not Sometimes Played',
+        'Electronic, Rated or Loved'
+    ]);
+});
+
+test('decodes a text rule and a year range', () => {
+    const smart = load('Electronic 2000s');
+    assert.equal(smart.match, 'all');
+    assert.equal(smart.limit, null);
+    assert.deepEqual(smart.rules, [
+        { field: 'Genre', key: 'Genre', type: 'text', operator: 'contains', negate: false, value: 'Electronic' },
+        { field: 'Year', key: 'Year', type: 'number', operator: 'range', negate: false, value: 2000, to: 2009 }
+    ]);
+    assert.deepEqual(smart.describe(), [
+        'Match all of the following rules:',
+        '  Genre contains "Electronic"',
+        '  Year is in the range 2000 to 2009'
+    ]);
+    // Windowlicker (1999) and Midnight City (2011) fall outside the years
+    assert.deepEqual(evaluate(smart), ['Strobe', 'Digital Love']);
+});
+
+test('decodes a rating and a Loved rule matched by any', () => {
+    const smart = load('Five Stars or Loved');
+    assert.equal(smart.match, 'any');
+    assert.deepEqual(smart.rules.map(rule => [rule.field, rule.operator, rule.value]), [['Rating', 'is', 100], ['Loved', 'is', 2]]);
+    assert.deepEqual(smart.describe(), ['Match any of the following rules:', '  Rating is ★★★★★', '  Loved is true']);
+    assert.deepEqual(evaluate(smart), ['Idioteque', 'Strobe', 'Toxic', 'So What']);
+});
+
+test('decodes "in the last 30 days" and a negated text rule', () => {
+    const smart = load('New, Not Pop');
+    assert.deepEqual(smart.rules, [
+        { field: 'Date Added', key: 'Date Added', type: 'date', operator: 'inLast', negate: false, value: 30, to: null, unit: 86400 },
+        { field: 'Genre', key: 'Genre', type: 'text', operator: 'is', negate: true, value: 'Pop' }
+    ]);
+    assert.deepEqual(smart.describe(), ['Match all of the following rules:', '  Date Added is in the last 30 days', '  Genre is not "Pop"']);
+    // Toxic was added in time but is Pop
+    assert.deepEqual(evaluate(smart), ['Digital Love', 'So What', 'Roygbiv']);
+    // A month later only the latest additions are left
+    assert.deepEqual(smart.evaluate(parser.tracks, { now: new Date('2025-07-13T12:00:00Z') }).map(track => track.Name), ['Roygbiv']);
+});
+
+test('decodes "Limit to" and keeps the picked tracks in library order', () => {
+    const smart = load('Most Played');
+    assert.deepEqual(smart.rules.map(rule => [rule.field, rule.operator, rule.value]), [['Plays', 'greater', 0]]);
+    assert.equal(smart.limit.size, 3);
+    assert.equal(smart.limit.unit, 'items');
+    assert.equal(smart.limit.selectedBy, 'most often played');
+    assert.deepEqual(smart.describe(), ['Plays is greater than 0', 'Limit to 3 items selected by most often played']);
+    // Played 44, 31 and 12 times
+    assert.deepEqual(evaluate(smart), ['Windowlicker', 'Idioteque', 'Digital Love']);
+});
+
+test('decodes an absolute date range', () => {
+    const smart = load('Added in 2024');
+    const [rule] = smart.rules;
+    assert.equal(rule.operator, 'range');
+    assert.equal(new Date(rule.value).toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(new Date(rule.to).toISOString(), '2024-12-31T23:59:59.000Z');
+    assert.deepEqual(smart.describe(), ['Date Added is in the range 2024-01-01 to 2024-12-31']);
+    assert.deepEqual(evaluate(smart), ['Idioteque', 'Strobe']);
+});
+
+test('refuses to evaluate a playlist with a rule it cannot read', () => {
+    const smart = load('From Another Playlist');
+    assert.equal(smart.supported, false);
+    assert.deepEqual(smart.unsupported, ['a rule on field 0x28']);
+    assert.throws(() => smart.evaluate(parser.tracks, { now: NOW }), /Cannot evaluate a rule on field 0x28/);
+});
+
+test('reads the comparison as 16 bits, under a negating sign byte', () => {
+    const smart = load('Older, Not Sometimes Played');
+    assert.deepEqual(smart.rules, [
+        { field: 'Date Added', key: 'Date Added', type: 'date', operator: 'inLast', negate: true, value: 2, to: null, unit: 604800 },
+        { field: 'Plays', key: 'Play Count', type: 'number', operator: 'range', negate: true, value: 1, to: 10 }
+    ]);
+    assert.deepEqual(smart.describe(), [
+        'Match all of the following rules:',
+        '  Date Added is not in the last 2 weeks',
+        '  Plays is not in the range 1 to 10'
+    ]);
+    // Strobe was played 7 times; the rest were added in June
+    assert.deepEqual(evaluate(smart), ['Windowlicker', 'Idioteque', 'Midnight City', 'Digital Love']);
+});
+
+test('skips over a nested group of rules and refuses to evaluate the playlist', () => {
+    const smart = load('Electronic, Rated or Loved');
+    assert.deepEqual(smart.unsupported, ['a nested group of rules']);
+    // The rule after the group is still read from the right offset
+    assert.deepEqual(smart.rules, [
+        { field: 'Genre', key: 'Genre', type: 'text', operator: 'contains', negate: false, value: 'Electronic' }
+    ]);
+    assert.deepEqual(smart.describe(), [
+        'Match all of the following rules:',
+        '  Genre contains "Electronic"',
+        '  (not supported: a nested group of rules)'
+    ]);
+    assert.throws(() => smart.evaluate(parser.tracks, { now: NOW }), /Cannot evaluate a nested group of rules/);
+});
@@ -0,0 +1,212 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { SpotifyApi, SpotifyApiError } from '../src/spotifyApi.js';
+import { SpotifyAuth } from '../src/spotifyAuth.js';
+
+// A stand-in for both the Web API and the token endpoint. Each test sets `handle` for /v1 requests;
+// only the most recently issued access token is accepted.
+const mockServer = {
+    tokenRequests: 0,
+    issued: 0,
+    validToken: 'access-0',
+    requests: [],
+    active: 0,
+    maxActive: 0,
+    handle: null,
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                const reply = (status, data, headers = {}) => {
+                    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                    res.end(JSON.stringify(data));
+                };
+
+                if (req.url === '/api/token') {
+                    this.tokenRequests++;
+                    // Slow enough for parallel callers to overlap with the refresh
+                    await sleep(20);
+                    this.issued++;
+                    this.validToken = `access-${this.issued}`;
+                    return reply(200, { access_token: this.validToken, refresh_token: `refresh-${this.issued}`, expires_in: 3600 });
+                }
+
+                if (req.headers.authorization !== `Bearer ${this.validToken}`) {
+                    return reply(401, { error: { status: 401, message: 'The access token expired' } });
+                }
+
+                const request = { method: req.method, path: req.url };
+                this.requests.push(request);
+                this.active++;
+                this.maxActive = Math.max(this.maxActive, this.active);
+                try {
+                    await this.handle(request, reply, res);
+                } finally {
+                    this.active--;
+                }
+            });
+        });
+
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}`;
+            resolve();
+        }));
+    },
+
+    reset() {
+        this.tokenRequests = 0;
+        this.requests = [];
+        this.active = 0;
+        this.maxActive = 0;
+        this.handle = (request, reply) => reply(200, { ok: true });
+    },
+
+    count(path) {
+        return this.requests.filter(request => request.path === path).length;
+    }
+};
+
+let originalWarn;
+
+before(async () => {
+    await mockServer.start();
+    // Rate limit notices
+    originalWarn = console.warn;
+    console.warn = () => {};
+});
+
+after(() => {
+    console.warn = originalWarn;
+    mockServer.server.close();
+});
+
+beforeEach(() => mockServer.reset());
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createApi(options = {}, { expired = false } = {}) {
+    const auth = new SpotifyAuth('client-id', null, undefined, { tokenUrl: `${mockServer.url}/api/token` });
+    auth.accessToken = mockServer.validToken;
+    auth.refreshToken = `refresh-${mockServer.issued}`;
+    auth.tokenExpiry = expired ? Date.now() - 1000 : Date.now() + 3600 * 1000;
+
+    return new SpotifyApi(auth, { baseUrl: `${mockServer.url}/v1`, baseDelayMs: 10, ...options });
+}
+
+test('waits out Retry-After on 429 and holds back other requests meanwhile', async () => {
+    let limited = false;
+    mockServer.handle = (request, reply) => {
+        if (request.path === '/v1/playlists' && !limited) {
+            limited = true;
+            return reply(429, { error: { status: 429, message: 'API rate limit exceeded' } }, { 'Retry-After': '1' });
+        }
+        reply(200, { ok: true });
+    };
+
+    const api = createApi();
+    const started = Date.now();
+    // A 429 is retried even for a POST: the request was not carried out
+    assert.deepEqual(await api.post('/playlists', { name: 'Favs' }), { ok: true });
+    assert.ok(Date.now() - started >= 950);
+    assert.equal(mockServer.count('/v1/playlists'), 2);
+
+    limited = false;
+    const first = api.post('/playlists', { name: 'Favs' });
+    await sleep(200);
+    const pausedAt = Date.now();
+    await api.get('/me');
+    assert.ok(Date.now() - pausedAt >= 600, 'a request queued during the pause waits for it');
+    await first;
+});
+
+test('gives up when Retry-After is longer than allowed', async () => {
+    mockServer.handle = (request, reply) => reply(429, { error: { status: 429, message: 'API rate limit exceeded' } }, { 'Retry-After': '3600' });
+
+    await assert.rejects(createApi().get('/me'), error => error instanceof SpotifyApiError && error.status === 429);
+    assert.equal(mockServer.count('/v1/me'), 1);
+});
+
+test('retries GET, PUT and DELETE on 5xx with backoff, up to maxRetries', async () => {
+    const failures = new Map();
+    mockServer.handle = (request, reply) => {
+        const key = `${request.method} ${request.path}`;
+        const failed = failures.get(key) || 0;
+        if (failed < 2) {
+            failures.set(key, failed + 1);
+            return reply(503, { error: { status: 503, message: 'Service unavailable' } });
+        }
+        reply(200, { ok: true });
+    };
+
+    const api = createApi();
+    assert.deepEqual(await api.get('/me'), { ok: true });
+    assert.deepEqual(await api.put('/me/tracks', { ids: ['a'] }), { ok: true });
+    assert.deepEqual(await api.delete('/me/tracks', { ids: ['a'] }), { ok: true });
+    assert.equal(mockServer.requests.length, 9);
+
+    mockServer.reset();
+    mockServer.handle = (request, reply) => reply(502, { error: { status: 502, message: 'Bad gateway' } });
+    await assert.rejects(createApi({ maxRetries: 2 }).get('/me'), error => error.status === 502 && /Bad gateway \(GET \/me\)/.test(error.message));
+    assert.equal(mockServer.count('/v1/me'), 3);
+});
+
+test('does not retry a POST after a 5xx or a dropped connection', async () => {
+    mockServer.handle = (request, reply) => reply(500, { error: { status: 500, message: 'Server error' } });
+    await assert.rejects(createApi().post('/playlists/abc/tracks', { uris: [] }), error => error.status === 500);
+    assert.equal(mockServer.count('/v1/playlists/abc/tracks'), 1);
+
+    mockServer.reset();
+    mockServer.handle = (request, reply, res) => res.socket.destroy();
+    await assert.rejects(createApi().post('/playlists/abc/tracks', { uris: [] }), error => error.status === null);
+    assert.equal(mockServer.count('/v1/playlists/abc/tracks'), 1);
+
+    // The same dropped connection is retried for a GET
+    mockServer.reset();
+    let dropped = false;
+    mockServer.handle = (request, reply, res) => {
+        if (!dropped) {
+            dropped = true;
+            return res.socket.destroy();
+        }
+        reply(200, { ok: true });
+    };
+    assert.deepEqual(await createApi().get('/me'), { ok: true });
+    assert.equal(mockServer.count('/v1/me'), 2);
+});
+
+test('requests rejected with 401 together share a single refresh', async () => {
+    const api = createApi({ concurrency: 4 });
+    // Revoke the token the client holds; it still looks valid to it
+    mockServer.validToken = 'revoked';
+
+    const results = await Promise.all([1, 2, 3, 4, 5, 6].map(n => api.get(`/tracks/${n}`)));
+    assert.equal(results.length, 6);
+    assert.equal(mockServer.tokenRequests, 1);
+    assert.equal(api.auth.accessToken, mockServer.validToken);
+});
+
+test('parallel requests with an expired token make only one token request', async () => {
+    const api = createApi({ concurrency: 4 }, { expired: true });
+
+    await Promise.all([1, 2, 3, 4, 5, 6].map(n => api.get(`/tracks/${n}`)));
+    assert.equal(mockServer.tokenRequests, 1);
+    assert.equal(mockServer.requests.length, 6);
+});
+
+test('keeps no more than `concurrency` requests in flight', async () => {
+    mockServer.handle = async (request, reply) => {
+        await sleep(30);
+        reply(200, { path: request.path });
+    };
+
+    const api = createApi({ concurrency: 2 });
+    const results = await Promise.all([1, 2, 3, 4, 5, 6, 7].map(n => api.get(`/tracks/${n}`)));
+    assert.deepEqual(results.map(result => result.path), [1, 2, 3, 4, 5, 6, 7].map(n => `/v1/tracks/${n}`));
+    assert.equal(mockServer.maxActive, 2);
+    assert.equal(api.active, 0);
+});
@@ -0,0 +1,184 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { SpotifyAuth } from '../src/spotifyAuth.js';
+import { TokenStore } from '../src/tokenStore.js';
+
+// A stand-in for https://accounts.spotify.com/api/token
+const tokenServer = {
+    requests: [],
+    revoked: new Set(),
+    issued: 0,
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const params = Object.fromEntries(new URLSearchParams(body));
+                this.requests.push({ params, authorization: req.headers.authorization || null });
+
+                const reply = (status, data) => {
+                    res.writeHead(status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(data));
+                };
+
+                if (params.grant_type === 'refresh_token' && this.revoked.has(params.refresh_token)) {
+                    return reply(400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+                }
+
+                this.issued++;
+                reply(200, {
+                    access_token: `access-${this.issued}`,
+                    refresh_token: `refresh-${this.issued}`,
+                    expires_in: 3600,
+                    scope: 'playlist-modify-public playlist-modify-private'
+                });
+            });
+        });
+
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}/api/token`;
+            resolve();
+        }));
+    },
+
+    reset() {
+        this.requests = [];
+        this.revoked = new Set();
+    }
+};
+
+let configDir;
+
+before(async () => {
+    await tokenServer.start();
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apple-to-spotify-auth-'));
+});
+
+after(async () => {
+    tokenServer.server.close();
+    await fs.remove(configDir);
+});
+
+function createAuth(name, clientSecret = null) {
+    return new SpotifyAuth('client-id', clientSecret, undefined, {
+        tokenUrl: tokenServer.url,
+        tokenStore: new TokenStore(path.join(configDir, `${name}.json`))
+    });
+}
+
+test('exchanges the code with the PKCE verifier and saves the session', async () => {
+    tokenServer.reset();
+    const auth = createAuth('pkce');
+
+    const challenge = new URL(auth.getAuthUrl()).searchParams.get('code_challenge');
+    await auth.exchangeCodeForToken('the-code');
+
+    const [{ params, authorization }] = tokenServer.requests;
+    assert.equal(params.grant_type, 'authorization_code');
+    assert.equal(params.code, 'the-code');
+    assert.equal(params.client_id, 'client-id');
+    assert.equal(crypto.createHash('sha256').update(params.code_verifier).digest('base64url'), challenge);
+    assert.equal(authorization, null);
+
+    const saved = await fs.readJson(auth.tokenStore.filePath);
+    assert.equal(saved.clientId, 'client-id');
+    assert.equal(saved.accessToken, auth.accessToken);
+    assert.equal(saved.refreshToken, auth.refreshToken);
+    assert.equal(saved.scopes, 'playlist-modify-public playlist-modify-private');
+    assert.equal((await fs.stat(auth.tokenStore.filePath)).mode & 0o777, 0o600);
+});
+
+test('sends the client secret as Basic auth instead of a verifier', async () => {
+    tokenServer.reset();
+    const auth = createAuth('secret', 'client-secret');
+    auth.getAuthUrl();
+    await auth.exchangeCodeForToken('the-code');
+
+    const [{ params, authorization }] = tokenServer.requests;
+    assert.equal(params.code_verifier, undefined);
+    assert.equal(authorization, `Basic ${Buffer.from('client-id:client-secret').toString('base64')}`);
+});
+
+test('restores a saved session and refreshes its expired token, keeping the rotated refresh token', async () => {
+    tokenServer.reset();
+    const first = createAuth('roundtrip');
+    first.getAuthUrl();
+    await first.exchangeCodeForToken('the-code');
+    const firstRefreshToken = first.refreshToken;
+
+    // Still valid: restored as saved, without asking the token endpoint
+    const second = createAuth('roundtrip');
+    assert.equal(await second.loadSession(), true);
+    assert.equal(second.accessToken, first.accessToken);
+    assert.equal(tokenServer.requests.length, 1);
+
+    const session = await fs.readJson(first.tokenStore.filePath);
+    await fs.writeJson(first.tokenStore.filePath, { ...session, tokenExpiry: Date.now() - 1000 });
+
+    const third = createAuth('roundtrip');
+    assert.equal(await third.loadSession(), true);
+    assert.equal(tokenServer.requests[1].params.grant_type, 'refresh_token');
+    assert.equal(tokenServer.requests[1].params.refresh_token, firstRefreshToken);
+    assert.notEqual(third.refreshToken, firstRefreshToken);
+    assert.equal((await fs.readJson(first.tokenStore.filePath)).refreshToken, third.refreshToken);
+});
+
+test('clears the saved session when its refresh token has been revoked', async () => {
+    tokenServer.reset();
+    const auth = createAuth('revoked');
+    auth.getAuthUrl();
+    await auth.exchangeCodeForToken('the-code');
+
+    const session = await fs.readJson(auth.tokenStore.filePath);
+    await fs.writeJson(auth.tokenStore.filePath, { ...session, tokenExpiry: 0 });
+    tokenServer.revoked.add(session.refreshToken);
+
+    const restored = createAuth('revoked');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(await restored.loadSession(), false);
+    } finally {
+        console.warn = warn;
+    }
+    assert.equal(restored.refreshToken, null);
+    assert.equal(await fs.pathExists(auth.tokenStore.filePath), false);
+});
+
+test('does not use a session saved for another app or without the scopes a command needs', async () => {
+    tokenServer.reset();
+    const auth = createAuth('scopes');
+    auth.getAuthUrl();
+    await auth.exchangeCodeForToken('the-code');
+
+    const otherApp = new SpotifyAuth('other-client', null, undefined, { tokenUrl: tokenServer.url, tokenStore: auth.tokenStore });
+    assert.equal(await otherApp.loadSession(), false);
+
+    const library = new SpotifyAuth('client-id', null, undefined, {
+        tokenUrl: tokenServer.url,
+        tokenStore: auth.tokenStore,
+        scopes: ['user-library-read']
+    });
+    const log = console.log;
+    console.log = () => {};
+    try {
+        assert.equal(await library.loadSession(), false);
+    } finally {
+        console.log = log;
+    }
+});
+
+test('overlapping saves all land without clobbering each other', async () => {
+    const store = new TokenStore(path.join(configDir, 'parallel.json'));
+    await Promise.all(Array.from({ length: 10 }, (_, index) => store.save({ clientId: 'client-id', refreshToken: `refresh-${index}` })));
+
+    const saved = await store.load('client-id');
+    assert.match(saved.refreshToken, /^refresh-\d$/);
+    assert.deepEqual((await fs.readdir(configDir)).filter(name => name.endsWith('.tmp')), []);
+});
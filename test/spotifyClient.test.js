@@ -0,0 +1,192 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { SpotifyClient } from '../src/spotifyClient.js';
+import { SpotifyAuth } from '../src/spotifyAuth.js';
+import { SpotifyApi } from '../src/spotifyApi.js';
+
+// A stand-in for the Web API's /me/playlists: 140 playlists, 50 to a page, where private ones are
+// only listed for a token granted playlist-read-private (as Spotify does)
+const mockServer = {
+    grants: new Map(),
+    playlists: Array.from({ length: 140 }, (_, i) => ({
+        id: `pl${i}`,
+        name: i === 120 ? 'Favorites' : `Playlist ${i}`,
+        public: i !== 120 && i % 3 !== 0,
+        owner: { id: i % 7 === 0 ? 'someone-else' : 'me' }
+    })),
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            const url = new URL(req.url, this.url);
+            const scopes = this.grants.get(String(req.headers.authorization).replace(/^Bearer /, ''));
+            const reply = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            if (!scopes) {
+                return reply(401, { error: { status: 401, message: 'Invalid access token' } });
+            }
+            if (url.pathname !== '/v1/me/playlists') {
+                return reply(404, { error: { status: 404, message: 'Not found' } });
+            }
+
+            const listed = this.playlists.filter(playlist => playlist.public || scopes.includes('playlist-read-private'));
+            const offset = Number(url.searchParams.get('offset')) || 0;
+            const limit = Number(url.searchParams.get('limit')) || 20;
+            const next = offset + limit < listed.length ? `${this.url}/v1/me/playlists?offset=${offset + limit}&limit=${limit}` : null;
+            reply(200, { items: listed.slice(offset, offset + limit), next, total: listed.length });
+        });
+
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}`;
+            resolve();
+        }));
+    }
+};
+
+before(() => mockServer.start());
+
+after(() => mockServer.server.close());
+
+// Logs in the way the CLI does for these scopes: the mock grants what the authorization URL asks for
+function createClient(scopes) {
+    const auth = new SpotifyAuth('client-id', null, undefined, { scopes });
+    const token = `token-${mockServer.grants.size}`;
+    mockServer.grants.set(token, new URL(auth.getAuthUrl()).searchParams.get('scope').split(' '));
+    auth.accessToken = token;
+    auth.tokenExpiry = Date.now() + 3600 * 1000;
+
+    return new SpotifyClient(auth, { api: new SpotifyApi(auth, { baseUrl: `${mockServer.url}/v1` }) });
+}
+
+test('finds a private playlist past the first 100 with the lookup scopes', async () => {
+    const client = createClient(SpotifyClient.PLAYLIST_LOOKUP_SCOPES);
+    const found = await client.findOwnPlaylists('me', 'Favorites');
+    assert.deepEqual(found.map(playlist => playlist.id), ['pl120']);
+});
+
+test('does not see the private playlist with the playlist-modify scopes alone', async () => {
+    const client = createClient([]);
+    assert.deepEqual(await client.findOwnPlaylists('me', 'Favorites'), []);
+});
+
+test('only lists playlists the user owns', async () => {
+    const client = createClient(SpotifyClient.PLAYLIST_LOOKUP_SCOPES);
+    assert.deepEqual(await client.findOwnPlaylists('me', 'Playlist 7'), []);
+    assert.deepEqual((await client.findOwnPlaylists('me', 'Playlist 130')).map(playlist => playlist.id), ['pl130']);
+});
+
+// Replays reorders the way the Web API applies them: the range is cut out, then inserted before
+// the item that was at insert_before when the request was made
+function replay(uris, ops) {
+    const result = [...uris];
+    for (const { range_start: start, insert_before: insertBefore, range_length: length } of ops) {
+        const moved = result.splice(start, length);
+        result.splice(insertBefore > start ? insertBefore - length : insertBefore, 0, ...moved);
+    }
+    return result;
+}
+
+// What a sync does: remove the unwanted URIs (every occurrence), append the additions, reorder
+function sync(client, current, wanted) {
+    const plan = client.planSync(wanted, current);
+    const removed = new Set(plan.toRemove);
+    const afterChanges = [...current.filter(uri => !removed.has(uri)), ...plan.toAdd];
+    const ops = client.planReorder(afterChanges, wanted);
+    return { plan, ops, result: replay(afterChanges, ops) };
+}
+
+test('planSync adds a second copy of a duplicate and removes every copy of an unwanted URI', () => {
+    const client = new SpotifyClient(null);
+    const cases = [
+        { current: [], wanted: ['a', 'b'], toAdd: ['a', 'b'], toRemove: [], unchanged: 0 },
+        { current: ['a', 'b', 'c'], wanted: ['a', 'b', 'c'], toAdd: [], toRemove: [], unchanged: 3 },
+        { current: ['a', 'c', 'b'], wanted: ['a', 'b', 'a', 'c'], toAdd: ['a'], toRemove: [], unchanged: 3 },
+        { current: ['x', 'a', 'x', 'b'], wanted: ['b', 'a'], toAdd: [], toRemove: ['x'], unchanged: 2 },
+        { current: ['x', 'a', 'y', 'b', 'c'], wanted: ['c', 'd', 'a', 'b'], toAdd: ['d'], toRemove: ['x', 'y'], unchanged: 3 }
+    ];
+
+    for (const { current, wanted, ...expected } of cases) {
+        assert.deepEqual(client.planSync(wanted, current), expected, `${current} → ${wanted}`);
+    }
+});
+
+test('planReorder needs no moves for a playlist already in order', () => {
+    const client = new SpotifyClient(null);
+    assert.deepEqual(client.planReorder(['a', 'b', 'c', 'd'], ['a', 'b', 'c', 'd']), []);
+    assert.deepEqual(client.planReorder(['a', 'b', 'a'], ['a', 'b', 'a']), []);
+    assert.deepEqual(client.planReorder([], []), []);
+});
+
+test('planReorder reverses a playlist in one move per track but the first', () => {
+    const client = new SpotifyClient(null);
+    const wanted = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const current = [...wanted].reverse();
+    const ops = client.planReorder(current, wanted);
+    assert.equal(ops.length, wanted.length - 1);
+    assert.deepEqual(replay(current, ops), wanted);
+});
+
+test('planReorder moves neighbours that travel together as one range', () => {
+    const client = new SpotifyClient(null);
+    const ops = client.planReorder(['c', 'd', 'a', 'b'], ['a', 'b', 'c', 'd']);
+    assert.equal(ops.length, 1);
+    assert.equal(ops[0].range_length, 2);
+    assert.deepEqual(replay(['c', 'd', 'a', 'b'], ops), ['a', 'b', 'c', 'd']);
+});
+
+test('planReorder leaves unpaired items (local files, unavailable tracks) where they are', () => {
+    const client = new SpotifyClient(null);
+    const current = ['b', null, 'a', 'spotify:local:x'];
+    const result = replay(current, client.planReorder(current, ['a', 'b']));
+    assert.deepEqual(result.filter(uri => uri === 'a' || uri === 'b'), ['a', 'b']);
+    assert.deepEqual(result.filter(uri => uri !== 'a' && uri !== 'b'), [null, 'spotify:local:x']);
+});
+
+test('a sync with duplicates, additions and removals replays into the wanted order', () => {
+    const client = new SpotifyClient(null);
+    const cases = [
+        { current: ['a', 'c', 'b'], wanted: ['a', 'b', 'a', 'c'] },
+        { current: ['x', 'a', 'y', 'b', 'c'], wanted: ['c', 'd', 'a', 'b'] },
+        { current: ['b', 'b', 'a'], wanted: ['a', 'b', 'b'] },
+        { current: ['d', 'c', 'b', 'a', 'x'], wanted: ['a', 'e', 'b', 'c', 'd', 'a'] }
+    ];
+
+    for (const { current, wanted } of cases) {
+        assert.deepEqual(sync(client, current, wanted).result, wanted, `${current} → ${wanted}`);
+    }
+});
+
+test('replaying the planned moves gives the wanted order for shuffled playlists with repeats', () => {
+    const client = new SpotifyClient(null);
+    // A fixed-seed generator keeps the cases the same on every run
+    let seed = 42;
+    const random = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+    };
+
+    for (let run = 0; run < 200; run++) {
+        const pool = Array.from({ length: 2 + random(10) }, (_, i) => `t${i}`);
+        const wanted = Array.from({ length: random(15) }, () => pool[random(pool.length)]);
+        // No more copies of a wanted track than wanted: surplus copies stay (see the next test)
+        const copiesLeft = new Map(pool.map(uri => [uri, wanted.includes(uri) ? wanted.filter(other => other === uri).length : Infinity]));
+        const current = Array.from({ length: random(15) }, () => pool[random(pool.length)]).filter(uri => {
+            copiesLeft.set(uri, copiesLeft.get(uri) - 1);
+            return copiesLeft.get(uri) >= 0;
+        });
+
+        const { result, ops } = sync(client, current, wanted);
+        assert.deepEqual(result, wanted, `${current} → ${wanted}`);
+        assert.ok(ops.length < Math.max(wanted.length, 1), `${ops.length} moves for ${wanted.length} tracks`);
+    }
+});
+
+test('a sync keeps surplus copies of a wanted track, since removing a URI removes all its copies', () => {
+    const client = new SpotifyClient(null);
+    const { plan, result } = sync(client, ['b', 'a', 'b', 'b'], ['a', 'b']);
+    assert.deepEqual(plan, { toAdd: [], toRemove: [], unchanged: 2 });
+    assert.deepEqual(result, ['a', 'b', 'b', 'b']);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrackMatcher } from '../src/trackMatcher.js';
+
+const matcher = new TrackMatcher();
+
+test('splits artist credits on the usual separators', () => {
+    assert.deepEqual(matcher.splitArtists('Nouvelle Vague, Melanie Pain'), ['Nouvelle Vague', 'Melanie Pain']);
+    assert.deepEqual(matcher.splitArtists('Simon & Garfunkel'), ['Simon', 'Garfunkel']);
+    assert.deepEqual(matcher.splitArtists('Boozoo Bajou feat. Tony Joe White'), ['Boozoo Bajou', 'Tony Joe White']);
+    assert.deepEqual(matcher.splitArtists('Armin van Buuren vs. Vini Vici'), ['Armin van Buuren', 'Vini Vici']);
+    assert.deepEqual(matcher.splitArtists('Skrillex x Diplo'), ['Skrillex', 'Diplo']);
+});
+
+test('only splits on "x" between two names', () => {
+    assert.deepEqual(matcher.splitArtists('x Ambassadors'), ['x Ambassadors']);
+    assert.deepEqual(matcher.splitArtists('Jamie N Commons & x Ambassadors'), ['Jamie N Commons', 'x Ambassadors']);
+    assert.deepEqual(matcher.splitArtists('X Ambassadors x Jamie N Commons'), ['X Ambassadors', 'Jamie N Commons']);
+    assert.deepEqual(matcher.splitArtists('Malcolm x'), ['Malcolm x']);
+    assert.deepEqual(matcher.splitArtists('Xx x Yy'), ['Xx', 'Yy']);
+});
+
+test('reads work and movement from the tags or a classical title', () => {
+    const tagged = {
+        name: 'Andante con moto',
+        composer: 'Ludwig van Beethoven',
+        work: 'Symphony No. 5 in C Minor, Op. 67',
+        movementNumber: 2,
+        movementName: 'Andante con moto'
+    };
+    assert.deepEqual(matcher.parseClassical(tagged), {
+        work: 'Symphony No. 5 in C Minor, Op. 67',
+        movement: 'Andante con moto',
+        number: 2,
+        composer: 'Ludwig van Beethoven'
+    });
+
+    const titled = { name: 'Symphony No. 5 in C Minor, Op. 67: II. Andante con moto', composer: 'Ludwig van Beethoven', genre: 'Classical' };
+    assert.deepEqual(matcher.parseClassical(titled), {
+        work: 'Symphony No. 5 in C Minor, Op. 67',
+        movement: 'Andante con moto',
+        number: 2,
+        composer: 'Ludwig van Beethoven'
+    });
+
+    // The Movement Number tag is enough without a classical genre
+    assert.equal(matcher.parseClassical({ ...titled, genre: '', movementNumber: 2 }).work, 'Symphony No. 5 in C Minor, Op. 67');
+});
+
+test('does not read a composer\'s "Title: Subtitle" track as classical outside classical genres', () => {
+    assert.equal(matcher.parseClassical({ name: 'Star Wars: Main Title', composer: 'John Williams', genre: 'Soundtrack' }), null);
+    assert.equal(matcher.parseClassical({ name: 'Star Wars: Main Title', composer: 'John Williams' }), null);
+    assert.equal(matcher.parseClassical({
+        name: 'Star Wars: Main Title',
+        originalTrack: { Composer: 'John Williams', Genre: 'Classical Crossover' }
+    }).work, 'Star Wars');
+});